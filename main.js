@@ -1,28 +1,42 @@
-const { app, BrowserWindow, ipcMain, dialog, session } = require('electron');
+const { app, BrowserWindow, session } = require('electron');
 const path = require('path');
-const fs = require('fs');
-const { initialize } = require('@electron/remote/main');
+const database = require('./main/database');
+const storage = require('./main/storage');
+const settings = require('./main/settings');
+const pin = require('./main/pin');
+const vault = require('./main/vault');
+const { registerHandlers, registerPhotoScheme } = require('./main/ipc');
 
 let mainWindow;
 
-function createWindow() {
+// Stored photos are shown through their own scheme, see main/ipc.js
+registerPhotoScheme();
+
+// Open the database and photo storage, once the vault is unlocked
+async function openData(userDataPath) {
+  await database.init(userDataPath);
+  await storage.init(userDataPath);
+}
+
+// A computer set up as a kiosk starts straight into it, without menus
+function createWindow(kiosk) {
   mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
+    kiosk,
+    autoHideMenuBar: kiosk,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
+      // The renderer has no Node access; preload.js exposes the app's own API
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'preload.js'),
       webSecurity: true,  
-      enableRemoteModule: true, // Enable remote module
       additionalArguments: ['--enable-features=WebRTC-CaptureService']
     },
     icon: path.join(__dirname, 'assets/images/icon.png')
   });
 
-  // Initialize remote module
-  initialize();
-  require('@electron/remote/main').enable(mainWindow.webContents);
-
   mainWindow.loadFile('index.html');
   
   // Open DevTools for debugging
@@ -33,7 +47,7 @@ function createWindow() {
   });
 }
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   // Set permissions for media access
   session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
     if (permission === 'media') {
@@ -44,7 +58,24 @@ app.whenReady().then(() => {
     }
   });
   
-  createWindow();
+  // Data lives in the main process; it is opened when the caregiver unlocks it,
+  // or right away if this computer's keychain holds the key
+  const userDataPath = app.getPath('userData');
+  settings.init(userDataPath);
+  pin.init(userDataPath);
+  vault.init(userDataPath);
+  registerHandlers(() => mainWindow, () => openData(userDataPath));
+  if (vault.tryAutoUnlock()) {
+    try {
+      await openData(userDataPath);
+    } catch (error) {
+      // The window still opens; unlocking from there tries again and shows the error
+      console.error('Error opening data:', error);
+    }
+  }
+  
+  const savedSettings = await settings.load();
+  createWindow(Boolean(savedSettings && savedSettings.kioskMode));
 });
 
 app.on('window-all-closed', () => {
@@ -55,25 +86,6 @@ app.on('window-all-closed', () => {
 
 app.on('activate', () => {
   if (mainWindow === null) {
-    createWindow();
+    createWindow(false);
   }
 });
-
-// Handle file dialog for importing images
-ipcMain.handle('select-photos', async () => {
-  const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openFile', 'multiSelections'],
-    filters: [{ name: 'Images', extensions: ['jpg', 'png', 'jpeg'] }]
-  });
-  
-  if (!result.canceled) {
-    return result.filePaths;
-  }
-  return [];
-});
-
-// Add handler for getting user data path
-ipcMain.handle('get-user-data-path', () => {
-  console.log('Renderer requested user data path:', app.getPath('userData'));
-  return app.getPath('userData');
-});
\ No newline at end of file
@@ -0,0 +1,367 @@
+/**
+ * backup.js - Backup archive module
+ *
+ * This module writes the whole FaceRecall setup (people, face descriptors,
+ * photos and settings) into a single zip archive and reads it back, so a
+ * caregiver can move a patient's setup to another computer. It runs in the
+ * main process; asking what to import and merging people happen in the
+ * renderer's backup module. Photos are decrypted into the archive, so it
+ * can be restored on a computer with a different passphrase.
+ */
+
+// Module dependencies
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const storage = require('./storage');
+const schema = require('./schema');
+const packageInfo = require('../package.json');
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[BACKUP] ${message}`);
+}
+
+// Archive format identifiers
+const BACKUP_FORMAT = 'face-recall-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Folders inside the archive
+const ARCHIVE_PHOTOS_DIR = 'photos';
+const ARCHIVE_THUMBNAILS_DIR = 'thumbnails';
+
+// Descriptors are only comparable when produced by the same recognition model
+const RECOGNITION_MODEL_MANIFEST = path.join(
+  __dirname, '../assets/models/face_recognition_model-weights_manifest.json'
+);
+
+// Archive opened for import, kept until its photos are restored
+let openedZip = null;
+
+/**
+ * Describe the models the stored descriptors depend on
+ * @param {string} detector - Face detector chosen in settings
+ * @returns {Promise<Object>} Model identifiers for the manifest
+ */
+async function getModelIdentifiers(detector) {
+  let recognitionModelHash = null;
+  try {
+    const manifest = await fs.promises.readFile(RECOGNITION_MODEL_MANIFEST);
+    recognitionModelHash = crypto.createHash('sha256').update(manifest).digest('hex');
+  } catch (error) {
+    console.error('Error hashing recognition model manifest:', error);
+  }
+
+  return {
+    faceRecognition: {
+      name: 'face_recognition_model',
+      manifestSha256: recognitionModelHash
+    },
+    detector,
+    library: 'face-api.js'
+  };
+}
+
+/**
+ * Map a managed file to its location inside the archive
+ * @param {string} filePath - Managed file path
+ * @returns {string|null} Archive entry name, or null if the file is not managed
+ */
+function toArchivePath(filePath) {
+  if (!filePath || !storage.isManaged(filePath)) return null;
+
+  const resolved = path.resolve(filePath);
+  const folder = resolved.startsWith(storage.getDirectories().thumbnails + path.sep)
+    ? ARCHIVE_THUMBNAILS_DIR
+    : ARCHIVE_PHOTOS_DIR;
+
+  return `${folder}/${path.basename(resolved)}`;
+}
+
+/**
+ * Map an archive entry name back to managed storage on this computer
+ * @param {string} archivePath - Archive entry name
+ * @returns {string|null} Local managed path, or null if the name is not an archive path
+ */
+function fromArchivePath(archivePath) {
+  if (typeof archivePath !== 'string') return null;
+
+  const [folder, fileName, ...rest] = archivePath.split('/');
+  if (!fileName || rest.length > 0 || fileName !== path.basename(fileName)) return null;
+
+  const dirs = storage.getDirectories();
+  if (folder === ARCHIVE_PHOTOS_DIR) return path.join(dirs.photos, fileName);
+  if (folder === ARCHIVE_THUMBNAILS_DIR) return path.join(dirs.thumbnails, fileName);
+  return null;
+}
+
+/**
+ * Rewrite every file reference in a person record
+ * @param {Object} person - Person record
+ * @param {Function} mapPath - Maps one path to another, or returns null to keep it
+ * @returns {Object} Copy of the record with rewritten paths
+ */
+function mapPersonPaths(person, mapPath) {
+  const map = filePath => mapPath(filePath) || filePath;
+
+  return {
+    ...person,
+    images: (person.images || []).map(map),
+    faceDescriptors: (person.faceDescriptors || []).map(entry => ({
+      ...entry,
+      path: entry.path ? map(entry.path) : entry.path,
+      thumbnail: entry.thumbnail ? map(entry.thumbnail) : entry.thumbnail
+    }))
+  };
+}
+
+/**
+ * Remove references to photos this computer does not already know of
+ * Older JSON exports name the original photos, which could be any file;
+ * the face data is kept, so the people are still recognized.
+ * @param {Object} person - Person record
+ * @returns {Object} Copy of the record without unknown photos
+ */
+function dropUnknownFiles(person) {
+  const keep = filePath => (storage.isKnownFile(filePath) ? filePath : null);
+
+  return {
+    ...person,
+    images: (person.images || []).filter(storage.isKnownFile),
+    faceDescriptors: (person.faceDescriptors || []).map(entry => ({
+      ...entry,
+      path: keep(entry.path),
+      thumbnail: keep(entry.thumbnail)
+    }))
+  };
+}
+
+/**
+ * Build a backup archive of all people, photos and settings
+ * @param {Object} settings - Current settings of the renderer
+ * @returns {Promise<AdmZip>} Archive ready to be written
+ */
+async function buildArchive(settings) {
+  const people = await db.getAllPeople();
+  const zip = new AdmZip();
+  const addedFiles = new Set();
+  let missingFiles = 0;
+
+  // Add every managed photo and thumbnail once
+  for (const person of people) {
+    const files = [
+      ...(person.images || []),
+      ...(person.faceDescriptors || []).map(entry => entry.thumbnail)
+    ];
+
+    for (const filePath of files) {
+      const archivePath = toArchivePath(filePath);
+      if (!archivePath || addedFiles.has(archivePath)) continue;
+
+      try {
+        zip.addFile(archivePath, await storage.readFile(filePath));
+        addedFiles.add(archivePath);
+      } catch (error) {
+        console.error(`Error adding ${filePath} to backup:`, error);
+        missingFiles++;
+      }
+    }
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    appVersion: packageInfo.version,
+    createdAt: new Date().toISOString(),
+    models: await getModelIdentifiers(settings.detector),
+    counts: {
+      people: people.length,
+      files: addedFiles.size,
+      missingFiles
+    }
+  };
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  zip.addFile('people.json', Buffer.from(JSON.stringify(
+    people.map(person => mapPersonPaths(person, toArchivePath)), null, 2
+  )));
+  zip.addFile('settings.json', Buffer.from(JSON.stringify(settings, null, 2)));
+
+  logDebug(`Built backup with ${people.length} people and ${addedFiles.size} files`);
+  return zip;
+}
+
+/**
+ * Write a backup archive
+ * @param {string} filePath - Where to save the archive
+ * @param {Object} settings - Current settings of the renderer
+ * @returns {Promise<boolean>} Whether the backup was written
+ */
+async function writeBackup(filePath, settings) {
+  const zip = await buildArchive(settings);
+  await zip.writeZipPromise(filePath);
+
+  logDebug(`Backup written to ${filePath}`);
+  return true;
+}
+
+/**
+ * Read and validate a backup archive
+ * @param {string} archivePath - Path to the zip archive
+ * @returns {Object} Backup contents with manifest, people, settings and the zip
+ */
+function readArchive(archivePath) {
+  const zip = new AdmZip(archivePath);
+
+  const readJson = (entryName) => {
+    const entry = zip.getEntry(entryName);
+    if (!entry) {
+      throw new Error(`Backup is missing ${entryName}`);
+    }
+    return JSON.parse(entry.getData().toString('utf8'));
+  };
+
+  const manifest = readJson('manifest.json');
+  if (manifest.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a FaceRecall backup');
+  }
+  if (manifest.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of FaceRecall. Please update the app first.');
+  }
+
+  const people = readJson('people.json');
+  if (!Array.isArray(people)) {
+    throw new Error('Invalid data format');
+  }
+
+  const savedSettings = zip.getEntry('settings.json') ? readJson('settings.json') : null;
+
+  return { zip, manifest, people, settings: savedSettings };
+}
+
+/**
+ * Check whether the backup's descriptors match this installation's model
+ * @param {Object} manifest - Backup manifest
+ * @returns {Promise<boolean>} Whether the recognition models match
+ */
+async function isModelCompatible(manifest) {
+  const current = await getModelIdentifiers(null);
+  const saved = manifest.models && manifest.models.faceRecognition;
+
+  if (!saved || !saved.manifestSha256 || !current.faceRecognition.manifestSha256) {
+    return true;
+  }
+
+  return saved.manifestSha256 === current.faceRecognition.manifestSha256;
+}
+
+/**
+ * Load a backup file for import
+ * Both zip archives and the older people-only JSON exports are accepted.
+ * People saved by older versions are brought up to the current schema, and
+ * file references in them are pointed at managed storage on this computer;
+ * the photos themselves are only copied by restorePhotos. Photos named in
+ * JSON exports are dropped unless this computer already uses them.
+ * @param {string} filePath - Backup file picked by the caregiver
+ * @returns {Promise<Object>} People, settings, and whether the recognition models match
+ */
+async function openBackup(filePath) {
+  openedZip = null;
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const people = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    if (!Array.isArray(people)) {
+      throw new Error('Invalid data format');
+    }
+
+    return {
+      people: people.map(person => dropUnknownFiles(schema.migratePerson(person))),
+      settings: null,
+      modelCompatible: true
+    };
+  }
+
+  const backup = readArchive(filePath);
+  openedZip = backup.zip;
+
+  return {
+    people: backup.people.map(person => mapPersonPaths(schema.migratePerson(person), fromArchivePath)),
+    settings: backup.settings,
+    modelCompatible: await isModelCompatible(backup.manifest)
+  };
+}
+
+/**
+ * Get the content hash a managed file is named after
+ * @param {string} filePath - Photo or thumbnail path
+ * @returns {string} Hash part of the file name
+ */
+function getNamedHash(filePath) {
+  return path.basename(filePath, path.extname(filePath));
+}
+
+/**
+ * Copy the photos of the opened backup into managed storage
+ * Each photo is hashed and skipped unless it matches the hash it is named
+ * after; thumbnails are named after their photo, so they are only kept for
+ * photos that matched.
+ * @returns {Promise<number>} Number of files restored
+ */
+async function restorePhotos() {
+  if (!openedZip) return 0;
+
+  const entries = openedZip.getEntries().filter(entry => !entry.isDirectory);
+  const isThumbnail = entry => entry.entryName.startsWith(`${ARCHIVE_THUMBNAILS_DIR}/`);
+  const photoHashes = new Set();
+  let restored = 0;
+  let skipped = 0;
+
+  for (const entry of entries.filter(entry => !isThumbnail(entry))) {
+    const localPath = fromArchivePath(entry.entryName);
+    if (!localPath) continue;
+
+    const data = entry.getData();
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    if (hash !== getNamedHash(localPath)) {
+      skipped++;
+      continue;
+    }
+    photoHashes.add(hash);
+
+    // Files are content-addressed, so an existing file is already identical
+    if (!fs.existsSync(localPath)) {
+      await storage.writeFile(localPath, data);
+      restored++;
+    }
+  }
+
+  for (const entry of entries.filter(isThumbnail)) {
+    const localPath = fromArchivePath(entry.entryName);
+    if (!localPath) continue;
+
+    if (!photoHashes.has(getNamedHash(localPath))) {
+      skipped++;
+      continue;
+    }
+
+    if (!fs.existsSync(localPath)) {
+      await storage.writeFile(localPath, entry.getData());
+      restored++;
+    }
+  }
+
+  openedZip = null;
+  logDebug(`Restored ${restored} files from backup${skipped ? `, skipped ${skipped} that did not match their names` : ''}`);
+  return restored;
+}
+
+// Export the module functions
+module.exports = {
+  buildArchive,
+  writeBackup,
+  readArchive,
+  openBackup,
+  restorePhotos
+};
@@ -0,0 +1,835 @@
+/**
+ * database.js - Database operations module
+ * 
+ * This module provides database operations for storing and retrieving
+ * people data, the recognition history and unidentified faces, using NeDB
+ * as the underlying database engine. It runs in the main process; the
+ * renderer reaches it through the IPC channels in main/ipc.js. Every line
+ * of the data files is encrypted with the key from the vault module.
+ *
+ * When the database is opened, saved people are brought up to the current
+ * schema (see main/schema.js) and checked; records that cannot be used are
+ * moved to a quarantine store instead of reaching the app.
+ */
+
+// Module dependencies
+const Datastore = require('nedb');
+const model = require('nedb/lib/model');
+const path = require('path');
+const fs = require('fs');
+const vault = require('./vault');
+const schema = require('./schema');
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[DATABASE] ${message}`);
+}
+
+// Database instances
+let db = null;
+let historyDb = null;
+let unknownDb = null;
+let metaDb = null;
+let quarantineDb = null;
+let dbPath = '';
+let initialized = false;
+
+// Copy of people.db kept while all people are replaced, next to the file
+const REPLACE_COPY_SUFFIX = '.before-replace';
+
+/**
+ * Open an encrypted data file
+ * Loading also rewrites the file, which encrypts any lines stored in plain text.
+ * @param {string} filename - Path to the data file
+ * @returns {Promise<Datastore>} Loaded datastore
+ */
+function openDatastore(filename) {
+  return new Promise((resolve, reject) => {
+    const datastore = new Datastore({
+      filename,
+      afterSerialization: vault.encryptLine,
+      beforeDeserialization: vault.decryptLine
+    });
+    
+    datastore.loadDatabase((err) => {
+      if (err) {
+        reject(new Error(`${path.basename(filename)} could not be opened: ${err.message}`));
+      } else {
+        resolve(datastore);
+      }
+    });
+  });
+}
+
+/**
+ * Run a datastore method that takes a callback, as a promise
+ * @param {Datastore} datastore - Datastore to use
+ * @param {string} method - Method name, e.g. 'find' or 'update'
+ * @param {...*} args - Arguments before the callback
+ * @returns {Promise<*>} The callback's result
+ */
+function run(datastore, method, ...args) {
+  return new Promise((resolve, reject) => {
+    datastore[method](...args, (err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Get the schema version the people were last brought up to
+ * @returns {Promise<number>} Stored version, 0 if none was stored yet
+ */
+async function getSchemaVersion() {
+  const doc = await run(metaDb, 'findOne', { _id: 'schema' });
+  return doc ? doc.version : 0;
+}
+
+/**
+ * Store the schema version the people have been brought up to
+ * @param {number} version - Schema version
+ */
+async function setSchemaVersion(version) {
+  await run(metaDb, 'update', { _id: 'schema' }, { _id: 'schema', version, updatedAt: new Date() }, { upsert: true });
+}
+
+/**
+ * Copy the people data file line by line as it is on disk
+ * This has to happen before the file is opened: loading drops lines that
+ * cannot be read and rewrites the file without them. Encrypted lines are
+ * copied unchanged; lines written before encryption was set up are
+ * encrypted in the copy, so no readable copy of the people is left behind.
+ * @param {string} dbFilePath - Path to people.db
+ * @param {number} fromVersion - Schema version of the data being copied
+ * @returns {Promise<string|null>} Path to the copy, or null if there is no file yet
+ */
+async function backUpPeopleFile(dbFilePath, fromVersion) {
+  if (!fs.existsSync(dbFilePath)) return null;
+  
+  const backupDir = path.join(path.dirname(dbFilePath), 'migration-backups');
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, `people-v${fromVersion}-${stamp}.db`);
+  
+  const lines = (await fs.promises.readFile(dbFilePath, 'utf8')).split('\n');
+  const copy = lines.map(line => (line === '' || vault.isEncryptedLine(line) ? line : vault.encryptLine(line)));
+  
+  await fs.promises.mkdir(backupDir, { recursive: true });
+  await fs.promises.writeFile(`${backupPath}.tmp`, copy.join('\n'));
+  await fs.promises.rename(`${backupPath}.tmp`, backupPath);
+  return backupPath;
+}
+
+/**
+ * Write the people as they are before replacing them all
+ * The copy is written in the same encrypted format as people.db, and only
+ * appears once it is complete.
+ * @param {Array} docs - People stored now
+ * @returns {Promise<string>} Path to the copy
+ */
+async function writeReplaceCopy(docs) {
+  const copyPath = `${db.filename}${REPLACE_COPY_SUFFIX}`;
+  const lines = docs.map(doc => `${vault.encryptLine(model.serialize(doc))}\n`);
+  
+  await fs.promises.writeFile(`${copyPath}.tmp`, lines.join(''));
+  await fs.promises.rename(`${copyPath}.tmp`, copyPath);
+  return copyPath;
+}
+
+/**
+ * Put back the people from before a replace that did not finish
+ * This has to happen before people.db is opened.
+ * @param {string} dbFilePath - Path to people.db
+ * @returns {Promise<void>}
+ */
+async function restoreUnfinishedReplace(dbFilePath) {
+  const copyPath = `${dbFilePath}${REPLACE_COPY_SUFFIX}`;
+  if (!fs.existsSync(copyPath)) return;
+  
+  await fs.promises.rename(copyPath, dbFilePath);
+  logDebug('Replacing all people did not finish, the people from before it were put back');
+}
+
+/**
+ * Find the lines of a data file that cannot be decrypted or parsed
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array<string>>} Lines that loading the file would drop
+ */
+async function findUnreadableLines(filePath) {
+  const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+  
+  return lines.filter(line => {
+    if (line === '') return false;
+    try {
+      JSON.parse(vault.decryptLine(line));
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Migrate and check a record before it is stored
+ * @param {Object} person - Person record
+ * @returns {Object} Record at the current schema version
+ */
+function prepareRecord(person) {
+  const record = schema.migratePerson(person);
+  const problems = schema.validatePerson(record);
+  if (problems.length > 0) {
+    throw new Error(`Person ${person.name || person._id} cannot be saved: ${problems.join(', ')}`);
+  }
+  return record;
+}
+
+/**
+ * Bring saved people up to the current schema and set malformed ones aside
+ * The copy of the data file taken before it was opened is kept whenever
+ * anything changed, and removed otherwise.
+ * @param {number} storedVersion - Schema version the people were last brought up to
+ * @param {string|null} backupPath - Copy of people.db taken before it was opened
+ */
+async function upgradePeople(storedVersion, backupPath) {
+  // Lines loading could not read are already gone from the datastore
+  const unreadable = backupPath ? await findUnreadableLines(backupPath) : [];
+  
+  // Work out every change before making any
+  const people = await run(db, 'find', {});
+  const migrated = [];
+  const malformed = [];
+  
+  people.forEach(person => {
+    let record;
+    try {
+      record = schema.migratePerson(person);
+    } catch (error) {
+      malformed.push({ person, problems: [error.message] });
+      return;
+    }
+    
+    const problems = schema.validatePerson(record);
+    if (problems.length > 0) {
+      malformed.push({ person, problems });
+    } else if (record !== person) {
+      migrated.push(record);
+    }
+  });
+  
+  if (backupPath) {
+    if (migrated.length > 0 || malformed.length > 0 || unreadable.length > 0) {
+      logDebug(`People data from before the upgrade kept in ${backupPath}`);
+    } else {
+      await fs.promises.rm(backupPath, { force: true });
+    }
+  }
+  
+  for (const line of unreadable) {
+    await run(quarantineDb, 'insert', { line, problems: ['line could not be read'], quarantinedAt: new Date() });
+  }
+  if (unreadable.length > 0) {
+    console.error(`${unreadable.length} unreadable lines of people.db moved to quarantine`);
+  }
+  
+  for (const record of migrated) {
+    await run(db, 'update', { _id: record._id }, record, {});
+  }
+  
+  for (const { person, problems } of malformed) {
+    await run(quarantineDb, 'insert', { record: person, problems, quarantinedAt: new Date() });
+    await run(db, 'remove', { _id: person._id }, {});
+    console.error(`Person ${person._id} moved to quarantine: ${problems.join(', ')}`);
+  }
+  
+  if (storedVersion !== schema.SCHEMA_VERSION) {
+    await setSchemaVersion(schema.SCHEMA_VERSION);
+  }
+  
+  logDebug(`People at schema version ${schema.SCHEMA_VERSION} (was ${storedVersion}): ` +
+    `${migrated.length} migrated, ${malformed.length + unreadable.length} quarantined`);
+}
+
+/**
+ * Throw if changing a person would leave their record malformed
+ * @param {string} id - Person ID
+ * @param {Function} change - Returns a changed copy of the stored record
+ * @returns {Promise<void>}
+ */
+async function checkPersonChange(id, change) {
+  const person = await run(db, 'findOne', { _id: id });
+  if (!person) return;
+  
+  const problems = schema.validatePerson(change(person));
+  if (problems.length > 0) {
+    throw new Error(`Person ${person.name || id} cannot be saved: ${problems.join(', ')}`);
+  }
+}
+
+/**
+ * Throw if field names reach into a field instead of naming it
+ * Changes like "faceDescriptors.0.path" would get past the record checks.
+ * @param {Array<string>} fields - Field names
+ */
+function checkFieldNames(fields) {
+  if (fields.some(field => field.includes('.'))) {
+    throw new Error('Only whole fields of a person can be changed');
+  }
+}
+
+/**
+ * Initialize the database with the correct user data path
+ * The vault must be unlocked first. Once the database is open, further
+ * calls do nothing; after a failure the next call tries again.
+ * @param {string} userDataPath - Path to user data directory
+ * @returns {Promise<boolean>} Whether initialization was successful
+ */
+async function init(userDataPath) {
+  if (initialized) return true;
+  
+  try {
+    logDebug(`Initializing database with user data path: ${userDataPath}`);
+    
+    if (!vault.isUnlocked()) {
+      throw new Error('The vault must be unlocked before the database is opened');
+    }
+    
+    // Set database path
+    dbPath = userDataPath;
+    
+    // Create data directory if it doesn't exist
+    const dataDir = path.join(dbPath, 'data');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    // Schema version and people records that could not be used
+    metaDb = await openDatastore(path.join(dataDir, 'meta.db'));
+    quarantineDb = await openDatastore(path.join(dataDir, 'quarantine.db'));
+    
+    const storedVersion = await getSchemaVersion();
+    if (storedVersion > schema.SCHEMA_VERSION) {
+      throw new Error('The saved people were written by a newer version of FaceRecall. Please update the app first.');
+    }
+    
+    // Initialize the database, copying the file first in case upgrading it changes anything
+    const dbFilePath = path.join(dataDir, 'people.db');
+    await restoreUnfinishedReplace(dbFilePath);
+    const backupPath = await backUpPeopleFile(dbFilePath, storedVersion);
+    db = await openDatastore(dbFilePath);
+    await upgradePeople(storedVersion, backupPath);
+    
+    // Recognition history lives in its own collection
+    historyDb = await openDatastore(path.join(dataDir, 'history.db'));
+    historyDb.ensureIndex({ fieldName: 'timestamp' });
+    historyDb.ensureIndex({ fieldName: 'personId' });
+    
+    // Faces nobody has been identified as yet
+    unknownDb = await openDatastore(path.join(dataDir, 'unknown-faces.db'));
+    unknownDb.ensureIndex({ fieldName: 'capturedAt' });
+    
+    initialized = true;
+    logDebug(`Database initialized at: ${dbFilePath}`);
+    return true;
+  } catch (error) {
+    console.error('Error initializing database:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a new person to the database
+ * The record is stored at the current schema version, and refused if it is malformed.
+ * @param {Object} person - Person object to add
+ * @returns {Promise<Object>} Added person with ID
+ */
+async function addPerson(person) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    let record;
+    try {
+      record = prepareRecord(person);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    
+    db.insert(record, (err, newDoc) => {
+      if (err) {
+        reject(err);
+      } else {
+        logDebug(`Added person: ${newDoc.name} (${newDoc._id})`);
+        resolve(newDoc);
+      }
+    });
+  });
+}
+
+/**
+ * Get all people from the database
+ * @returns {Promise<Array>} Array of all people
+ */
+async function getAllPeople() {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    db.find({}).sort({ name: 1 }).exec((err, docs) => {
+      if (err) {
+        reject(err);
+      } else {
+        logDebug(`Retrieved ${docs.length} people from database`);
+        resolve(docs);
+      }
+    });
+  });
+}
+
+/**
+ * Get a person by ID
+ * @param {string} id - Person ID
+ * @returns {Promise<Object>} Person object
+ */
+async function getPersonById(id) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    db.findOne({ _id: id }, (err, doc) => {
+      if (err) {
+        reject(err);
+      } else if (!doc) {
+        reject(new Error(`Person with ID ${id} not found`));
+      } else {
+        resolve(doc);
+      }
+    });
+  });
+}
+
+/**
+ * Update a person
+ * Nothing is changed if the updated record would be malformed.
+ * @param {string} id - Person ID
+ * @param {Object} updates - Object with fields to update
+ * @returns {Promise<number>} Number of updated documents
+ */
+async function updatePerson(id, updates) {
+  if (!initialized || !db) {
+    throw new Error('Database not initialized');
+  }
+  
+  checkFieldNames(Object.keys(updates));
+  await checkPersonChange(id, person => ({ ...person, ...updates }));
+  
+  const numReplaced = await run(db, 'update', { _id: id }, { $set: updates }, {});
+  logDebug(`Updated ${numReplaced} people with ID ${id}`);
+  return numReplaced;
+}
+
+/**
+ * Remove fields from a person
+ * Nothing is changed if the record would be malformed without them.
+ * @param {string} id - Person ID
+ * @param {Array<string>} fields - Names of fields to remove
+ * @returns {Promise<number>} Number of updated documents
+ */
+async function unsetPersonFields(id, fields) {
+  if (!initialized || !db) {
+    throw new Error('Database not initialized');
+  }
+  
+  checkFieldNames(fields);
+  await checkPersonChange(id, (person) => {
+    const changed = { ...person };
+    fields.forEach(field => delete changed[field]);
+    return changed;
+  });
+  
+  const unset = {};
+  fields.forEach(field => {
+    unset[field] = true;
+  });
+  
+  const numReplaced = await run(db, 'update', { _id: id }, { $unset: unset }, {});
+  logDebug(`Removed fields ${fields.join(', ')} from person ${id}`);
+  return numReplaced;
+}
+
+/**
+ * Replace all people in one operation
+ * If inserting the new records fails, the previous records are put back.
+ * A copy of them is kept until the new records are stored, so they are also
+ * put back when the app stops in between.
+ * Nothing is replaced if any record is malformed.
+ * @param {Array} people - Person records to store
+ * @returns {Promise<Array>} Stored people
+ */
+async function replaceAllPeople(people) {
+  if (!initialized || !db) {
+    throw new Error('Database not initialized');
+  }
+  
+  const records = people.map(prepareRecord);
+  const previousDocs = await run(db, 'find', {});
+  
+  // If the app stops before the new people are stored, init puts this copy back
+  const copyPath = await writeReplaceCopy(previousDocs);
+  
+  try {
+    await run(db, 'remove', {}, { multi: true });
+    
+    // NeDB inserts an array all-or-nothing
+    const newDocs = await run(db, 'insert', records);
+    await fs.promises.rm(copyPath, { force: true });
+    
+    logDebug(`Replaced all people with ${newDocs.length} records`);
+    return newDocs;
+  } catch (error) {
+    try {
+      await run(db, 'remove', {}, { multi: true });
+      await run(db, 'insert', previousDocs);
+      await fs.promises.rm(copyPath, { force: true });
+    } catch (restoreErr) {
+      // The copy stays, so the people are put back on the next start
+      console.error('Error restoring people after failed replace:', restoreErr);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the people records that were set aside as malformed
+ * @returns {Promise<Array>} Quarantined records with their problems, newest first
+ */
+async function getQuarantinedPeople() {
+  if (!initialized || !quarantineDb) {
+    throw new Error('Database not initialized');
+  }
+  
+  const docs = await run(quarantineDb, 'find', {});
+  return docs.sort((a, b) => b.quarantinedAt - a.quarantinedAt);
+}
+
+/**
+ * Delete a person
+ * @param {string} id - Person ID
+ * @returns {Promise<number>} Number of deleted documents
+ */
+async function deletePerson(id) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    db.remove({ _id: id }, {}, (err, numRemoved) => {
+      if (err) {
+        reject(err);
+      } else {
+        logDebug(`Deleted ${numRemoved} people with ID ${id}`);
+        resolve(numRemoved);
+      }
+    });
+  });
+}
+
+/**
+ * Update last recognized timestamp
+ * @param {string} id - Person ID
+ * @returns {Promise<number>} Number of updated documents
+ */
+async function updateLastRecognized(id) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    db.update(
+      { _id: id }, 
+      { $set: { lastRecognized: new Date() } }, 
+      {}, 
+      (err, numReplaced) => {
+        if (err) {
+          reject(err);
+        } else {
+          logDebug(`Updated last recognized timestamp for person ${id}`);
+          resolve(numReplaced);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Add an image to a person
+ * @param {string} id - Person ID
+ * @param {string} imagePath - Path to image
+ * @returns {Promise<number>} Number of updated documents
+ */
+async function addImageToPerson(id, imagePath) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    db.update(
+      { _id: id }, 
+      { $push: { images: imagePath } }, 
+      {}, 
+      (err, numReplaced) => {
+        if (err) {
+          reject(err);
+        } else {
+          logDebug(`Added image to person ${id}`);
+          resolve(numReplaced);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Add a recognition event to the history
+ * @param {Object} event - Recognition event
+ * @returns {Promise<Object>} Stored event with ID
+ */
+async function addRecognitionEvent(event) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !historyDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    historyDb.insert(event, (err, newDoc) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(newDoc);
+      }
+    });
+  });
+}
+
+/**
+ * Get recognition events, newest first
+ * @param {Object} filter - Query filter
+ * @param {string|null} filter.personId - Only events for this person; null for unknown faces
+ * @param {Date} filter.from - Only events at or after this time
+ * @param {Date} filter.to - Only events before this time
+ * @param {number} filter.limit - Maximum number of events
+ * @returns {Promise<Array>} Matching events
+ */
+async function getRecognitionEvents(filter = {}) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !historyDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const query = {};
+    if (filter.personId !== undefined) {
+      query.personId = filter.personId;
+    }
+    if (filter.from || filter.to) {
+      query.timestamp = {};
+      if (filter.from) query.timestamp.$gte = new Date(filter.from);
+      if (filter.to) query.timestamp.$lt = new Date(filter.to);
+    }
+    
+    let cursor = historyDb.find(query).sort({ timestamp: -1 });
+    if (filter.limit) {
+      cursor = cursor.limit(filter.limit);
+    }
+    
+    cursor.exec((err, docs) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(docs);
+      }
+    });
+  });
+}
+
+/**
+ * Delete recognition events older than a date
+ * @param {Date} date - Events before this time are deleted
+ * @returns {Promise<number>} Number of deleted events
+ */
+async function deleteRecognitionEventsBefore(date) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !historyDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    historyDb.remove({ timestamp: { $lt: new Date(date) } }, { multi: true }, (err, numRemoved) => {
+      if (err) {
+        reject(err);
+      } else {
+        if (numRemoved > 0) {
+          historyDb.persistence.compactDatafile();
+        }
+        logDebug(`Deleted ${numRemoved} recognition events before ${new Date(date).toISOString()}`);
+        resolve(numRemoved);
+      }
+    });
+  });
+}
+
+/**
+ * Delete all recognition events
+ * @returns {Promise<number>} Number of deleted events
+ */
+async function clearRecognitionEvents() {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !historyDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    historyDb.remove({}, { multi: true }, (err, numRemoved) => {
+      if (err) {
+        reject(err);
+      } else {
+        historyDb.persistence.compactDatafile();
+        logDebug(`Cleared ${numRemoved} recognition events`);
+        resolve(numRemoved);
+      }
+    });
+  });
+}
+
+/**
+ * Add an unidentified face to the inbox
+ * @param {Object} face - Unknown face record
+ * @returns {Promise<Object>} Stored face with ID
+ */
+async function addUnknownFace(face) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !unknownDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    unknownDb.insert(face, (err, newDoc) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(newDoc);
+      }
+    });
+  });
+}
+
+/**
+ * Get all unidentified faces, oldest first
+ * @returns {Promise<Array>} Unknown face records
+ */
+async function getUnknownFaces() {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !unknownDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    unknownDb.find({}).sort({ capturedAt: 1 }).exec((err, docs) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(docs);
+      }
+    });
+  });
+}
+
+/**
+ * Delete unidentified faces
+ * @param {Array<string>} ids - IDs of the faces to delete
+ * @returns {Promise<number>} Number of deleted faces
+ */
+async function deleteUnknownFaces(ids) {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !unknownDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    unknownDb.remove({ _id: { $in: ids } }, { multi: true }, (err, numRemoved) => {
+      if (err) {
+        reject(err);
+      } else {
+        logDebug(`Deleted ${numRemoved} unknown faces`);
+        resolve(numRemoved);
+      }
+    });
+  });
+}
+
+/**
+ * Delete all unidentified faces
+ * @returns {Promise<number>} Number of deleted faces
+ */
+async function clearUnknownFaces() {
+  return new Promise((resolve, reject) => {
+    if (!initialized || !unknownDb) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    unknownDb.remove({}, { multi: true }, (err, numRemoved) => {
+      if (err) {
+        reject(err);
+      } else {
+        unknownDb.persistence.compactDatafile();
+        logDebug(`Cleared ${numRemoved} unknown faces`);
+        resolve(numRemoved);
+      }
+    });
+  });
+}
+
+/**
+ * Check if database is initialized
+ * @returns {boolean} Whether database is initialized
+ */
+function isInitialized() {
+  return initialized;
+}
+
+// Export the module functions
+module.exports = {
+  init,
+  addPerson,
+  getAllPeople,
+  getPersonById,
+  updatePerson,
+  unsetPersonFields,
+  replaceAllPeople,
+  getQuarantinedPeople,
+  deletePerson,
+  updateLastRecognized,
+  addImageToPerson,
+  addRecognitionEvent,
+  getRecognitionEvents,
+  deleteRecognitionEventsBefore,
+  clearRecognitionEvents,
+  addUnknownFace,
+  getUnknownFaces,
+  deleteUnknownFaces,
+  clearUnknownFaces,
+  isInitialized
+};
\ No newline at end of file
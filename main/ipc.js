@@ -0,0 +1,422 @@
+/**
+ * ipc.js - Renderer request handlers
+ *
+ * This module registers the IPC channels behind the API the preload script
+ * gives the renderer. The renderer has no Node access of its own, so every
+ * database change and file access goes through here, and every argument is
+ * checked before it reaches the database or the file system. Data channels
+ * refuse to work until the vault is unlocked, and channels that delete
+ * people or change settings also need the caregiver PIN once one is set.
+ */
+
+// Module dependencies
+const { app, dialog, ipcMain, protocol } = require('electron');
+const path = require('path');
+const db = require('./database');
+const storage = require('./storage');
+const backup = require('./backup');
+const settings = require('./settings');
+const pin = require('./pin');
+const vault = require('./vault');
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[IPC] ${message}`);
+}
+
+// Working folders the renderer may save photos into
+const WORKING_FOLDERS = ['unknownFaces', 'captures'];
+
+// Scheme the renderer uses to show stored photos, which are encrypted on disk
+const PHOTO_SCHEME = 'facerecall-photo';
+
+/**
+ * Throw if a value is not a non-empty string
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name for the error
+ * @returns {string} The value
+ */
+function expectString(value, name) {
+  if (typeof value !== 'string' || value === '') {
+    throw new TypeError(`${name} must be a non-empty string`);
+  }
+  return value;
+}
+
+/**
+ * Throw if a value is not a plain object, or uses database operators as keys
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name for the error
+ * @returns {Object} The value
+ */
+function expectObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(`${name} must be an object`);
+  }
+  if (Object.keys(value).some(key => key.startsWith('$'))) {
+    throw new TypeError(`${name} must not contain database operators`);
+  }
+  return value;
+}
+
+/**
+ * Throw if a value is not an array whose items pass a check
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name for the error
+ * @param {Function} check - Check for each item
+ * @returns {Array} The value
+ */
+function expectArray(value, name, check) {
+  if (!Array.isArray(value)) {
+    throw new TypeError(`${name} must be an array`);
+  }
+  value.forEach((item, index) => check(item, `${name}[${index}]`));
+  return value;
+}
+
+/**
+ * Throw if a value is not a valid date or date string
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name for the error
+ * @returns {Date|string} The value
+ */
+function expectDate(value, name) {
+  if (!(value instanceof Date || typeof value === 'string') || isNaN(new Date(value).getTime())) {
+    throw new TypeError(`${name} must be a date`);
+  }
+  return value;
+}
+
+/**
+ * Check a recognition history filter
+ * @param {*} filter - Filter from the renderer
+ * @returns {Object} The filter
+ */
+function expectHistoryFilter(filter = {}) {
+  expectObject(filter, 'filter');
+  if (filter.personId !== undefined && filter.personId !== null) expectString(filter.personId, 'filter.personId');
+  if (filter.from) expectDate(filter.from, 'filter.from');
+  if (filter.to) expectDate(filter.to, 'filter.to');
+  if (filter.limit !== undefined && !(Number.isInteger(filter.limit) && filter.limit > 0)) {
+    throw new TypeError('filter.limit must be a positive whole number');
+  }
+  return filter;
+}
+
+/**
+ * Check the name of a working folder
+ * @param {*} folder - Folder name from the renderer
+ * @returns {string} The folder name
+ */
+function expectWorkingFolder(folder) {
+  if (!WORKING_FOLDERS.includes(folder)) {
+    throw new TypeError(`Unknown folder ${folder}`);
+  }
+  return folder;
+}
+
+/**
+ * Register a channel, logging failures before they reach the renderer
+ * @param {string} channel - Channel name
+ * @param {Function} handler - Called with the renderer's arguments
+ */
+function handle(channel, handler) {
+  ipcMain.handle(channel, async (event, ...args) => {
+    try {
+      return await handler(...args);
+    } catch (error) {
+      console.error(`Error handling ${channel}:`, error);
+      throw error;
+    }
+  });
+}
+
+/**
+ * Register a channel that needs the vault to be unlocked
+ * @param {string} channel - Channel name
+ * @param {Function} handler - Called with the renderer's arguments
+ */
+function handleUnlocked(channel, handler) {
+  handle(channel, (...args) => {
+    if (!vault.isUnlocked()) {
+      throw new Error('FaceRecall is locked');
+    }
+    return handler(...args);
+  });
+}
+
+/**
+ * Register a channel that needs the caregiver PIN, once one is set
+ * @param {string} channel - Channel name
+ * @param {Function} handler - Called with the renderer's arguments
+ * @param {Function} register - How to register the channel, handleUnlocked for data channels
+ */
+function handleCaregiver(channel, handler, register = handle) {
+  register(channel, (...args) => {
+    if (!pin.isCaregiverPresent()) {
+      throw new Error('The caregiver PIN is needed');
+    }
+    return handler(...args);
+  });
+}
+
+/**
+ * Check whether the database and photo storage are open
+ * The vault can be unlocked while opening the data failed.
+ * @returns {boolean} Whether the data is ready to use
+ */
+function isDataOpen() {
+  return vault.isUnlocked() && db.isInitialized() && storage.isInitialized();
+}
+
+/**
+ * Register the vault channels
+ * Unlocking resolves to true only once the data is open; opening it is
+ * tried again on every unlock until it works.
+ * @param {Function} openData - Opens the database and photo storage
+ */
+function registerVaultHandlers(openData) {
+  handle('vault:get-status', () => ({ ...vault.getStatus(), dataOpen: isDataOpen() }));
+
+  handle('vault:set-up', async (passphrase, autoUnlock) => {
+    const recoveryKey = await vault.setUp(expectString(passphrase, 'passphrase'));
+    vault.setAutoUnlock(autoUnlock === true);
+    await openData();
+    return recoveryKey;
+  });
+
+  handle('vault:unlock', async (passphrase, autoUnlock) => {
+    if (!vault.isUnlocked()) {
+      if (!(await vault.unlock(expectString(passphrase, 'passphrase')))) return false;
+      vault.setAutoUnlock(autoUnlock === true);
+    }
+
+    await openData();
+    return true;
+  });
+
+  handle('vault:recover', async (recoveryKey, newPassphrase, autoUnlock) => {
+    const recovered = await vault.recover(
+      expectString(recoveryKey, 'recoveryKey'),
+      expectString(newPassphrase, 'newPassphrase')
+    );
+    if (!recovered) return false;
+
+    vault.setAutoUnlock(autoUnlock === true);
+    await openData();
+    return true;
+  });
+
+  handleUnlocked('vault:change-passphrase', (currentPassphrase, newPassphrase) => (
+    vault.changePassphrase(
+      expectString(currentPassphrase, 'currentPassphrase'),
+      expectString(newPassphrase, 'newPassphrase')
+    )
+  ));
+  handleUnlocked('vault:create-recovery-key', passphrase => (
+    vault.createRecoveryKey(expectString(passphrase, 'passphrase'))
+  ));
+  handleUnlocked('vault:set-auto-unlock', enabled => vault.setAutoUnlock(enabled === true));
+}
+
+/**
+ * Register the dialog channels
+ * @param {Function} getWindow - Returns the window dialogs belong to
+ */
+function registerDialogHandlers(getWindow) {
+  handle('dialog:select-photos', async () => {
+    const result = await dialog.showOpenDialog(getWindow(), {
+      properties: ['openFile', 'multiSelections'],
+      filters: [{ name: 'Images', extensions: ['jpg', 'png', 'jpeg'] }]
+    });
+
+    if (result.canceled) return [];
+
+    storage.allowFiles(result.filePaths);
+    return result.filePaths;
+  });
+}
+
+/**
+ * Register the database channels
+ */
+function registerDatabaseHandlers() {
+  handleUnlocked('database:add-person', person => {
+    storage.checkReferencedFiles([expectObject(person, 'person')], []);
+    return db.addPerson(person);
+  });
+  handleUnlocked('database:get-all-people', () => db.getAllPeople());
+  handleUnlocked('database:get-person', id => db.getPersonById(expectString(id, 'id')));
+  handleUnlocked('database:update-person', async (id, updates) => {
+    const current = await db.getPersonById(expectString(id, 'id'));
+    storage.checkReferencedFiles([expectObject(updates, 'updates')], [current]);
+    return db.updatePerson(id, updates);
+  });
+  handleUnlocked('database:unset-person-fields', (id, fields) => (
+    db.unsetPersonFields(expectString(id, 'id'), expectArray(fields, 'fields', expectString))
+  ));
+  handleCaregiver('database:replace-all-people', async people => {
+    storage.checkReferencedFiles(expectArray(people, 'people', expectObject), await db.getAllPeople());
+    return db.replaceAllPeople(people);
+  }, handleUnlocked);
+  handleUnlocked('database:get-quarantined-people', () => db.getQuarantinedPeople());
+  handleCaregiver('database:delete-person', id => db.deletePerson(expectString(id, 'id')), handleUnlocked);
+  handleUnlocked('database:update-last-recognized', id => db.updateLastRecognized(expectString(id, 'id')));
+  handleUnlocked('database:add-image', async (id, imagePath) => {
+    const current = await db.getPersonById(expectString(id, 'id'));
+    storage.checkReferencedFiles([{ images: [expectString(imagePath, 'imagePath')] }], [current]);
+    return db.addImageToPerson(id, imagePath);
+  });
+
+  handleUnlocked('database:add-recognition-event', event => db.addRecognitionEvent(expectObject(event, 'event')));
+  handleUnlocked('database:get-recognition-events', filter => db.getRecognitionEvents(expectHistoryFilter(filter)));
+  handleUnlocked('database:delete-recognition-events-before', date => (
+    db.deleteRecognitionEventsBefore(expectDate(date, 'date'))
+  ));
+  handleCaregiver('database:clear-recognition-events', () => db.clearRecognitionEvents(), handleUnlocked);
+
+  handleUnlocked('database:add-unknown-face', face => db.addUnknownFace(expectObject(face, 'face')));
+  handleUnlocked('database:get-unknown-faces', () => db.getUnknownFaces());
+  handleUnlocked('database:delete-unknown-faces', ids => db.deleteUnknownFaces(expectArray(ids, 'ids', expectString)));
+  handleCaregiver('database:clear-unknown-faces', () => db.clearUnknownFaces(), handleUnlocked);
+}
+
+/**
+ * Register the photo storage channels
+ */
+function registerPhotoHandlers() {
+  handleUnlocked('photos:import', sourcePath => storage.importPhoto(expectString(sourcePath, 'sourcePath')));
+  handleUnlocked('photos:read', filePath => storage.readDataUrl(expectString(filePath, 'filePath')));
+  handleUnlocked('photos:save-thumbnail', (hash, dataUrl) => (
+    storage.saveThumbnail(expectString(hash, 'hash'), expectString(dataUrl, 'dataUrl'))
+  ));
+  handleUnlocked('photos:remove-orphans', () => storage.removeOrphans());
+  handleUnlocked('photos:get-directories', () => storage.getDirectories());
+
+  handleUnlocked('photos:save-working', (folder, dataUrl) => (
+    storage.saveWorkingPhoto(expectWorkingFolder(folder), expectString(dataUrl, 'dataUrl'))
+  ));
+  handleUnlocked('photos:delete-working', (folder, filePath) => (
+    storage.deleteWorkingPhoto(expectWorkingFolder(folder), expectString(filePath, 'filePath'))
+  ));
+}
+
+/**
+ * Register the backup channels
+ * @param {Function} getWindow - Returns the window dialogs belong to
+ */
+function registerBackupHandlers(getWindow) {
+  handleUnlocked('backup:export', async currentSettings => {
+    expectObject(currentSettings, 'settings');
+
+    const defaultName = `face-recall-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+    const result = await dialog.showSaveDialog(getWindow(), {
+      defaultPath: path.join(app.getPath('documents'), defaultName),
+      filters: [{ name: 'FaceRecall Backup', extensions: ['zip'] }]
+    });
+    if (result.canceled || !result.filePath) return false;
+
+    return backup.writeBackup(result.filePath, currentSettings);
+  });
+
+  handleUnlocked('backup:open', async () => {
+    const result = await dialog.showOpenDialog(getWindow(), {
+      properties: ['openFile'],
+      filters: [{ name: 'FaceRecall Backup', extensions: ['zip', 'json'] }]
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+
+    return backup.openBackup(result.filePaths[0]);
+  });
+
+  handleUnlocked('backup:restore-photos', () => backup.restorePhotos());
+}
+
+/**
+ * Register the settings channels
+ */
+function registerSettingsHandlers() {
+  handle('settings:load', () => settings.load());
+  handleCaregiver('settings:save', currentSettings => settings.save(expectObject(currentSettings, 'settings')));
+}
+
+/**
+ * Register the window channels
+ * @param {Function} getWindow - Returns the main window
+ */
+function registerWindowHandlers(getWindow) {
+  handle('window:set-kiosk', (enabled) => {
+    const kiosk = enabled === true;
+    const win = getWindow();
+    win.setKiosk(kiosk);
+    win.setMenuBarVisibility(!kiosk);
+    logDebug(`Kiosk mode ${kiosk ? 'on' : 'off'}`);
+    return true;
+  });
+}
+
+/**
+ * Register the caregiver PIN channels
+ */
+function registerPinHandlers() {
+  handle('pin:get-status', () => pin.getStatus());
+  handle('pin:set', (newPin, currentPin) => pin.setPin(expectString(newPin, 'pin'), currentPin));
+  handle('pin:remove', currentPin => pin.removePin(currentPin));
+  handle('pin:verify', enteredPin => pin.verify(expectString(enteredPin, 'pin')));
+  handle('pin:lock', () => pin.lock());
+}
+
+/**
+ * Serve stored photos to the renderer, decrypted
+ * Only files the renderer may read are served, as with photos:read.
+ */
+function registerPhotoProtocol() {
+  protocol.registerBufferProtocol(PHOTO_SCHEME, async (request, callback) => {
+    const filePath = new URL(request.url).searchParams.get('path');
+
+    try {
+      if (!vault.isUnlocked() || !filePath) {
+        throw new Error('Photo not available');
+      }
+      callback({ mimeType: storage.getMimeType(filePath), data: await storage.readAllowed(filePath) });
+    } catch (error) {
+      console.error(`Error serving photo ${filePath}:`, error);
+      callback({ error: -6 }); // net::ERR_FILE_NOT_FOUND
+    }
+  });
+}
+
+/**
+ * Allow the photo scheme to be used like a normal URL scheme
+ * Must be called before the app is ready.
+ */
+function registerPhotoScheme() {
+  protocol.registerSchemesAsPrivileged([
+    { scheme: PHOTO_SCHEME, privileges: { standard: true, secure: true } }
+  ]);
+}
+
+/**
+ * Register every channel the preload script uses
+ * @param {Function} getWindow - Returns the main window, for dialogs
+ * @param {Function} openData - Opens the database and photo storage once the vault is unlocked
+ */
+function registerHandlers(getWindow, openData) {
+  registerVaultHandlers(openData);
+  registerDialogHandlers(getWindow);
+  registerDatabaseHandlers();
+  registerPhotoHandlers();
+  registerBackupHandlers(getWindow);
+  registerSettingsHandlers();
+  registerPinHandlers();
+  registerWindowHandlers(getWindow);
+  registerPhotoProtocol();
+
+  logDebug('IPC handlers registered');
+}
+
+// Export the module functions
+module.exports = {
+  registerPhotoScheme,
+  registerHandlers
+};
@@ -0,0 +1,241 @@
+/**
+ * pin.js - Caregiver PIN module
+ *
+ * This module keeps the caregiver's PIN, which keeps the patient out of the
+ * Manage and Settings tabs. Only a salted scrypt hash of the PIN is saved,
+ * in pin.json next to the settings; it is not part of backups, so every
+ * computer keeps its own PIN. Changing or removing a PIN takes the current
+ * one, and after a few wrong PINs each further try has to wait longer.
+ * Once the PIN is entered the caregiver counts as present until the
+ * renderer locks again, and caregiver-only channels are refused otherwise.
+ */
+
+// Module dependencies
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[PIN] ${message}`);
+}
+
+// Allowed PIN lengths, in digits
+const MIN_PIN_LENGTH = 4;
+const MAX_PIN_LENGTH = 8;
+
+// Hash settings
+const HASH_LENGTH = 32;
+const SALT_LENGTH = 16;
+const SCRYPT_OPTIONS = { N: 2 ** 14, r: 8, p: 1 };
+
+// Wrong PINs allowed before tries are slowed down
+const FREE_ATTEMPTS = 3;
+
+// Wait after the free attempts, doubled with every further wrong PIN
+const RETRY_DELAY_MIN_MS = 30 * 1000;
+const RETRY_DELAY_MAX_MS = 15 * 60 * 1000;
+
+// PIN state
+let pinPath = '';
+let savedPin = null;
+let failedAttempts = 0;
+let blockedUntil = 0;
+let pendingCheck = Promise.resolve();
+let caregiverPresent = false;
+
+/**
+ * Read pin.json if a PIN has been set
+ * @param {string} userDataPath - Path to user data directory
+ */
+function init(userDataPath) {
+  pinPath = path.join(userDataPath, 'data', 'pin.json');
+
+  try {
+    savedPin = JSON.parse(fs.readFileSync(pinPath, 'utf8'));
+    logDebug('Caregiver PIN loaded');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading caregiver PIN:', error);
+    }
+    savedPin = null;
+  }
+}
+
+/**
+ * Hash a PIN with a salt
+ * @param {string} pin - PIN
+ * @param {Buffer} salt - Random salt
+ * @returns {Promise<Buffer>} Hash
+ */
+function hashPin(pin, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(pin, salt, HASH_LENGTH, SCRYPT_OPTIONS, (err, hash) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(hash);
+      }
+    });
+  });
+}
+
+/**
+ * Check that a PIN is made of the allowed number of digits
+ * @param {string} pin - PIN to check
+ */
+function checkPin(pin) {
+  if (!new RegExp(`^\\d{${MIN_PIN_LENGTH},${MAX_PIN_LENGTH}}$`).test(pin)) {
+    throw new Error(`The PIN must be ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits`);
+  }
+}
+
+/**
+ * Get whether a PIN is set and what a PIN may look like
+ * @returns {Object} Status with set, minLength and maxLength
+ */
+function getStatus() {
+  return {
+    set: Boolean(savedPin),
+    minLength: MIN_PIN_LENGTH,
+    maxLength: MAX_PIN_LENGTH
+  };
+}
+
+/**
+ * Throw unless the current PIN was given, when a PIN is set
+ * @param {string} currentPin - PIN entered by the caregiver
+ * @returns {Promise<void>}
+ */
+async function requireCurrentPin(currentPin) {
+  if (!savedPin) return;
+
+  const result = await verify(currentPin);
+  if (!result.accepted) {
+    throw new Error('The current PIN is not correct');
+  }
+}
+
+/**
+ * Set or change the PIN
+ * The file is replaced in one step so a crash never leaves half a file.
+ * @param {string} pin - New PIN
+ * @param {string} currentPin - PIN being replaced, needed when one is set
+ * @returns {Promise<boolean>} Whether the PIN was saved
+ */
+async function setPin(pin, currentPin) {
+  checkPin(pin);
+  await requireCurrentPin(currentPin);
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await hashPin(pin, salt);
+  const newPin = {
+    salt: salt.toString('base64'),
+    hash: hash.toString('base64'),
+    createdAt: new Date().toISOString()
+  };
+
+  const tempPath = `${pinPath}.tmp`;
+  await fs.promises.mkdir(path.dirname(pinPath), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify(newPin, null, 2));
+  await fs.promises.rename(tempPath, pinPath);
+
+  savedPin = newPin;
+
+  // Whoever just chose the PIN is the caregiver
+  caregiverPresent = true;
+  logDebug('Caregiver PIN set');
+  return true;
+}
+
+/**
+ * Remove the PIN, leaving every tab open
+ * @param {string} currentPin - PIN being removed
+ * @returns {Promise<boolean>} Whether the PIN was removed
+ */
+async function removePin(currentPin) {
+  await requireCurrentPin(currentPin);
+
+  await fs.promises.rm(pinPath, { force: true });
+  savedPin = null;
+  caregiverPresent = false;
+  logDebug('Caregiver PIN removed');
+  return true;
+}
+
+/**
+ * Get how long until another PIN may be tried
+ * @returns {number} Seconds to wait, 0 if a PIN may be tried now
+ */
+function getRetryIn() {
+  return Math.max(0, Math.ceil((blockedUntil - Date.now()) / 1000));
+}
+
+/**
+ * Compare an entered PIN with the saved one, counting wrong PINs
+ * @param {string} pin - Entered PIN
+ * @returns {Promise<Object>} Result with accepted and retryIn (seconds)
+ */
+async function comparePin(pin) {
+  if (!savedPin) return { accepted: true, retryIn: 0 };
+  if (getRetryIn() > 0) return { accepted: false, retryIn: getRetryIn() };
+
+  const expected = Buffer.from(savedPin.hash, 'base64');
+  const hash = await hashPin(typeof pin === 'string' ? pin : '', Buffer.from(savedPin.salt, 'base64'));
+  if (crypto.timingSafeEqual(hash, expected)) {
+    failedAttempts = 0;
+    blockedUntil = 0;
+    caregiverPresent = true;
+    return { accepted: true, retryIn: 0 };
+  }
+
+  failedAttempts++;
+  if (failedAttempts >= FREE_ATTEMPTS) {
+    const delay = RETRY_DELAY_MIN_MS * 2 ** (failedAttempts - FREE_ATTEMPTS);
+    blockedUntil = Date.now() + Math.min(delay, RETRY_DELAY_MAX_MS);
+    logDebug(`${failedAttempts} wrong PINs, next try in ${getRetryIn()} seconds`);
+  }
+  return { accepted: false, retryIn: getRetryIn() };
+}
+
+/**
+ * Check an entered PIN against the saved one
+ * Checks run one at a time, so many tries at once are still slowed down.
+ * @param {string} pin - Entered PIN
+ * @returns {Promise<Object>} Result with accepted (always true when no PIN is
+ *   set) and retryIn, the seconds before another PIN may be tried
+ */
+function verify(pin) {
+  const result = pendingCheck.then(() => comparePin(pin));
+  pendingCheck = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Check whether caregiver-only actions are allowed right now
+ * @returns {boolean} Whether no PIN is set or it was entered since the last lock
+ */
+function isCaregiverPresent() {
+  return !savedPin || caregiverPresent;
+}
+
+/**
+ * Lock the caregiver areas until the PIN is entered again
+ */
+function lock() {
+  if (caregiverPresent) {
+    caregiverPresent = false;
+    logDebug('Locked');
+  }
+}
+
+// Export the module functions
+module.exports = {
+  init,
+  getStatus,
+  setPin,
+  removePin,
+  verify,
+  isCaregiverPresent,
+  lock
+};
@@ -0,0 +1,178 @@
+/**
+ * schema.js - People record schema module
+ *
+ * This module knows what a saved person looks like. Every record carries
+ * the schema version it was written with; MIGRATIONS lists, in order, the
+ * steps that bring an older record up to date. A new step gets the next
+ * version number and is added at the end, never inserted before others.
+ * validatePerson checks a record before the app relies on it.
+ */
+
+// Length of a face-api.js face descriptor
+const DESCRIPTOR_LENGTH = 128;
+
+/**
+ * Read a stored descriptor as a plain array of numbers
+ * Descriptors saved as typed arrays come back as objects keyed by index.
+ * @param {*} descriptor - Stored descriptor
+ * @returns {*} Array of numbers, or the value unchanged if it is neither form
+ */
+function toNumberArray(descriptor) {
+  if (descriptor && typeof descriptor === 'object' && !Array.isArray(descriptor)) {
+    return Object.keys(descriptor)
+      .sort((a, b) => a - b)
+      .map(key => descriptor[key]);
+  }
+  return descriptor;
+}
+
+// Ordered steps from one schema version to the next
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Keep a list of face descriptors instead of a single one',
+    migrate(person) {
+      const { faceDescriptor, ...rest } = person;
+      if (Array.isArray(person.faceDescriptors) || !faceDescriptor) {
+        return rest;
+      }
+
+      return {
+        ...rest,
+        faceDescriptors: [{
+          path: Array.isArray(person.images) && person.images.length > 0 ? person.images[0] : null,
+          descriptor: toNumberArray(faceDescriptor),
+          detectionScore: null,
+          addedAt: person.createdAt || null
+        }]
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Fill in fields that records saved by older versions lack',
+    migrate(person) {
+      return {
+        relationship: '',
+        notes: '',
+        images: [],
+        faceDescriptors: [],
+        lastRecognized: null,
+        ...person
+      };
+    }
+  }
+];
+
+// Version written by this version of the app
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version a record was written with
+ * @param {Object} person - Person record
+ * @returns {number} Version, 0 for records from before versions were kept
+ */
+function getRecordVersion(person) {
+  return Number.isInteger(person.schemaVersion) ? person.schemaVersion : 0;
+}
+
+/**
+ * Bring a record up to the current schema version
+ * @param {Object} person - Person record
+ * @returns {Object} Migrated copy, or the record itself if it was up to date
+ */
+function migratePerson(person) {
+  const version = getRecordVersion(person);
+  if (version > SCHEMA_VERSION) {
+    throw new Error('This record was saved by a newer version of FaceRecall');
+  }
+
+  return MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((record, migration) => ({
+      ...migration.migrate(record),
+      schemaVersion: migration.version
+    }), person);
+}
+
+/**
+ * Check whether a value is empty or can be read as a date
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid optional date
+ */
+function isOptionalDate(value) {
+  if (value === null || value === undefined) return true;
+  if (!(value instanceof Date) && typeof value !== 'string' && typeof value !== 'number') return false;
+  return !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Check whether a value is empty or a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid optional number
+ */
+function isOptionalNumber(value) {
+  return value === null || value === undefined || Number.isFinite(value);
+}
+
+/**
+ * Find what is wrong with a person record
+ * @param {Object} person - Person record, migrated to the current version
+ * @returns {Array<string>} Problems found; empty if the record is valid
+ */
+function validatePerson(person) {
+  const problems = [];
+
+  if (!person || typeof person !== 'object' || Array.isArray(person)) {
+    return ['record is not an object'];
+  }
+
+  if (typeof person.name !== 'string' || person.name.trim() === '') {
+    problems.push('name is missing');
+  }
+
+  ['relationship', 'notes', 'announcementTemplate'].forEach(field => {
+    if (person[field] !== null && person[field] !== undefined && typeof person[field] !== 'string') {
+      problems.push(`${field} is not text`);
+    }
+  });
+
+  if (!Array.isArray(person.images) || person.images.some(image => typeof image !== 'string' || image === '')) {
+    problems.push('images is not a list of file paths');
+  }
+
+  if (!Array.isArray(person.faceDescriptors)) {
+    problems.push('faceDescriptors is not a list');
+  } else {
+    person.faceDescriptors.forEach((entry, index) => {
+      const descriptor = entry && entry.descriptor;
+      if (!Array.isArray(descriptor) || descriptor.length !== DESCRIPTOR_LENGTH ||
+          !descriptor.every(Number.isFinite)) {
+        problems.push(`faceDescriptors[${index}] has no valid descriptor`);
+      }
+    });
+  }
+
+  ['recognitionThreshold', 'detectedAge'].forEach(field => {
+    if (!isOptionalNumber(person[field])) {
+      problems.push(`${field} is not a number`);
+    }
+  });
+
+  ['createdAt', 'lastRecognized'].forEach(field => {
+    if (!isOptionalDate(person[field])) {
+      problems.push(`${field} is not a date`);
+    }
+  });
+
+  return problems;
+}
+
+// Export the module functions
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  getRecordVersion,
+  migratePerson,
+  validatePerson
+};
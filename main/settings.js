@@ -0,0 +1,65 @@
+/**
+ * settings.js - Settings file module
+ *
+ * This module keeps the caregiver's settings in a JSON file next to the
+ * database, so they are stored and backed up with the rest of the data.
+ * Which settings exist and what they default to is decided by the
+ * renderer's settings module.
+ */
+
+// Module dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[SETTINGS] ${message}`);
+}
+
+// Location of the settings file
+let settingsPath = '';
+
+/**
+ * Initialize the settings file location under the user data path
+ * @param {string} userDataPath - Path to user data directory
+ */
+function init(userDataPath) {
+  settingsPath = path.join(userDataPath, 'data', 'settings.json');
+  logDebug(`Settings file: ${settingsPath}`);
+}
+
+/**
+ * Read the saved settings
+ * @returns {Promise<Object|null>} Saved settings, or null if none were saved yet
+ */
+async function load() {
+  try {
+    return JSON.parse(await fs.promises.readFile(settingsPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading settings:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Save the settings
+ * The file is replaced in one step so a crash never leaves half a file.
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<boolean>} Whether the settings were saved
+ */
+async function save(settings) {
+  const tempPath = `${settingsPath}.tmp`;
+  await fs.promises.mkdir(path.dirname(settingsPath), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify(settings, null, 2));
+  await fs.promises.rename(tempPath, settingsPath);
+  return true;
+}
+
+// Export the module functions
+module.exports = {
+  init,
+  load,
+  save
+};
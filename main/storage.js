@@ -0,0 +1,423 @@
+/**
+ * storage.js - File storage module
+ *
+ * This module owns every file FaceRecall keeps on disk: the managed photo
+ * copies named by content hash, their face thumbnails, the crops of
+ * unidentified visitors and the photos taken while enrolling from the
+ * camera. The renderer can only read files inside these folders, files the
+ * caregiver picked in a dialog, or photos saved people already referred to
+ * when the data was opened, and people may only be saved with those photos.
+ * Everything stored here is encrypted with the key from the vault module.
+ */
+
+// Module dependencies
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('./database');
+const vault = require('./vault');
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[STORAGE] ${message}`);
+}
+
+// Image types that can be stored, by file extension
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+// Storage folders
+const dirs = {
+  photos: '',
+  thumbnails: '',
+  unknownFaces: '',
+  captures: ''
+};
+
+// Files the caregiver picked in a dialog during this session
+const selectedFiles = new Set();
+
+// Photos outside managed storage that saved people referred to when the data was opened
+const legacyFiles = new Set();
+
+let initialized = false;
+
+/**
+ * Create the storage folders under the user data path
+ * Photos left over from an enrollment that was never saved are removed.
+ * Once storage is open, further calls do nothing.
+ * @param {string} userDataPath - Path to user data directory
+ * @returns {Promise<boolean>} Whether initialization was successful
+ */
+async function init(userDataPath) {
+  if (initialized) return true;
+
+  dirs.photos = path.join(userDataPath, 'data', 'photos');
+  dirs.thumbnails = path.join(userDataPath, 'data', 'thumbnails');
+  dirs.unknownFaces = path.join(userDataPath, 'data', 'unknown-faces');
+  dirs.captures = path.join(os.tmpdir(), 'face-recall-enroll');
+
+  await fs.promises.rm(dirs.captures, { recursive: true, force: true });
+  for (const dir of Object.values(dirs)) {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+
+  await encryptExisting();
+
+  // Records saved before photos were copied into managed storage point at the original files
+  legacyFiles.clear();
+  getReferencedFiles(await db.getAllPeople()).forEach(filePath => {
+    if (!isInside(filePath, dirs.photos) && !isInside(filePath, dirs.thumbnails)) {
+      legacyFiles.add(filePath);
+    }
+  });
+
+  initialized = true;
+  logDebug(`Storage initialized at: ${path.dirname(dirs.photos)}`);
+  return true;
+}
+
+/**
+ * Read a file, decrypting it if it was stored encrypted
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Buffer>} Plain file contents
+ */
+async function readFile(filePath) {
+  const data = await fs.promises.readFile(filePath);
+  return vault.isEncrypted(data) ? vault.decrypt(data) : data;
+}
+
+/**
+ * Write a file encrypted
+ * @param {string} filePath - Path to the file
+ * @param {Buffer} data - Plain file contents
+ * @returns {Promise<void>}
+ */
+async function writeFile(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, vault.encrypt(data));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Encrypt photos stored before encryption was set up
+ * @returns {Promise<number>} Number of files encrypted
+ */
+async function encryptExisting() {
+  let encrypted = 0;
+
+  for (const dir of [dirs.photos, dirs.thumbnails, dirs.unknownFaces]) {
+    for (const file of await fs.promises.readdir(dir)) {
+      const filePath = path.join(dir, file);
+      try {
+        const data = await fs.promises.readFile(filePath);
+        if (!vault.isEncrypted(data)) {
+          await writeFile(filePath, data);
+          encrypted++;
+        }
+      } catch (error) {
+        console.error(`Error encrypting ${filePath}:`, error);
+      }
+    }
+  }
+
+  if (encrypted > 0) {
+    logDebug(`Encrypted ${encrypted} stored photos`);
+  }
+  return encrypted;
+}
+
+/**
+ * Check whether a path lies inside a folder
+ * @param {string} filePath - Path to check
+ * @param {string} dir - Folder
+ * @returns {boolean} Whether the file is in the folder
+ */
+function isInside(filePath, dir) {
+  return path.resolve(filePath).startsWith(dir + path.sep);
+}
+
+/**
+ * Check if a path points into managed photo storage
+ * @param {string} filePath - Path to check
+ * @returns {boolean} Whether the file is a managed copy
+ */
+function isManaged(filePath) {
+  return initialized && (isInside(filePath, dirs.photos) || isInside(filePath, dirs.thumbnails));
+}
+
+/**
+ * Remember files the caregiver picked, so they may be read
+ * @param {Array<string>} filePaths - Picked files
+ */
+function allowFiles(filePaths) {
+  filePaths.forEach(filePath => selectedFiles.add(path.resolve(filePath)));
+}
+
+/**
+ * Check whether a photo is one the renderer may already read and people may be saved with
+ * Paths named inside files, such as older JSON exports, do not count.
+ * @param {string} filePath - Path to check
+ * @returns {boolean} Whether the photo is managed, picked by the caregiver or already used
+ */
+function isKnownFile(filePath) {
+  if (typeof filePath !== 'string' || filePath === '') return false;
+
+  const resolved = path.resolve(filePath);
+  return isManaged(resolved) || selectedFiles.has(resolved) || legacyFiles.has(resolved);
+}
+
+/**
+ * Check whether the renderer may read a file
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} Whether the file may be read
+ */
+async function canRead(filePath) {
+  if (!initialized || !MIME_TYPES[path.extname(filePath).toLowerCase()]) return false;
+
+  const resolved = path.resolve(filePath);
+  return Object.values(dirs).some(dir => isInside(resolved, dir)) ||
+    selectedFiles.has(resolved) ||
+    legacyFiles.has(resolved);
+}
+
+/**
+ * Throw if people would be saved with photos FaceRecall did not store and the caregiver did not pick
+ * Photos the records already referred to may stay, so records from before
+ * photos were copied into managed storage can still be edited.
+ * @param {Array} records - Records or updates about to be saved
+ * @param {Array} previous - The same records as they are saved now
+ */
+function checkReferencedFiles(records, previous) {
+  const known = getReferencedFiles(previous);
+
+  getReferencedFiles(records).forEach(filePath => {
+    if (!isManaged(filePath) && !selectedFiles.has(filePath) && !known.has(filePath)) {
+      throw new Error(`${filePath} was not stored by FaceRecall or picked by the caregiver`);
+    }
+  });
+}
+
+/**
+ * Read a file the renderer is allowed to see
+ * @param {string} filePath - Path to the image
+ * @returns {Promise<Buffer>} File contents
+ */
+async function readAllowed(filePath) {
+  if (!(await canRead(filePath))) {
+    throw new Error('This file cannot be opened by FaceRecall');
+  }
+  return readFile(filePath);
+}
+
+/**
+ * Read an image as a data URL
+ * @param {string} filePath - Path to the image
+ * @returns {Promise<string>} Data URL
+ */
+async function readDataUrl(filePath) {
+  const data = await readAllowed(filePath);
+  return `data:${getMimeType(filePath)};base64,${data.toString('base64')}`;
+}
+
+/**
+ * Get the MIME type of an image from its extension
+ * @param {string} filePath - Path to the image
+ * @returns {string} MIME type
+ */
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()];
+}
+
+/**
+ * Decode a JPEG data URL made by a canvas
+ * @param {string} dataUrl - Data URL
+ * @returns {Buffer} Image bytes
+ */
+function decodeJpeg(dataUrl) {
+  const prefix = 'data:image/jpeg;base64,';
+  if (!dataUrl.startsWith(prefix)) {
+    throw new Error('Expected a JPEG image');
+  }
+  return Buffer.from(dataUrl.slice(prefix.length), 'base64');
+}
+
+/**
+ * Copy a photo into managed storage
+ * @param {string} sourcePath - Path to the original photo
+ * @returns {Promise<Object>} Stored photo with path, hash, originalPath and its thumbnail if one exists
+ */
+async function importPhoto(sourcePath) {
+  const data = await readAllowed(sourcePath);
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  const extension = path.extname(sourcePath).toLowerCase() || '.jpg';
+  const photoPath = path.join(dirs.photos, `${hash}${extension}`);
+
+  // Identical photos share one managed copy
+  if (!fs.existsSync(photoPath)) {
+    await writeFile(photoPath, data);
+    logDebug(`Stored photo ${sourcePath} as ${photoPath}`);
+  }
+
+  const thumbnailPath = path.join(dirs.thumbnails, `${hash}.jpg`);
+
+  return {
+    path: photoPath,
+    thumbnail: fs.existsSync(thumbnailPath) ? thumbnailPath : null,
+    hash,
+    originalPath: sourcePath
+  };
+}
+
+/**
+ * Store the face thumbnail of a managed photo
+ * @param {string} hash - Content hash of the photo
+ * @param {string} dataUrl - JPEG thumbnail drawn by the renderer
+ * @returns {Promise<string>} Path to the thumbnail
+ */
+async function saveThumbnail(hash, dataUrl) {
+  if (!/^[0-9a-f]{64}$/.test(hash)) {
+    throw new Error('Invalid photo hash');
+  }
+
+  const thumbnailPath = path.join(dirs.thumbnails, `${hash}.jpg`);
+  if (!fs.existsSync(thumbnailPath)) {
+    await writeFile(thumbnailPath, decodeJpeg(dataUrl));
+    logDebug(`Created thumbnail ${thumbnailPath}`);
+  }
+  return thumbnailPath;
+}
+
+/**
+ * Get every file a list of people refers to
+ * @param {Array} people - People records
+ * @returns {Set<string>} Referenced file paths
+ */
+function getReferencedFiles(people) {
+  const referenced = new Set();
+  const add = (filePath) => {
+    if (typeof filePath === 'string' && filePath !== '') referenced.add(path.resolve(filePath));
+  };
+
+  people.forEach(person => {
+    if (Array.isArray(person.images)) {
+      person.images.forEach(add);
+    }
+
+    if (Array.isArray(person.faceDescriptors)) {
+      person.faceDescriptors.forEach(entry => {
+        if (entry) {
+          add(entry.path);
+          add(entry.thumbnail);
+        }
+      });
+    }
+  });
+
+  return referenced;
+}
+
+/**
+ * Delete managed photos and thumbnails no saved person refers to anymore
+ * @returns {Promise<number>} Number of files removed
+ */
+async function removeOrphans() {
+  if (!initialized) return 0;
+
+  const referenced = getReferencedFiles(await db.getAllPeople());
+  let removed = 0;
+
+  for (const dir of [dirs.photos, dirs.thumbnails]) {
+    try {
+      const files = await fs.promises.readdir(dir);
+
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        if (!referenced.has(filePath)) {
+          await fs.promises.unlink(filePath);
+          removed++;
+        }
+      }
+    } catch (error) {
+      console.error(`Error cleaning up ${dir}:`, error);
+    }
+  }
+
+  if (removed > 0) {
+    logDebug(`Removed ${removed} orphaned photo files`);
+  }
+
+  return removed;
+}
+
+/**
+ * Save a photo into one of the working folders
+ * @param {string} folder - 'unknownFaces' or 'captures'
+ * @param {string} dataUrl - JPEG image
+ * @returns {Promise<string>} Path to the saved photo
+ */
+async function saveWorkingPhoto(folder, dataUrl) {
+  const fileName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.jpg`;
+  const filePath = path.join(dirs[folder], fileName);
+  await writeFile(filePath, decodeJpeg(dataUrl));
+  return filePath;
+}
+
+/**
+ * Delete a photo from one of the working folders
+ * @param {string} folder - 'unknownFaces' or 'captures'
+ * @param {string} filePath - Photo to delete
+ * @returns {Promise<boolean>} Whether the photo was deleted
+ */
+async function deleteWorkingPhoto(folder, filePath) {
+  if (!isInside(filePath, dirs[folder])) {
+    throw new Error('This file cannot be deleted by FaceRecall');
+  }
+
+  await fs.promises.unlink(filePath);
+  return true;
+}
+
+/**
+ * Check if storage has been opened
+ * @returns {boolean} Whether storage is ready
+ */
+function isInitialized() {
+  return initialized;
+}
+
+/**
+ * Get the managed storage folders
+ * @returns {Object} Paths of the photos and thumbnails folders
+ */
+function getDirectories() {
+  return {
+    photos: dirs.photos,
+    thumbnails: dirs.thumbnails
+  };
+}
+
+// Export the module functions
+module.exports = {
+  init,
+  readFile,
+  writeFile,
+  isManaged,
+  allowFiles,
+  isKnownFile,
+  checkReferencedFiles,
+  readAllowed,
+  readDataUrl,
+  getMimeType,
+  importPhoto,
+  saveThumbnail,
+  removeOrphans,
+  saveWorkingPhoto,
+  deleteWorkingPhoto,
+  getDirectories,
+  isInitialized
+};
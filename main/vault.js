@@ -0,0 +1,412 @@
+/**
+ * vault.js - Encryption key module
+ *
+ * This module holds the key that encrypts the databases and stored photos.
+ * The key itself is random; keys.json only keeps it wrapped (encrypted)
+ * with a key derived from the caregiver's passphrase, and a second time
+ * with the recovery key shown once at setup. Changing the passphrase or
+ * the recovery key only re-wraps the key, so no data has to be rewritten.
+ * Optionally the key is also wrapped by the operating system's keychain so
+ * the app can unlock itself when it starts.
+ */
+
+// Module dependencies
+const { safeStorage } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[VAULT] ${message}`);
+}
+
+// Format of keys.json
+const KEY_FILE_VERSION = 1;
+
+// Cipher for data and for wrapping the key
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Marks encrypted files and database lines
+const FILE_MAGIC = Buffer.from('FRE1');
+const LINE_PREFIX = 'FRE1:';
+
+// Key derivation cost; about a tenth of a second on a typical laptop
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Shortest passphrase accepted
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Vault state
+let keyFilePath = '';
+let keyFile = null;
+let dataKey = null;
+
+/**
+ * Read keys.json if the vault has been set up
+ * @param {string} userDataPath - Path to user data directory
+ */
+function init(userDataPath) {
+  keyFilePath = path.join(userDataPath, 'data', 'keys.json');
+
+  try {
+    keyFile = JSON.parse(fs.readFileSync(keyFilePath, 'utf8'));
+    logDebug('Key file loaded');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`The key file ${keyFilePath} cannot be read: ${error.message}`);
+    }
+    keyFile = null;
+    logDebug('No key file yet, the vault needs to be set up');
+  }
+}
+
+/**
+ * Write keys.json in one step
+ */
+function saveKeyFile() {
+  const tempPath = `${keyFilePath}.tmp`;
+  fs.mkdirSync(path.dirname(keyFilePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(keyFile, null, 2));
+  fs.renameSync(tempPath, keyFilePath);
+}
+
+/**
+ * Encrypt a buffer with a key
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Buffer} IV, authentication tag and ciphertext
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt a buffer made by seal
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} sealed - IV, authentication tag and ciphertext
+ * @returns {Buffer} Decrypted data; throws if the key is wrong or the data was changed
+ */
+function open(key, sealed) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Derive a wrapping key from a secret
+ * @param {string} secret - Passphrase or recovery key
+ * @param {Buffer} salt - Random salt
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+function deriveKey(secret, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(secret.normalize('NFC'), salt, KEY_LENGTH, SCRYPT_OPTIONS, (err, key) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+/**
+ * Wrap the data key with a secret
+ * @param {Buffer} key - Data key
+ * @param {string} secret - Passphrase or recovery key
+ * @returns {Promise<Object>} Wrapped key with its salt
+ */
+async function wrapKey(key, secret) {
+  const salt = crypto.randomBytes(16);
+  return {
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    key: seal(await deriveKey(secret, salt), key).toString('base64')
+  };
+}
+
+/**
+ * Unwrap the data key with a secret
+ * @param {Object} wrapped - Wrapped key from keys.json
+ * @param {string} secret - Passphrase or recovery key
+ * @returns {Promise<Buffer|null>} Data key, or null if the secret is wrong
+ */
+async function unwrapKey(wrapped, secret) {
+  const wrappingKey = await deriveKey(secret, Buffer.from(wrapped.salt, 'base64'));
+  try {
+    return open(wrappingKey, Buffer.from(wrapped.key, 'base64'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Make a new recovery key, e.g. 3F9A-0C21-...
+ * @returns {string} Recovery key in groups of four
+ */
+function generateRecoveryKey() {
+  return crypto.randomBytes(16).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize a typed recovery key, ignoring case, spaces and dashes
+ * @param {string} recoveryKey - Recovery key as typed
+ * @returns {string} Recovery key as generated
+ */
+function normalizeRecoveryKey(recoveryKey) {
+  const hex = recoveryKey.replace(/[\s-]/g, '').toUpperCase();
+  return (hex.match(/.{1,4}/g) || []).join('-');
+}
+
+/**
+ * Throw if a passphrase is too short
+ * @param {string} passphrase - Passphrase to check
+ */
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Keep or forget the data key in the operating system's keychain
+ * @param {boolean} enabled - Whether the app should unlock by itself
+ */
+function setAutoUnlock(enabled) {
+  if (!dataKey) {
+    throw new Error('The vault is locked');
+  }
+
+  if (enabled && safeStorage.isEncryptionAvailable()) {
+    keyFile.device = safeStorage.encryptString(dataKey.toString('base64')).toString('base64');
+  } else {
+    keyFile.device = null;
+  }
+  saveKeyFile();
+  logDebug(`Automatic unlock ${keyFile.device ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Create the data key, protected by a passphrase and a new recovery key
+ * @param {string} passphrase - Caregiver passphrase
+ * @returns {Promise<string>} Recovery key, to be written down by the caregiver
+ */
+async function setUp(passphrase) {
+  if (keyFile) {
+    throw new Error('The vault is already set up');
+  }
+  checkPassphrase(passphrase);
+
+  const key = crypto.randomBytes(KEY_LENGTH);
+  const recoveryKey = generateRecoveryKey();
+
+  keyFile = {
+    version: KEY_FILE_VERSION,
+    createdAt: new Date().toISOString(),
+    passphrase: await wrapKey(key, passphrase),
+    recovery: await wrapKey(key, recoveryKey),
+    device: null
+  };
+  saveKeyFile();
+
+  dataKey = key;
+  logDebug('Vault set up');
+  return recoveryKey;
+}
+
+/**
+ * Unlock with the passphrase
+ * @param {string} passphrase - Caregiver passphrase
+ * @returns {Promise<boolean>} Whether the passphrase was right
+ */
+async function unlock(passphrase) {
+  const key = await unwrapKey(keyFile.passphrase, passphrase);
+  if (!key) return false;
+
+  dataKey = key;
+  logDebug('Vault unlocked');
+  return true;
+}
+
+/**
+ * Unlock with the keychain copy of the key, if there is one
+ * @returns {boolean} Whether the vault was unlocked
+ */
+function tryAutoUnlock() {
+  if (!keyFile || !keyFile.device || !safeStorage.isEncryptionAvailable()) return false;
+
+  try {
+    dataKey = Buffer.from(safeStorage.decryptString(Buffer.from(keyFile.device, 'base64')), 'base64');
+    logDebug('Vault unlocked from the keychain');
+    return true;
+  } catch (error) {
+    console.error('Error unlocking from the keychain:', error);
+    return false;
+  }
+}
+
+/**
+ * Unlock with the recovery key and choose a new passphrase
+ * @param {string} recoveryKey - Recovery key from setup
+ * @param {string} newPassphrase - New caregiver passphrase
+ * @returns {Promise<boolean>} Whether the recovery key was right
+ */
+async function recover(recoveryKey, newPassphrase) {
+  checkPassphrase(newPassphrase);
+
+  const key = await unwrapKey(keyFile.recovery, normalizeRecoveryKey(recoveryKey));
+  if (!key) return false;
+
+  keyFile.passphrase = await wrapKey(key, newPassphrase);
+  saveKeyFile();
+
+  dataKey = key;
+  logDebug('Vault recovered with the recovery key, passphrase replaced');
+  return true;
+}
+
+/**
+ * Replace the passphrase
+ * @param {string} currentPassphrase - Passphrase in use
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise<boolean>} Whether the current passphrase was right
+ */
+async function changePassphrase(currentPassphrase, newPassphrase) {
+  checkPassphrase(newPassphrase);
+
+  const key = await unwrapKey(keyFile.passphrase, currentPassphrase);
+  if (!key) return false;
+
+  keyFile.passphrase = await wrapKey(key, newPassphrase);
+  saveKeyFile();
+
+  logDebug('Passphrase changed');
+  return true;
+}
+
+/**
+ * Replace the recovery key, e.g. after the old one was lost
+ * @param {string} passphrase - Caregiver passphrase
+ * @returns {Promise<string|null>} New recovery key, or null if the passphrase was wrong
+ */
+async function createRecoveryKey(passphrase) {
+  const key = await unwrapKey(keyFile.passphrase, passphrase);
+  if (!key) return null;
+
+  const recoveryKey = generateRecoveryKey();
+  keyFile.recovery = await wrapKey(key, recoveryKey);
+  saveKeyFile();
+
+  logDebug('Recovery key replaced');
+  return recoveryKey;
+}
+
+/**
+ * Describe the state of the vault
+ * @returns {Object} Whether it is set up and unlocked, and whether it unlocks by itself
+ */
+function getStatus() {
+  return {
+    setUp: Boolean(keyFile),
+    unlocked: Boolean(dataKey),
+    autoUnlock: Boolean(keyFile && keyFile.device),
+    autoUnlockAvailable: safeStorage.isEncryptionAvailable(),
+    minPassphraseLength: MIN_PASSPHRASE_LENGTH
+  };
+}
+
+/**
+ * Check whether the data key is available
+ * @returns {boolean} Whether the vault is unlocked
+ */
+function isUnlocked() {
+  return Boolean(dataKey);
+}
+
+/**
+ * Check whether file contents are encrypted
+ * @param {Buffer} data - File contents
+ * @returns {boolean} Whether the data starts with the encryption marker
+ */
+function isEncrypted(data) {
+  return data.length > FILE_MAGIC.length && data.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+}
+
+/**
+ * Encrypt file contents
+ * @param {Buffer} data - Plain file contents
+ * @returns {Buffer} Encrypted file contents
+ */
+function encrypt(data) {
+  return Buffer.concat([FILE_MAGIC, seal(dataKey, data)]);
+}
+
+/**
+ * Decrypt file contents
+ * @param {Buffer} data - Encrypted file contents
+ * @returns {Buffer} Plain file contents
+ */
+function decrypt(data) {
+  return open(dataKey, data.subarray(FILE_MAGIC.length));
+}
+
+/**
+ * Encrypt one line of a NeDB data file
+ * @param {string} line - Serialized document
+ * @returns {string} Encrypted line without line breaks
+ */
+function encryptLine(line) {
+  return LINE_PREFIX + seal(dataKey, Buffer.from(line, 'utf8')).toString('base64');
+}
+
+/**
+ * Check whether a line of a NeDB data file is encrypted
+ * @param {string} line - Line from the data file
+ * @returns {boolean} Whether the line starts with the encryption marker
+ */
+function isEncryptedLine(line) {
+  return line.startsWith(LINE_PREFIX);
+}
+
+/**
+ * Decrypt one line of a NeDB data file
+ * Lines written before encryption was set up are read as they are; NeDB
+ * rewrites the whole file when it loads, so they are encrypted from then on.
+ * @param {string} line - Line from the data file
+ * @returns {string} Serialized document
+ */
+function decryptLine(line) {
+  if (!isEncryptedLine(line)) {
+    return line;
+  }
+  return open(dataKey, Buffer.from(line.slice(LINE_PREFIX.length), 'base64')).toString('utf8');
+}
+
+// Export the module functions
+module.exports = {
+  init,
+  setUp,
+  unlock,
+  tryAutoUnlock,
+  recover,
+  changePassphrase,
+  createRecoveryKey,
+  setAutoUnlock,
+  getStatus,
+  isUnlocked,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  encryptLine,
+  isEncryptedLine,
+  decryptLine
+};
@@ -0,0 +1,385 @@
+/**
+ * announcer.js - Spoken announcement module
+ *
+ * This module decides which recognized people are announced and speaks
+ * them one after another. A person is not announced again within the
+ * cooldown, someone who has been away for a while is welcomed back, and
+ * nothing is spoken during quiet hours. People with a recorded
+ * introduction are announced in their own voice.
+ */
+
+// Module dependencies
+import * as clips from './clips.js';
+import * as i18n from './i18n.js';
+import * as recognition from './recognition.js';
+import * as settings from './settings.js';
+import * as templates from './templates.js';
+import * as utils from './utils.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[ANNOUNCER] ${message}`);
+}
+
+// Announcements waiting longer than this are dropped, the person has likely moved on
+const MAX_QUEUE_AGE = 30 * 1000;
+
+// Stop waiting for an announcement to finish after this long, in case the end event never fires
+const MAX_SPEAKING_TIME = 30 * 1000;
+
+// Announcer state
+const lastAnnounced = new Map();
+let queue = [];
+let isSpeaking = false;
+let speakingTimer = null;
+
+/**
+ * Check whether a time falls within quiet hours
+ * @param {Date} date - Time to check
+ * @returns {boolean} Whether announcements are silenced
+ */
+function isQuietTime(date = new Date()) {
+  if (!settings.getQuietHoursEnabled()) return false;
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(settings.getQuietHoursStart());
+  const end = toMinutes(settings.getQuietHoursEnd());
+
+  // Quiet hours usually run past midnight, e.g. 21:00 to 07:00
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Check whether a person was announced within the cooldown
+ * @param {string} personId - Person ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether the person should not be announced yet
+ */
+function isCoolingDown(personId, now) {
+  const last = lastAnnounced.get(personId);
+  return last !== undefined && now - last < settings.getAnnouncementCooldown() * 60 * 1000;
+}
+
+/**
+ * Check whether a person has been away long enough to be welcomed back
+ * @param {Object} face - Face result with previousSeen
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether to say "welcome back"
+ */
+function isReturning(face, now) {
+  const hours = settings.getWelcomeBackHours();
+  if (!hours || !face.previousSeen) return false;
+
+  return now - new Date(face.previousSeen).getTime() >= hours * 60 * 60 * 1000;
+}
+
+/**
+ * Check whether a match is too doubtful to announce as certain
+ * @param {Object} face - Face result with confidence
+ * @returns {boolean} Whether the match is uncertain
+ */
+function isUncertain(face) {
+  return Boolean(face.confidence && face.confidence.band === 'uncertain');
+}
+
+/**
+ * Join names into a spoken list, e.g. "Anna, Ben and Carl"
+ * @param {Array<string>} names - Names to join
+ * @returns {string} Spoken list of names
+ */
+function joinNames(names) {
+  if (names.length <= 1) {
+    return names.join('');
+  }
+
+  return i18n.t('announcement.list', {
+    names: names.slice(0, -1).join(', '),
+    last: names[names.length - 1]
+  });
+}
+
+/**
+ * Get the template for a person, their own wording if they have one
+ * @param {Object} person - Person record
+ * @param {string} mode - Announcement mode, 'name' or 'full'
+ * @returns {string} Template text
+ */
+function getTemplate(person, mode) {
+  if (person.announcementTemplate && person.announcementTemplate.trim()) {
+    return person.announcementTemplate;
+  }
+
+  return settings.getAnnouncementTemplate(mode) || templates.getDefaultTemplate(mode);
+}
+
+/**
+ * Collect the values a template can use for a face
+ * @param {Object} face - Recognized face with person, ageResult, previousSeen and returning
+ * @returns {Object} Template field values
+ */
+function getTemplateValues(face) {
+  const { person, ageResult } = face;
+
+  return {
+    name: person.name,
+    relationship: person.relationship || '',
+    notes: person.notes || '',
+    lastSeen: utils.formatTimeAgo(face.previousSeen),
+    timeOfDay: templates.getTimeOfDay(),
+    age: ageResult ? ageResult.age : '',
+    returning: Boolean(face.returning),
+    uncertain: isUncertain(face)
+  };
+}
+
+/**
+ * Build the words spoken for a group of arrivals
+ * @param {Array} faces - Recognized faces, each with person, ageResult and returning
+ * @param {string} mode - Announcement mode, 'name' or 'full'
+ * @returns {string} Text to speak
+ */
+function buildText(faces, mode) {
+  const phrases = faces
+    .map(face => templates.render(getTemplate(face.person, mode), getTemplateValues(face)))
+    .filter(phrase => phrase !== '');
+
+  return mode === 'name' ? joinNames(phrases) : phrases.join('. ');
+}
+
+/**
+ * Announce the people who just arrived, based on settings
+ * The cooldown only holds back hands-free recognition; pressing the button
+ * always gets an answer.
+ * @param {Array} faces - Recognized faces, each with person, ageResult and previousSeen
+ * @param {Object} options - Announcement options
+ * @param {boolean} options.live - Whether the faces come from hands-free recognition
+ * @returns {boolean} Whether an announcement was queued
+ */
+function announce(faces, options = {}) {
+  const mode = settings.getAnnouncementMode();
+  if (mode === 'none' || faces.length === 0) return false;
+
+  if (isQuietTime()) {
+    logDebug(`Quiet hours, not announcing ${faces.length} people`);
+    return false;
+  }
+
+  const now = Date.now();
+  const due = options.live
+    ? faces.filter(face => !isCoolingDown(face.person._id, now))
+    : faces;
+  if (due.length < faces.length) {
+    logDebug(`Skipped ${faces.length - due.length} people announced recently`);
+  }
+  if (due.length === 0) return false;
+
+  due.forEach(face => {
+    face.returning = isReturning(face, now);
+    lastAnnounced.set(face.person._id, now);
+  });
+
+  // People with a recorded introduction are played one by one; a doubtful match is never stated in their own words
+  const withClips = due.filter(face => face.person.audioClip && !isUncertain(face));
+  const others = due.filter(face => !withClips.includes(face));
+
+  withClips.forEach(face => {
+    enqueue({ clip: face.person.audioClip, text: buildText([face], mode) });
+  });
+  if (others.length > 0) {
+    enqueue({ text: buildText(others, mode) });
+  }
+  return true;
+}
+
+/**
+ * Build the announcement for a made-up visitor using the current wording
+ * @param {string} template - Template to preview, defaults to the one for the current mode
+ * @returns {string} Text that would be spoken, or an empty string when announcements are off
+ */
+function getPreviewText(template) {
+  const mode = settings.getAnnouncementMode();
+  if (mode === 'none') return '';
+
+  const face = {
+    person: {
+      name: i18n.t('announcement.sample.name'),
+      relationship: i18n.t('announcement.sample.relationship'),
+      notes: i18n.t('announcement.sample.notes'),
+      announcementTemplate: template
+    },
+    ageResult: { age: 42 },
+    previousSeen: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+    returning: true,
+    confidence: null
+  };
+
+  return buildText([face], mode);
+}
+
+/**
+ * Speak a preview of the current wording, for the test voice button
+ */
+function preview() {
+  const text = getPreviewText() || i18n.t('voice.testSentence');
+  enqueue({ text });
+}
+
+/**
+ * Add an announcement to the queue
+ * @param {Object} item - Announcement with the text to speak, and optionally a recorded clip to play instead
+ */
+function enqueue(item) {
+  if (!item.clip && !('speechSynthesis' in window)) {
+    logDebug('Speech synthesis not supported in this browser');
+    return;
+  }
+
+  queue.push({ ...item, queuedAt: Date.now() });
+  playNext();
+}
+
+/**
+ * Play the next queued announcement once the previous one has finished
+ */
+function playNext() {
+  if (isSpeaking) return;
+
+  queue = queue.filter(item => Date.now() - item.queuedAt < MAX_QUEUE_AGE);
+  const item = queue.shift();
+  if (!item) return;
+
+  let finished = false;
+  const done = () => {
+    if (finished) return;
+    finished = true;
+    isSpeaking = false;
+    clearTimeout(speakingTimer);
+    playNext();
+  };
+
+  isSpeaking = true;
+  speakingTimer = setTimeout(done, MAX_SPEAKING_TIME);
+
+  if (item.clip) {
+    // The person's own recording, with the synthetic voice if it will not play
+    clips.playClip(item.clip)
+      .then(done)
+      .catch(error => {
+        console.error('Error playing voice introduction, speaking instead:', error);
+        speak(item.text, done);
+      });
+  } else {
+    speak(item.text, done);
+  }
+}
+
+/**
+ * Speak text with the synthetic voice
+ * @param {string} text - Text to speak
+ * @param {Function} done - Called when speaking has finished or failed
+ */
+function speak(text, done) {
+  if (!('speechSynthesis' in window)) {
+    done();
+    return;
+  }
+
+  const speech = new SpeechSynthesisUtterance(text);
+  speech.lang = i18n.getLocale();
+  configureVoice(speech);
+
+  speech.onend = done;
+  speech.onerror = (event) => {
+    console.error('Error speaking announcement:', event.error);
+    done();
+  };
+
+  // Log the final voice configuration
+  logDebug(`Speaking with voice: ${speech.voice ? speech.voice.name : 'default'}, pitch: ${speech.pitch}, rate: ${speech.rate}`);
+  window.speechSynthesis.speak(speech);
+}
+
+/**
+ * Check whether a voice speaks a locale, e.g. 'es-MX' for 'es-ES' when not exact
+ * @param {SpeechSynthesisVoice} voice - Voice to check
+ * @param {string} locale - Locale such as 'es-ES'
+ * @param {boolean} exact - Whether the region must match too
+ * @returns {boolean} Whether the voice fits
+ */
+function speaksLocale(voice, locale, exact) {
+  const voiceLang = (voice.lang || '').replace('_', '-').toLowerCase();
+  const wanted = locale.toLowerCase();
+  return exact ? voiceLang === wanted : voiceLang.split('-')[0] === wanted.split('-')[0];
+}
+
+/**
+ * Apply the voice, pitch and rate from settings to an utterance
+ * A voice only fits when it speaks the current language, so after a
+ * language change a voice for that language is picked automatically.
+ * @param {SpeechSynthesisUtterance} speech - Utterance to configure
+ */
+function configureVoice(speech) {
+  const locale = i18n.getLocale();
+
+  // Check for user's preferred voice from settings
+  const preferredVoiceName = settings.getPreferredVoice();
+  let voices = recognition.getAvailableVoices();
+
+  // Ensure voices are loaded
+  if (voices.length === 0) {
+    voices = window.speechSynthesis.getVoices();
+  }
+
+  // Try to find the preferred voice
+  let voiceFound = false;
+
+  if (preferredVoiceName && voices.length > 0) {
+    const selectedVoice = voices.find(voice => voice.name === preferredVoiceName);
+    if (selectedVoice && speaksLocale(selectedVoice, locale, false)) {
+      speech.voice = selectedVoice;
+      voiceFound = true;
+      logDebug(`Using selected voice: ${selectedVoice.name}`);
+    }
+  }
+
+  // If no voice was found or set, try the auto-detected female voice
+  const detectedVoice = recognition.getDetectedVoice();
+  if (!voiceFound && detectedVoice && speaksLocale(detectedVoice, locale, false)) {
+    speech.voice = detectedVoice;
+    voiceFound = true;
+    logDebug(`Using detected female voice: ${detectedVoice.name}`);
+  }
+
+  // Otherwise any voice for the language, the exact region first
+  if (!voiceFound) {
+    const languageVoice = voices.find(voice => speaksLocale(voice, locale, true)) ||
+      voices.find(voice => speaksLocale(voice, locale, false));
+    if (languageVoice) {
+      speech.voice = languageVoice;
+      voiceFound = true;
+      logDebug(`Using voice for ${locale}: ${languageVoice.name}`);
+    }
+  }
+
+  if (!voiceFound) {
+    logDebug('No specific voice selected or detected, using system default');
+  }
+
+  // Apply pitch and rate from settings
+  speech.pitch = settings.getVoicePitch();
+  speech.rate = settings.getVoiceRate();
+}
+
+// Export the module functions
+export {
+  announce,
+  getPreviewText,
+  preview,
+  isQuietTime
+};
@@ -9,8 +9,17 @@
 let modules = {
     ui: null,
     database: null,
+    photos: null,
+    backup: null,
+    history: null,
     camera: null,
     recognition: null,
+    live: null,
+    visits: null,
+    visitors: null,
+    enroll: null,
+    calibration: null,
+    clips: null,
     people: null,
     settings: null,
     utils: null
@@ -48,7 +57,8 @@ let modules = {
       selectPhotosButton,
       exportDataButton,
       importDataButton,
-      clearDataButton
+      clearDataButton,
+      calibrateThresholdButton
     } = modules.ui.getElements();
     
     // Connect camera controls
@@ -72,15 +82,22 @@ let modules = {
     });
     
     // Connect data management
-    exportDataButton.addEventListener('click', () => modules.people.exportData());
-    importDataButton.addEventListener('click', () => modules.people.importData());
-    clearDataButton.addEventListener('click', () => modules.people.clearData());
+    exportDataButton.addEventListener('click', () => modules.backup.exportBackup());
+    importDataButton.addEventListener('click', () => modules.backup.importBackup(modules.people));
+    clearDataButton.addEventListener('click', async () => {
+      if (await modules.people.clearData()) {
+        await modules.visitors.clearInbox();
+      }
+    });
+    
+    // Connect threshold calibration
+    calibrateThresholdButton.addEventListener('click', () => modules.calibration.runCalibration(modules.people));
     
     // Apply settings
     modules.settings.applySettings();
   }
   
   // Export the module functions
-  module.exports = {
+  export {
     init
   };
\ No newline at end of file
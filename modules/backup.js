@@ -0,0 +1,116 @@
+/**
+ * backup.js - Backup and restore module
+ *
+ * This module lets the caregiver write the whole FaceRecall setup (people,
+ * face descriptors, photos and settings) into a single zip archive and
+ * restore it again, so a patient's setup can move to another computer.
+ * The archive itself is built and read by the main process
+ * (main/backup.js); previewing and merging the people happen here.
+ */
+
+// Module dependencies
+import * as db from './database.js';
+import * as settings from './settings.js';
+import * as i18n from './i18n.js';
+import * as lock from './lock.js';
+import * as merge from './merge.js';
+import * as ui from './ui.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[BACKUP] ${message}`);
+}
+
+// Backup API exposed by the preload script
+const api = window.faceRecall.backup;
+
+/**
+ * Ask where to save a backup and write it there
+ * The archive is not encrypted, so the caregiver is warned first.
+ * @returns {Promise<boolean>} Whether the backup was written
+ */
+async function exportBackup() {
+  if (!confirm(i18n.t('backup.confirmUnencrypted'))) return false;
+
+  try {
+    const written = await api.export(settings.getAllSettings());
+    if (!written) return false;
+
+    logDebug('Backup written');
+    alert(i18n.t('backup.exported'));
+    return true;
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    alert(i18n.t('backup.exportFailed'));
+    return false;
+  }
+}
+
+/**
+ * Ask for a backup file and load its contents
+ * Both zip archives and the older people-only JSON exports are accepted.
+ * @returns {Promise<Object|null>} Backup contents, or null if cancelled
+ */
+async function openBackup() {
+  const backup = await api.open();
+  if (!backup) return null;
+
+  if (!backup.modelCompatible) {
+    const proceed = confirm(i18n.t('backup.modelMismatch'));
+    if (!proceed) return null;
+  }
+
+  return backup;
+}
+
+/**
+ * Import a backup, merging with or replacing the saved people
+ * The caregiver reviews a preview and picks what happens to each person;
+ * the people are then stored in one step so a failure changes nothing.
+ * Needs the caregiver PIN if one is set.
+ * @param {Object} peopleModule - Reference to the people module
+ * @returns {Promise<boolean>} Whether the import succeeded
+ */
+async function importBackup(peopleModule) {
+  if (!(await lock.requireCaregiver())) return false;
+
+  try {
+    const backup = await openBackup();
+    if (!backup) return false;
+
+    const existingPeople = await db.getAllPeople();
+    const importedPeople = backup.people;
+    const plan = merge.planImport(existingPeople, importedPeople);
+
+    const choice = await ui.showImportPreview(plan, Boolean(backup.settings));
+    if (!choice) return false;
+
+    const finalPeople = choice.mode === 'replace'
+      ? importedPeople
+      : merge.applyImportPlan(existingPeople, plan);
+
+    // Photos go first: unused extra files are cleaned up, missing ones are not recoverable
+    const restored = await api.restorePhotos();
+    logDebug(`Restored ${restored} files from backup`);
+
+    await peopleModule.replaceAllPeople(finalPeople);
+
+    if (choice.restoreSettings && backup.settings) {
+      settings.replaceSettings(backup.settings);
+    }
+
+    alert(i18n.t('backup.imported'));
+    return true;
+  } catch (error) {
+    console.error('Error importing data:', error);
+    alert(i18n.t('backup.importFailed', { error: error.message }));
+    return false;
+  }
+}
+
+// Export the module functions
+export {
+  openBackup,
+  exportBackup,
+  importBackup
+};
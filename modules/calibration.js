@@ -0,0 +1,205 @@
+/**
+ * calibration.js - Threshold calibration module
+ *
+ * This module compares every stored face with every other one to see how
+ * far apart photos of the same person are (genuine pairs) and how close
+ * photos of different people come (impostor pairs). From that it works out
+ * error rates for each threshold, recommends one, and points out people
+ * who look alike.
+ */
+
+// Module dependencies
+import * as i18n from './i18n.js';
+import * as settings from './settings.js';
+import * as ui from './ui.js';
+import * as utils from './utils.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[CALIBRATION] ${message}`);
+}
+
+// Thresholds offered by the settings slider
+const MIN_THRESHOLD = 0.5;
+const MAX_THRESHOLD = 0.9;
+const THRESHOLD_STEP = 0.05;
+
+// Thresholds shown in the error rate table, wider than the slider for context
+const TABLE_THRESHOLDS = [0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9];
+
+// Announcing the wrong name is worse than missing someone, so false accepts count this much more
+const FALSE_ACCEPT_WEIGHT = 3;
+
+// People whose closest photos are within this margin of the threshold are flagged as look-alikes
+const CLOSE_PAIR_MARGIN = 0.05;
+
+/**
+ * Collect the descriptors of each person
+ * @param {Array} people - Person records
+ * @returns {Array} People with id, name and descriptors, skipping people without any
+ */
+function collectDescriptors(people) {
+  return people
+    .map(person => ({
+      id: person._id,
+      name: person.name,
+      descriptors: (person.faceDescriptors || [])
+        .map(entry => entry.descriptor)
+        .filter(descriptor => descriptor && descriptor.length > 0)
+    }))
+    .filter(person => person.descriptors.length > 0);
+}
+
+/**
+ * Compute genuine and impostor distances, and the closest pair for every two people
+ * @param {Array} people - People with descriptors, from collectDescriptors
+ * @returns {Object} genuine and impostor distance lists, and pairs with personA, personB and distance
+ */
+function computeDistances(people) {
+  const genuine = [];
+  const impostor = [];
+  const pairs = [];
+
+  people.forEach((person, i) => {
+    // Same person: every two of their photos
+    for (let a = 0; a < person.descriptors.length; a++) {
+      for (let b = a + 1; b < person.descriptors.length; b++) {
+        genuine.push(utils.euclideanDistance(person.descriptors[a], person.descriptors[b]));
+      }
+    }
+
+    // Different people: every photo of one against every photo of the other
+    people.slice(i + 1).forEach(other => {
+      let closest = Infinity;
+      person.descriptors.forEach(descriptorA => {
+        other.descriptors.forEach(descriptorB => {
+          const distance = utils.euclideanDistance(descriptorA, descriptorB);
+          impostor.push(distance);
+          closest = Math.min(closest, distance);
+        });
+      });
+      pairs.push({ personA: person, personB: other, distance: closest });
+    });
+  });
+
+  return { genuine, impostor, pairs };
+}
+
+/**
+ * Work out the error rates at a threshold
+ * Rates are per pair of photos; with "Closest Photo" matching a person
+ * only needs one close photo, so real misses are usually rarer.
+ * @param {Array<number>} genuine - Same-person distances
+ * @param {Array<number>} impostor - Different-person distances
+ * @param {number} threshold - Threshold to test
+ * @returns {Object} threshold, falseAcceptRate and falseRejectRate (0-1)
+ */
+function computeRates(genuine, impostor, threshold) {
+  const falseAccepts = impostor.filter(distance => distance <= threshold).length;
+  const falseRejects = genuine.filter(distance => distance > threshold).length;
+
+  return {
+    threshold,
+    falseAcceptRate: impostor.length > 0 ? falseAccepts / impostor.length : 0,
+    falseRejectRate: genuine.length > 0 ? falseRejects / genuine.length : 0
+  };
+}
+
+/**
+ * Pick the slider threshold with the lowest weighted error
+ * @param {Array<number>} genuine - Same-person distances
+ * @param {Array<number>} impostor - Different-person distances
+ * @returns {number} Recommended threshold
+ */
+function recommendThreshold(genuine, impostor) {
+  let best = null;
+
+  for (let threshold = MIN_THRESHOLD; threshold <= MAX_THRESHOLD + 1e-9; threshold += THRESHOLD_STEP) {
+    const rounded = Math.round(threshold * 100) / 100;
+    const rates = computeRates(genuine, impostor, rounded);
+    const cost = rates.falseAcceptRate * FALSE_ACCEPT_WEIGHT + rates.falseRejectRate;
+
+    // On a tie the stricter threshold wins
+    if (!best || cost < best.cost - 1e-9) {
+      best = { threshold: rounded, cost };
+    }
+  }
+
+  return best.threshold;
+}
+
+/**
+ * Analyse the saved faces
+ * @param {Array} people - Person records
+ * @param {number} currentThreshold - Threshold in use now
+ * @returns {Object} Calibration result, or one with an error message when there is too little data
+ */
+function calibrate(people, currentThreshold) {
+  const withDescriptors = collectDescriptors(people);
+
+  if (withDescriptors.length < 2) {
+    return { error: i18n.t('calibration.needPeople') };
+  }
+
+  const { genuine, impostor, pairs } = computeDistances(withDescriptors);
+
+  if (genuine.length === 0) {
+    return { error: i18n.t('calibration.needPhotos') };
+  }
+
+  const recommended = recommendThreshold(genuine, impostor);
+
+  const closePairs = pairs
+    .filter(pair => pair.distance <= Math.max(recommended, currentThreshold) + CLOSE_PAIR_MARGIN)
+    .sort((a, b) => a.distance - b.distance)
+    .map(pair => ({
+      nameA: pair.personA.name,
+      nameB: pair.personB.name,
+      distance: pair.distance
+    }));
+
+  logDebug(`Calibrated on ${genuine.length} genuine and ${impostor.length} impostor pairs, recommending ${recommended}`);
+
+  return {
+    genuine,
+    impostor,
+    rates: TABLE_THRESHOLDS.map(threshold => computeRates(genuine, impostor, threshold)),
+    currentThreshold,
+    recommended,
+    closePairs
+  };
+}
+
+/**
+ * Run the calibration wizard on the saved people
+ * @param {Object} peopleModule - Reference to the people module
+ * @returns {Promise<boolean>} Whether a new threshold was applied
+ */
+async function runCalibration(peopleModule) {
+  try {
+    const currentThreshold = parseFloat(settings.getRecognitionThreshold());
+    const result = calibrate(peopleModule.getKnownPeople(), currentThreshold);
+
+    if (result.error) {
+      alert(result.error);
+      return false;
+    }
+
+    const threshold = await ui.showCalibration(result);
+    if (threshold === null) return false;
+
+    settings.setRecognitionThreshold(threshold);
+    logDebug(`Threshold set to ${threshold}`);
+    return true;
+  } catch (error) {
+    console.error('Error calibrating threshold:', error);
+    alert(i18n.t('calibration.failed'));
+    return false;
+  }
+}
+
+// Export the module functions
+export {
+  calibrate,
+  runCalibration
+};
@@ -6,8 +6,8 @@
  */
 
 // Module dependencies
-const { ipcRenderer } = require('electron');
-const ui = require('./ui');
+import * as i18n from './i18n.js';
+import * as ui from './ui.js';
 
 // Debug helper
 function logDebug(message) {
@@ -21,6 +21,10 @@ let isTestMode = false;
 let cameraView = null;
 let cameraOverlay = null;
 
+// The Recognize tab shows the camera unless another tab borrows it
+let defaultView = null;
+let cameraTab = 'recognize';
+
 /**
  * Initialize the camera module
  */
@@ -31,6 +35,7 @@ function init() {
   const elements = ui.getElements();
   cameraView = elements.cameraView;
   cameraOverlay = elements.cameraOverlay;
+  defaultView = { view: cameraView, overlay: cameraOverlay };
   const toggleCameraButton = elements.toggleCameraButton;
   
   // Setup event listener for camera toggle
@@ -40,14 +45,63 @@ function init() {
   
   // Handle tab changes to stop camera when switching away
   document.addEventListener('tab-changed', (event) => {
-    if (event.detail.tabName !== 'recognize' && isCameraActive) {
+    if (event.detail.tabName !== cameraTab && isCameraActive) {
       stopCamera();
     }
   });
   
+  // The button label depends on the camera state, so it is not part of the page translation
+  document.addEventListener('language-changed', () => ui.updateCameraUI(isCameraActive));
+  ui.updateCameraUI(isCameraActive);
+  
   logDebug('Camera module initialized');
 }
 
+/**
+ * Show the camera in another tab's video element
+ * @param {HTMLVideoElement} view - Video element for the picture
+ * @param {HTMLCanvasElement} overlay - Canvas drawn over the video, or null
+ * @param {string} tabName - Tab the view belongs to; leaving it stops the camera
+ */
+function useView(view, overlay, tabName) {
+  if (isCameraActive) {
+    stopCamera();
+  }
+  
+  cameraView = view;
+  cameraOverlay = overlay;
+  cameraTab = tabName;
+}
+
+/**
+ * Show the camera on the Recognize tab again
+ */
+function useDefaultView() {
+  useView(defaultView.view, defaultView.overlay, 'recognize');
+}
+
+/**
+ * Check whether the camera is shown on the Recognize tab
+ * @returns {boolean} Whether the default view is in use
+ */
+function isDefaultView() {
+  return cameraView === defaultView.view;
+}
+
+/**
+ * Announce that the camera started or stopped
+ * @param {boolean} started - Whether the camera started
+ */
+function notifyCameraState(started) {
+  if (isDefaultView()) {
+    ui.updateCameraUI(started);
+  }
+  
+  document.dispatchEvent(new CustomEvent(started ? 'camera-started' : 'camera-stopped', {
+    detail: { tabName: cameraTab }
+  }));
+}
+
 /**
  * Toggle camera state (on/off)
  */
@@ -65,13 +119,20 @@ async function toggleCamera() {
 
 /**
  * Start the camera
+ * @param {Object} options - Start options
+ * @param {boolean} options.unattended - Fail quietly instead of asking, e.g. in kiosk mode
+ * @returns {Promise<boolean>} Whether the camera started
  */
-async function startCamera() {
+async function startCamera(options = {}) {
+  const unattended = Boolean(options.unattended);
+  
   // First, check if media devices API is available
   if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
     console.error("MediaDevices API not available");
-    alert("Your browser doesn't support camera access. Try updating your browser.");
-    return;
+    if (!unattended) {
+      alert(i18n.t('camera.notSupported'));
+    }
+    return false;
   }
   
   try {
@@ -82,14 +143,16 @@ async function startCamera() {
     
     if (videoDevices.length === 0) {
       logDebug("No video devices found!");
-      alert("No cameras detected on your system. Please connect a webcam.");
+      if (unattended) return false;
+      
+      alert(i18n.t('camera.noCameras'));
       
       // Add fallback for testing without camera
-      const useFallback = confirm("Would you like to use a test image instead for debugging?");
+      const useFallback = confirm(i18n.t('camera.useTestImage'));
       if (useFallback) {
         enableTestMode();
       }
-      return;
+      return false;
     }
     
     // Try with more permissive constraints
@@ -100,7 +163,13 @@ async function startCamera() {
     });
     
     logDebug("Camera access granted");
-    ui.setCameraSource(cameraStream);
+    ui.setCameraSource(cameraStream, cameraView);
+    
+    // A camera that is unplugged or crashes ends its track
+    const stream = cameraStream;
+    stream.getVideoTracks().forEach(track => {
+      track.addEventListener('ended', () => handleTrackEnded(stream));
+    });
     
     // Make sure video is playing
     cameraView.onloadedmetadata = () => {
@@ -109,27 +178,48 @@ async function startCamera() {
       
       // Setup camera overlay for drawing face boxes
       if (cameraOverlay) {
-        ui.initCameraOverlay(cameraView.videoWidth || 640, cameraView.videoHeight || 480);
+        ui.initCameraOverlay(cameraView.videoWidth || 640, cameraView.videoHeight || 480, cameraOverlay);
       }
     };
     
     isCameraActive = true;
     isTestMode = false;
-    ui.updateCameraUI(true);
+    notifyCameraState(true);
     
     logDebug("Camera setup complete");
+    return true;
   } catch (error) {
     console.error('Error accessing camera:', error);
-    alert('Could not access the camera: ' + error.message);
+    if (unattended) return false;
+    
+    alert(i18n.t('camera.accessFailed', { error: error.message }));
     
     // Offer test mode
-    const useFallback = confirm("Would you like to use a test image instead for debugging?");
+    const useFallback = confirm(i18n.t('camera.useTestImage'));
     if (useFallback) {
       enableTestMode();
     }
+    return false;
   }
 }
 
+/**
+ * Stop the camera when its picture is lost, and let others restart it
+ * @param {MediaStream} stream - Stream whose track ended
+ */
+function handleTrackEnded(stream) {
+  // Tracks also end when the camera is stopped on purpose
+  if (stream !== cameraStream) return;
+  
+  console.error('Camera stopped unexpectedly');
+  const tabName = cameraTab;
+  stopCamera();
+  
+  document.dispatchEvent(new CustomEvent('camera-error', {
+    detail: { tabName }
+  }));
+}
+
 /**
  * Enable test mode with a static image instead of camera
  */
@@ -155,19 +245,19 @@ function enableTestMode() {
     // Update UI
     isCameraActive = true;
     isTestMode = true;
-    ui.updateCameraUI(true);
+    notifyCameraState(true);
     
     // Setup camera overlay
     if (cameraOverlay) {
-      ui.initCameraOverlay(canvas.width, canvas.height);
+      ui.initCameraOverlay(canvas.width, canvas.height, cameraOverlay);
     }
     
-    alert('Test mode activated. You can click "Recognize Face" to test the recognition feature.');
+    alert(i18n.t('camera.testMode'));
   };
   
   img.onerror = function() {
     console.error("Failed to load test image");
-    alert("Could not load test image. Please make sure assets/images/default-avatar.png exists.");
+    alert(i18n.t('camera.testImageFailed'));
   };
   
   // Try to load test image
@@ -190,7 +280,7 @@ function stopCamera() {
   
   isCameraActive = false;
   isTestMode = false;
-  ui.updateCameraUI(false);
+  notifyCameraState(false);
   
   // Clear overlay
   if (cameraOverlay) {
@@ -234,11 +324,13 @@ function isActive() {
 }
 
 // Export the module functions
-module.exports = {
+export {
   init,
   toggleCamera,
   startCamera,
   stopCamera,
   takePhoto,
+  useView,
+  useDefaultView,
   isActive
 };
\ No newline at end of file
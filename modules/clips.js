@@ -0,0 +1,233 @@
+/**
+ * clips.js - Voice introduction module
+ *
+ * This module records a short spoken introduction for a person from the
+ * microphone, such as a daughter saying "Hi Mum, it's Sarah", keeps it for
+ * the person form, and plays clips back when people are announced.
+ */
+
+// Module dependencies
+import * as i18n from './i18n.js';
+import * as ui from './ui.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[CLIPS] ${message}`);
+}
+
+// Recording stops by itself after this long
+const MAX_CLIP_LENGTH = 10 * 1000;
+
+// Formats tried for recording, best first
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+
+// Clip state
+let formClip = null;
+let recorder = null;
+let stopTimer = null;
+let previewAudio = null;
+
+// Counts recordings; one that no longer matches was discarded while it ran
+let recordingId = 0;
+
+/**
+ * Initialize the voice introduction module
+ */
+function init() {
+  logDebug('Initializing clips module');
+
+  const elements = ui.getElements();
+
+  if (elements.recordClipButton) {
+    elements.recordClipButton.addEventListener('click', () => {
+      if (recorder) {
+        stopRecording();
+      } else {
+        startRecording();
+      }
+    });
+  }
+
+  if (elements.playClipButton) {
+    elements.playClipButton.addEventListener('click', () => playPreview());
+  }
+
+  if (elements.removeClipButton) {
+    elements.removeClipButton.addEventListener('click', () => setFormClip(null));
+  }
+
+  document.addEventListener('language-changed', () => showStatus());
+
+  showStatus();
+  logDebug('Clips module initialized');
+}
+
+/**
+ * Show the clip state in the person form
+ */
+function showStatus() {
+  ui.displayClipStatus({
+    recording: Boolean(recorder),
+    clip: formClip
+  });
+}
+
+/**
+ * Start recording from the microphone
+ */
+async function startRecording() {
+  const id = ++recordingId;
+  let stream = null;
+
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+
+    // The form moved on while the microphone was being opened
+    if (id !== recordingId) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const chunks = [];
+    const startedAt = Date.now();
+    const activeRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+    recorder = activeRecorder;
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    recorder.onstop = async () => {
+      stream.getTracks().forEach(track => track.stop());
+      const type = activeRecorder.mimeType || mimeType || 'audio/webm';
+      if (recorder === activeRecorder) {
+        clearTimeout(stopTimer);
+        recorder = null;
+      }
+
+      if (id !== recordingId) {
+        chunks.length = 0;
+        logDebug('Recording discarded');
+        showStatus();
+        return;
+      }
+
+      try {
+        const blob = new Blob(chunks, { type });
+        const dataUrl = await blobToDataUrl(blob);
+
+        // The form may have moved on while the clip was being read
+        if (id !== recordingId) return;
+
+        formClip = {
+          dataUrl,
+          mimeType: type,
+          duration: Date.now() - startedAt,
+          recordedAt: new Date()
+        };
+        showStatus();
+        logDebug(`Recorded ${Math.round(blob.size / 1024)} KB clip`);
+      } catch (error) {
+        console.error('Error saving voice introduction:', error);
+        alert(i18n.t('clips.saveFailed'));
+        showStatus();
+      }
+    };
+
+    recorder.start();
+    stopTimer = setTimeout(stopRecording, MAX_CLIP_LENGTH);
+    showStatus();
+    logDebug('Recording started');
+  } catch (error) {
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+    }
+    recorder = null;
+    console.error('Error starting voice recording:', error);
+    alert(i18n.t('clips.microphoneFailed'));
+    showStatus();
+  }
+}
+
+/**
+ * Stop recording; the clip is kept once the recorder has finished
+ */
+function stopRecording() {
+  if (recorder && recorder.state !== 'inactive') {
+    recorder.stop();
+  }
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Recorded audio
+ * @returns {Promise<string>} Data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Play the clip in the form so the caregiver can check it
+ */
+function playPreview() {
+  if (!formClip) return;
+
+  if (previewAudio) {
+    previewAudio.pause();
+  }
+  previewAudio = new Audio(formClip.dataUrl);
+  previewAudio.play().catch(error => {
+    console.error('Error playing voice introduction:', error);
+    alert(i18n.t('clips.playFailed'));
+  });
+}
+
+/**
+ * Set the clip shown in the person form
+ * A recording still running is discarded, so it cannot end up in another person's form.
+ * @param {Object|null} clip - Clip with dataUrl, mimeType, duration and recordedAt, or null for none
+ */
+function setFormClip(clip) {
+  recordingId++;
+  stopRecording();
+  formClip = clip || null;
+  showStatus();
+}
+
+/**
+ * Get the clip in the person form, to save with the person
+ * @returns {Object|null} Clip or null
+ */
+function getFormClip() {
+  return formClip;
+}
+
+/**
+ * Play a person's clip
+ * @param {Object} clip - Clip with dataUrl
+ * @returns {Promise<void>} Resolves when the clip has finished, rejects if it cannot be played
+ */
+function playClip(clip) {
+  return new Promise((resolve, reject) => {
+    const audio = new Audio(clip.dataUrl);
+    audio.onended = () => resolve();
+    audio.onerror = () => reject(new Error('Audio could not be decoded'));
+    audio.play().catch(reject);
+  });
+}
+
+// Export the module functions
+export {
+  init,
+  setFormClip,
+  getFormClip,
+  playClip
+};
@@ -0,0 +1,46 @@
+/**
+ * confidence.js - Match confidence module
+ *
+ * This module turns the distance between two faces into a confidence score
+ * people can read: higher means a closer match, 50% sits exactly on the
+ * recognition threshold, and each score falls into a labelled band.
+ */
+
+// Distance below the threshold at which confidence reaches 90%
+const CONFIDENCE_SPREAD = 0.15;
+
+// Lowest score of each band, best first
+const BANDS = [
+  { id: 'strong', minScore: 85, label: 'Strong match' },
+  { id: 'likely', minScore: 65, label: 'Likely match' },
+  { id: 'uncertain', minScore: 50, label: 'Uncertain match' }
+];
+
+const NO_MATCH = { id: 'none', label: 'No match' };
+
+/**
+ * Convert a face distance into a confidence score
+ * The score follows a logistic curve centred on the threshold, so it is 50%
+ * at the threshold, 90% at CONFIDENCE_SPREAD below it and 10% the same
+ * distance above it.
+ * @param {number} distance - Distance between the faces
+ * @param {number} threshold - Largest distance still counted as a match
+ * @returns {Object} score (0-100), band ('strong', 'likely', 'uncertain' or 'none') and label
+ */
+function computeConfidence(distance, threshold) {
+  const score = Math.round(100 / (1 + Math.pow(9, (distance - threshold) / CONFIDENCE_SPREAD)));
+  const band = distance <= threshold
+    ? BANDS.find(b => score >= b.minScore) || BANDS[BANDS.length - 1]
+    : NO_MATCH;
+
+  return {
+    score,
+    band: band.id,
+    label: band.label
+  };
+}
+
+// Export the module functions
+export {
+  computeConfidence
+};
@@ -0,0 +1,313 @@
+/**
+ * enroll.js - Enroll from camera module
+ *
+ * This module guides a person through a few head poses in front of the
+ * camera, captures a photo automatically when the face is good enough for
+ * each pose, and hands the photos and descriptors to the person form.
+ */
+
+// Module dependencies
+import * as camera from './camera.js';
+import * as i18n from './i18n.js';
+import * as people from './people.js';
+import * as photos from './photos.js';
+import * as quality from './quality.js';
+import * as recognition from './recognition.js';
+import * as ui from './ui.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[ENROLL] ${message}`);
+}
+
+// Poses captured in order; front comes first so the others are measured from it.
+// Their names and instructions are in the locale files under enroll.pose and enroll.instruction.
+const POSES = [
+  { id: 'front' },
+  { id: 'left' },
+  { id: 'right' },
+  { id: 'up' },
+  { id: 'down' }
+];
+
+// Time between face checks in milliseconds
+const CHECK_INTERVAL = 300;
+
+// Consecutive good checks needed before a photo is taken
+const STABLE_CHECKS = 2;
+
+// Minimum face width as a share of the frame width
+const MIN_FACE_WIDTH = 0.2;
+
+// Head pose limits, see quality.estimateHeadPose
+const FRONT_MAX_YAW = 0.1;
+const TURN_MIN_YAW = 0.25;
+const TILT_MIN_PITCH = 0.1;
+
+// Enrollment state
+let isRunning = false;
+let loopTimer = null;
+let currentPose = 0;
+let stableCount = 0;
+let baseline = null;
+let captures = [];
+let results = [];
+
+/**
+ * Initialize the enroll from camera module
+ */
+function init() {
+  logDebug('Initializing enroll module');
+
+  const elements = ui.getElements();
+
+  if (elements.enrollCameraButton) {
+    elements.enrollCameraButton.addEventListener('click', () => start());
+  }
+
+  if (elements.enrollSkipButton) {
+    elements.enrollSkipButton.addEventListener('click', () => skipPose());
+  }
+
+  if (elements.enrollCancelButton) {
+    elements.enrollCancelButton.addEventListener('click', () => finish(false));
+  }
+
+  if (elements.enrollDoneButton) {
+    elements.enrollDoneButton.addEventListener('click', () => finish(true));
+  }
+
+  // The camera stops when the caregiver leaves Manage People
+  document.addEventListener('camera-stopped', (event) => {
+    if (isRunning && event.detail.tabName === 'manage') {
+      finish(false);
+    }
+  });
+
+  logDebug('Enroll module initialized');
+}
+
+/**
+ * Open the enrollment dialog and start the camera
+ */
+async function start() {
+  if (isRunning) return;
+
+  if (!recognition.isModelsLoaded()) {
+    alert(i18n.t('enroll.notReady'));
+    return;
+  }
+
+  currentPose = 0;
+  stableCount = 0;
+  baseline = null;
+  captures = [];
+  results = POSES.map(() => null);
+
+  const elements = ui.getElements();
+  ui.showEnrollment(true);
+  showProgress();
+
+  camera.useView(elements.enrollCameraView, elements.enrollCameraOverlay, 'manage');
+  await camera.startCamera();
+
+  if (!camera.isActive()) {
+    ui.showEnrollment(false);
+    camera.useDefaultView();
+    return;
+  }
+
+  isRunning = true;
+  logDebug('Enrollment started');
+  scheduleNextCheck();
+}
+
+/**
+ * Close the dialog, optionally handing the photos to the person form
+ * @param {boolean} usePhotos - Whether to add the captured photos to the form
+ */
+function finish(usePhotos) {
+  const wasRunning = isRunning;
+  isRunning = false;
+  clearTimeout(loopTimer);
+  loopTimer = null;
+
+  if (wasRunning) {
+    camera.stopCamera();
+  }
+  camera.useDefaultView();
+  ui.showEnrollment(false);
+
+  if (usePhotos && captures.length > 0) {
+    people.addCapturedPhotos(captures);
+  } else {
+    captures.forEach(capture => {
+      photos.deleteWorkingPhoto('captures', capture.path)
+        .catch(error => console.error('Error deleting enrollment photo:', error));
+    });
+  }
+
+  logDebug(`Enrollment finished with ${captures.length} photos${usePhotos ? '' : ' discarded'}`);
+  captures = [];
+}
+
+/**
+ * Queue the next face check
+ */
+function scheduleNextCheck() {
+  if (!isRunning) return;
+  loopTimer = setTimeout(checkFrame, CHECK_INTERVAL);
+}
+
+/**
+ * Look at the current frame and capture it if it fits the current pose
+ */
+async function checkFrame() {
+  if (!isRunning || currentPose >= POSES.length) return;
+
+  try {
+    const frame = camera.takePhoto();
+    if (!frame) return;
+
+    const faces = await recognition.detectFaces(frame.canvas);
+    if (!isRunning) return;
+
+    const check = evaluateFaces(faces, frame.canvas);
+    const box = check.face ? check.face.detection.box : null;
+
+    if (!check.good) {
+      stableCount = 0;
+      ui.displayEnrollmentFeedback(check.message, box, false);
+      return;
+    }
+
+    stableCount++;
+    if (stableCount < STABLE_CHECKS) {
+      ui.displayEnrollmentFeedback(i18n.t('enroll.holdStill'), box, true);
+      return;
+    }
+
+    await capturePose(frame.canvas, check.face, check.pose);
+    ui.displayEnrollmentFeedback(i18n.t('enroll.captured'), box, true);
+  } catch (error) {
+    console.error('Error checking enrollment frame:', error);
+  } finally {
+    scheduleNextCheck();
+  }
+}
+
+/**
+ * Decide whether the detected faces are good enough for the current pose
+ * @param {Array} faces - Detection results with landmarks and descriptors
+ * @param {HTMLCanvasElement} canvas - Frame the faces were found in
+ * @returns {Object} good, message, and the face and its pose when one was found
+ */
+function evaluateFaces(faces, canvas) {
+  if (faces.length === 0) {
+    return { good: false, message: i18n.t('enroll.noFace') };
+  }
+
+  if (faces.length > 1) {
+    return { good: false, message: i18n.t('enroll.tooManyFaces') };
+  }
+
+  const face = faces[0];
+
+  // Poses are checked below, so only sharpness, lighting and size count here
+  const assessment = quality.assessFace(canvas, face, { checkPose: false });
+  if (assessment.level !== 'good') {
+    return { good: false, face, message: `${quality.describeIssues(assessment)}.` };
+  }
+
+  if (face.detection.box.width < canvas.width * MIN_FACE_WIDTH) {
+    return { good: false, face, message: i18n.t('enroll.moveCloser') };
+  }
+
+  const pose = quality.estimateHeadPose(face.landmarks);
+  const reference = baseline || { yaw: 0, pitch: quality.NEUTRAL_PITCH };
+  const yaw = pose.yaw - reference.yaw;
+  const pitch = pose.pitch - reference.pitch;
+
+  const checks = {
+    front: Math.abs(pose.yaw) <= FRONT_MAX_YAW,
+    left: yaw >= TURN_MIN_YAW,
+    right: yaw <= -TURN_MIN_YAW,
+    up: pitch <= -TILT_MIN_PITCH,
+    down: pitch >= TILT_MIN_PITCH
+  };
+
+  const poseId = POSES[currentPose].id;
+  return { good: checks[poseId], face, pose, message: i18n.t(`enroll.adjust.${poseId}`) };
+}
+
+/**
+ * Save the frame for the current pose and move on to the next one
+ * @param {HTMLCanvasElement} canvas - Camera frame
+ * @param {Object} face - Detection result with descriptor
+ * @param {Object} pose - Head pose of the face
+ */
+async function capturePose(canvas, face, pose) {
+  // Photos are kept in a temporary folder until the person is saved and they are copied into managed storage
+  const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+  const photoPath = await photos.saveWorkingPhoto('captures', dataUrl);
+
+  captures.push({
+    path: photoPath,
+    descriptor: face.descriptor,
+    detection: face.detection,
+    ageResult: typeof face.age === 'number'
+      ? { age: Math.round(face.age), gender: face.gender, genderProbability: face.genderProbability }
+      : null
+  });
+
+  if (POSES[currentPose].id === 'front') {
+    baseline = pose;
+  }
+
+  logDebug(`Captured ${POSES[currentPose].id} pose`);
+  results[currentPose] = photoPath;
+  nextPose();
+}
+
+/**
+ * Skip the current pose
+ */
+function skipPose() {
+  if (currentPose >= POSES.length) return;
+
+  results[currentPose] = 'skipped';
+  nextPose();
+}
+
+/**
+ * Move on to the next pose, finishing when all are done
+ */
+function nextPose() {
+  currentPose++;
+  stableCount = 0;
+  showProgress();
+
+  if (currentPose >= POSES.length) {
+    clearTimeout(loopTimer);
+    loopTimer = null;
+    ui.displayEnrollmentFeedback(i18n.t('enroll.posesDone'), null, true);
+  }
+}
+
+/**
+ * Update the pose list and instruction
+ */
+function showProgress() {
+  ui.displayEnrollmentProgress({
+    poses: POSES,
+    current: currentPose,
+    results
+  });
+}
+
+// Export the module functions
+export {
+  init,
+  start,
+  finish
+};
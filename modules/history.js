@@ -0,0 +1,204 @@
+/**
+ * history.js - Recognition history module
+ *
+ * This module records every recognition attempt (who was seen, when, and
+ * how close the match was), answers queries over that log and applies
+ * the retention policy chosen in settings.
+ */
+
+// Module dependencies
+import * as db from './database.js';
+import * as settings from './settings.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[HISTORY] ${message}`);
+}
+
+// How often the retention policy is re-applied while the app runs
+const RETENTION_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Hands-free recognition runs several times a second; log each identity at most this often.
+// Well under the gap that ends a visit (see visits.js), so someone who stays
+// in view still shows as one visit, without a kiosk logging all day long.
+const LIVE_EVENT_MIN_INTERVAL = 2 * 60 * 1000;
+
+// Size of the optional face crops in pixels
+const FACE_CROP_SIZE = 96;
+
+// History state
+let retentionTimer = null;
+let lastLiveEventTimes = new Map();
+
+/**
+ * Initialize the history module
+ */
+async function init() {
+  logDebug('Initializing history module');
+
+  await applyRetentionPolicy();
+  retentionTimer = setInterval(applyRetentionPolicy, RETENTION_CHECK_INTERVAL);
+
+  logDebug('History module initialized');
+}
+
+/**
+ * Delete events older than the configured retention period
+ * @returns {Promise<number>} Number of deleted events
+ */
+async function applyRetentionPolicy() {
+  const retentionDays = settings.getHistoryRetentionDays();
+  if (!retentionDays) {
+    return 0;
+  }
+
+  try {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    return await db.deleteRecognitionEventsBefore(cutoff);
+  } catch (error) {
+    console.error('Error applying history retention policy:', error);
+    return 0;
+  }
+}
+
+/**
+ * Convert face-api.js expressions to a plain object
+ * @param {Object} expressions - FaceExpressions result
+ * @returns {Object|null} Expression probabilities rounded to 3 decimals
+ */
+function toPlainExpressions(expressions) {
+  if (!expressions) return null;
+
+  const plain = {};
+  Object.keys(expressions).forEach(key => {
+    if (typeof expressions[key] === 'number') {
+      plain[key] = Math.round(expressions[key] * 1000) / 1000;
+    }
+  });
+  return plain;
+}
+
+/**
+ * Cut a small JPEG of a face out of a frame
+ * @param {HTMLCanvasElement} canvas - Frame the face was detected in
+ * @param {Object} box - Face box in canvas pixels
+ * @returns {string|null} JPEG data URL, or null if cropping failed
+ */
+function cropFace(canvas, box) {
+  try {
+    const crop = document.createElement('canvas');
+    crop.width = FACE_CROP_SIZE;
+    crop.height = FACE_CROP_SIZE;
+    crop.getContext('2d').drawImage(canvas, box.x, box.y, box.width, box.height, 0, 0, FACE_CROP_SIZE, FACE_CROP_SIZE);
+    return crop.toDataURL('image/jpeg', 0.8);
+  } catch (error) {
+    console.error('Error cropping face for history:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a live event for an identity should be logged now
+ * @param {string} identity - Person ID or 'unknown'
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether to log the event
+ */
+function shouldLogLiveEvent(identity, now) {
+  const last = lastLiveEventTimes.get(identity);
+  if (last && now - last < LIVE_EVENT_MIN_INTERVAL) {
+    return false;
+  }
+
+  lastLiveEventTimes.set(identity, now);
+  return true;
+}
+
+/**
+ * Record the faces found in one recognition pass
+ * @param {Array} faces - Face results from recognition, each with the threshold it was matched against
+ * @param {Object} context - Details of the pass
+ * @param {boolean} context.live - Whether the frame came from hands-free recognition
+ * @param {string} context.detector - Detector used
+ * @param {HTMLCanvasElement} context.canvas - Frame, used for face crops
+ * @returns {Promise<number>} Number of events stored
+ */
+async function recordRecognition(faces, context) {
+  const now = Date.now();
+  const saveCrops = settings.getHistorySaveFaceCrops();
+  let stored = 0;
+
+  for (const face of faces) {
+    const personId = face.person ? face.person._id : null;
+
+    if (context.live && !shouldLogLiveEvent(personId || 'unknown', now)) {
+      continue;
+    }
+
+    const event = {
+      timestamp: new Date(now),
+      personId,
+      personName: face.person ? face.person.name : null,
+      recognized: Boolean(face.person),
+      distance: face.distance,
+      confidence: face.confidence ? face.confidence.score : null,
+      confidenceBand: face.confidence ? face.confidence.band : null,
+      threshold: face.threshold,
+      detector: context.detector,
+      source: context.live ? 'live' : 'manual',
+      expressions: toPlainExpressions(face.expressions),
+      age: face.ageResult ? face.ageResult.age : null,
+      faceCrop: saveCrops && context.canvas && face.detection
+        ? cropFace(context.canvas, face.detection.box)
+        : null
+    };
+
+    try {
+      await db.addRecognitionEvent(event);
+      stored++;
+    } catch (error) {
+      console.error('Error recording recognition event:', error);
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Get recognition events for one person
+ * @param {string|null} personId - Person ID, or null for unknown faces
+ * @param {Date} from - Start of the range (optional)
+ * @param {Date} to - End of the range (optional)
+ * @returns {Promise<Array>} Events, newest first
+ */
+async function getEventsForPerson(personId, from, to) {
+  return db.getRecognitionEvents({ personId, from, to });
+}
+
+/**
+ * Get all recognition events in a date range
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Array>} Events, newest first
+ */
+async function getEventsBetween(from, to) {
+  return db.getRecognitionEvents({ from, to });
+}
+
+/**
+ * Delete the whole recognition history
+ * @returns {Promise<number>} Number of deleted events
+ */
+async function clearHistory() {
+  lastLiveEventTimes = new Map();
+  return db.clearRecognitionEvents();
+}
+
+// Export the module functions
+export {
+  init,
+  applyRetentionPolicy,
+  recordRecognition,
+  getEventsForPerson,
+  getEventsBetween,
+  clearHistory
+};
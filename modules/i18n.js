@@ -0,0 +1,173 @@
+/**
+ * i18n.js - Translation module
+ *
+ * This module loads the text for the chosen language from the locale files
+ * in assets/locales, looks up translated strings for the other modules,
+ * and translates the static page through its data-i18n attributes.
+ */
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[I18N] ${message}`);
+}
+
+// Location of the locale files, relative to index.html
+const LOCALES_PATH = 'assets/locales';
+
+// Languages with a locale file, and the locale used for dates and voices
+const LANGUAGES = {
+  en: { label: 'English', locale: 'en-US' },
+  es: { label: 'Español', locale: 'es-ES' }
+};
+
+// Used for any string missing from the chosen language
+const FALLBACK_LANGUAGE = 'en';
+
+// Translation state
+let language = FALLBACK_LANGUAGE;
+let messages = {};
+let fallbackMessages = {};
+const catalogs = {};
+
+/**
+ * Read a locale file
+ * @param {string} code - Language code
+ * @returns {Promise<Object>} Strings by key, or an empty object if the file cannot be read
+ */
+async function loadMessages(code) {
+  try {
+    const response = await fetch(`${LOCALES_PATH}/${code}.json`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`Error loading ${code} translations:`, error);
+    return {};
+  }
+}
+
+/**
+ * Load every locale file, so switching language needs no waiting
+ * @returns {Promise<boolean>} Whether initialization was successful
+ */
+async function init() {
+  for (const code of Object.keys(LANGUAGES)) {
+    catalogs[code] = await loadMessages(code);
+  }
+  fallbackMessages = catalogs[FALLBACK_LANGUAGE];
+
+  logDebug(`Loaded ${Object.keys(catalogs).length} languages`);
+  return true;
+}
+
+/**
+ * Pick the language of the system if there is a locale file for it
+ * @returns {string} Language code
+ */
+function detectLanguage() {
+  const code = (navigator.language || '').split('-')[0].toLowerCase();
+  return LANGUAGES[code] ? code : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Switch to another language and translate the page
+ * @param {string|null} code - Language code, or null to follow the system language
+ */
+function setLanguage(code) {
+  const next = code && LANGUAGES[code] ? code : detectLanguage();
+
+  const changed = next !== language || Object.keys(messages).length === 0;
+  language = next;
+  messages = catalogs[language] || {};
+
+  document.documentElement.lang = language;
+  translatePage();
+
+  if (changed) {
+    logDebug(`Language set to ${language}`);
+    document.dispatchEvent(new CustomEvent('language-changed', {
+      detail: { language }
+    }));
+  }
+}
+
+/**
+ * Look up a translated string
+ * `{field}` in the string is replaced with the matching parameter. When a
+ * `count` parameter is given, the `_one` form of the key is used for 1 and
+ * the `_other` form otherwise.
+ * @param {string} key - String key, e.g. 'results.unknownPerson'
+ * @param {Object} params - Values to fill in
+ * @returns {string} Translated string, or the key if there is none
+ */
+function t(key, params = {}) {
+  let fullKey = key;
+  if (typeof params.count === 'number') {
+    fullKey = `${key}_${params.count === 1 ? 'one' : 'other'}`;
+  }
+
+  const text = messages[fullKey] !== undefined ? messages[fullKey] : fallbackMessages[fullKey];
+  if (text === undefined) {
+    return key;
+  }
+
+  return text.replace(/\{(\w+)\}/g, (match, field) => (
+    params[field] !== undefined ? String(params[field]) : match
+  ));
+}
+
+/**
+ * Translate every element marked with data-i18n attributes
+ * data-i18n sets the text, data-i18n-placeholder the placeholder and
+ * data-i18n-title the tooltip.
+ * @param {ParentNode} root - Element to translate within
+ */
+function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+}
+
+/**
+ * Get the current language
+ * @returns {string} Language code
+ */
+function getLanguage() {
+  return language;
+}
+
+/**
+ * Get the locale of the current language, for dates and voices
+ * @returns {string} Locale such as 'en-US'
+ */
+function getLocale() {
+  return LANGUAGES[language].locale;
+}
+
+/**
+ * Get the languages that can be chosen
+ * @returns {Array} Languages with code and label
+ */
+function getLanguages() {
+  return Object.keys(LANGUAGES).map(code => ({ code, label: LANGUAGES[code].label }));
+}
+
+// Export the module functions
+export {
+  init,
+  setLanguage,
+  t,
+  translatePage,
+  getLanguage,
+  getLocale,
+  getLanguages
+};
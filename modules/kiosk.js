@@ -0,0 +1,267 @@
+/**
+ * kiosk.js - Kiosk mode module
+ *
+ * This module turns the app into a patient-facing display: fullscreen with
+ * no menus or tabs, large name cards, the camera started and recognizing on
+ * its own, and a clock and date while nobody is in view. The camera is
+ * started again whenever it fails. Leaving kiosk mode takes a hidden
+ * gesture (five quick taps in the top-left corner) and the caregiver PIN.
+ */
+
+// Module dependencies
+import * as camera from './camera.js';
+import * as i18n from './i18n.js';
+import * as lock from './lock.js';
+import * as settings from './settings.js';
+import * as ui from './ui.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[KIOSK] ${message}`);
+}
+
+// Window API exposed by the preload script
+const api = window.faceRecall.window;
+
+// Show the clock after this long without a face in view
+const IDLE_AFTER_MS = 30 * 1000;
+
+// Delays between attempts to start a failing camera
+const CAMERA_RETRY_MIN_MS = 5 * 1000;
+const CAMERA_RETRY_MAX_MS = 60 * 1000;
+
+// Taps in the corner, and the time they must fall in, to leave kiosk mode
+const EXIT_TAPS = 5;
+const EXIT_TAP_WINDOW_MS = 3 * 1000;
+
+// Kiosk state
+let active = false;
+let idleTimer = null;
+let clockTimer = null;
+let cameraRetryTimer = null;
+let cameraRetryDelay = CAMERA_RETRY_MIN_MS;
+let exitTaps = [];
+
+/**
+ * Initialize kiosk mode, entering it again if it was on when the app closed
+ * @returns {Promise<void>}
+ */
+async function init() {
+  logDebug('Initializing kiosk module');
+
+  const elements = ui.getElements();
+
+  elements.enterKioskButton.addEventListener('click', () => {
+    if (confirm(i18n.t('kiosk.confirmEnter'))) {
+      enter();
+    }
+  });
+  elements.kioskExitZone.addEventListener('pointerdown', handleExitTap);
+
+  // Anyone in view wakes the display, recognized or not
+  document.addEventListener('faces-detected', (event) => {
+    if (active && event.detail.count > 0) {
+      hideIdle();
+      restartIdleTimer();
+    }
+  });
+
+  document.addEventListener('camera-error', () => {
+    if (active) {
+      scheduleCameraRestart();
+    }
+  });
+
+  document.addEventListener('language-changed', () => {
+    if (clockTimer) {
+      updateClock();
+    }
+  });
+
+  if (settings.getKioskMode()) {
+    await enter();
+  }
+
+  logDebug('Kiosk module initialized');
+}
+
+/**
+ * Enter kiosk mode
+ * @returns {Promise<void>}
+ */
+async function enter() {
+  if (active) return;
+
+  active = true;
+  settings.setKioskMode(true);
+  logDebug('Entering kiosk mode');
+
+  // Nothing but the Recognize screen, and the caregiver areas locked
+  lock.lock();
+  if (ui.getActiveTab() !== 'recognize') {
+    ui.switchTab('recognize');
+  }
+  document.body.classList.add('kiosk');
+  ui.getElements().kioskExitZone.classList.remove('hidden');
+
+  try {
+    await api.setKiosk(true);
+  } catch (error) {
+    console.error('Error switching the window to kiosk mode:', error);
+  }
+
+  restartIdleTimer();
+  await startCamera();
+}
+
+/**
+ * Leave kiosk mode and show the normal window again
+ * @returns {Promise<void>}
+ */
+async function exit() {
+  if (!active) return;
+
+  active = false;
+  settings.setKioskMode(false);
+  logDebug('Leaving kiosk mode');
+
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  clearTimeout(cameraRetryTimer);
+  cameraRetryTimer = null;
+  hideIdle();
+
+  const elements = ui.getElements();
+  document.body.classList.remove('kiosk');
+  elements.kioskExitZone.classList.add('hidden');
+  elements.kioskStatus.classList.add('hidden');
+
+  try {
+    await api.setKiosk(false);
+  } catch (error) {
+    console.error('Error switching the window out of kiosk mode:', error);
+  }
+}
+
+/**
+ * Count a tap in the exit corner, asking to leave after enough quick taps
+ */
+function handleExitTap() {
+  const now = Date.now();
+  exitTaps = exitTaps.filter(time => now - time < EXIT_TAP_WINDOW_MS);
+  exitTaps.push(now);
+
+  if (exitTaps.length >= EXIT_TAPS) {
+    exitTaps = [];
+    requestExit();
+  }
+}
+
+/**
+ * Leave kiosk mode once the caregiver PIN is entered
+ * @returns {Promise<void>}
+ */
+async function requestExit() {
+  logDebug('Exit gesture recognized');
+
+  if (await lock.requireCaregiver()) {
+    await exit();
+  }
+}
+
+/**
+ * Start the camera without asking anything, trying again later if it fails
+ * @returns {Promise<void>}
+ */
+async function startCamera() {
+  cameraRetryTimer = null;
+  if (!active || camera.isActive()) return;
+
+  const started = await camera.startCamera({ unattended: true });
+  if (started) {
+    cameraRetryDelay = CAMERA_RETRY_MIN_MS;
+    ui.getElements().kioskStatus.classList.add('hidden');
+    logDebug('Camera started');
+    return;
+  }
+
+  scheduleCameraRestart();
+  cameraRetryDelay = Math.min(cameraRetryDelay * 2, CAMERA_RETRY_MAX_MS);
+}
+
+/**
+ * Try to start the camera again after a pause
+ * Until it works the clock is shown, with a note that the camera is down.
+ */
+function scheduleCameraRestart() {
+  if (cameraRetryTimer) return;
+
+  logDebug(`Camera not available, trying again in ${cameraRetryDelay / 1000} seconds`);
+  ui.getElements().kioskStatus.classList.remove('hidden');
+  showIdle();
+
+  cameraRetryTimer = setTimeout(startCamera, cameraRetryDelay);
+}
+
+/**
+ * Start counting down to showing the clock
+ */
+function restartIdleTimer() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(showIdle, IDLE_AFTER_MS);
+}
+
+/**
+ * Show the clock and date over the whole screen
+ */
+function showIdle() {
+  if (clockTimer) return;
+
+  updateClock();
+  clockTimer = setInterval(updateClock, 1000);
+  ui.getElements().kioskIdle.classList.remove('hidden');
+}
+
+/**
+ * Hide the clock and date
+ */
+function hideIdle() {
+  if (!clockTimer) return;
+
+  clearInterval(clockTimer);
+  clockTimer = null;
+  ui.getElements().kioskIdle.classList.add('hidden');
+}
+
+/**
+ * Show the current time and date in the chosen language
+ */
+function updateClock() {
+  const elements = ui.getElements();
+  const now = new Date();
+  const locale = i18n.getLocale();
+
+  elements.kioskClock.textContent = now.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' });
+  elements.kioskDate.textContent = now.toLocaleDateString(locale, {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Check if kiosk mode is on
+ * @returns {boolean} Whether the app is running as a kiosk
+ */
+function isActive() {
+  return active;
+}
+
+// Export the module functions
+export {
+  init,
+  enter,
+  exit,
+  isActive
+};
@@ -0,0 +1,151 @@
+/**
+ * live.js - Hands-free recognition module
+ *
+ * This module samples frames from the camera at a configurable rate and
+ * runs recognition on each one, so nobody has to press a button. Kiosk mode
+ * always recognizes hands-free, whatever the setting says.
+ */
+
+// Module dependencies
+import * as camera from './camera.js';
+import * as kiosk from './kiosk.js';
+import * as recognition from './recognition.js';
+import * as settings from './settings.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[LIVE] ${message}`);
+}
+
+// Live recognition state
+let loopTimer = null;
+let isRunning = false;
+let isPaused = false;
+let framesSkipped = 0;
+
+/**
+ * Initialize the live recognition module
+ */
+function init() {
+  logDebug('Initializing live recognition module');
+
+  // Follow the camera so the loop only runs while there is a picture
+  document.addEventListener('camera-started', (event) => {
+    if (event.detail.tabName === 'recognize') {
+      start();
+    }
+  });
+  document.addEventListener('camera-stopped', () => stop());
+
+  // Pause while the recognize tab is not showing
+  document.addEventListener('tab-changed', (event) => {
+    setPaused(event.detail.tabName !== 'recognize');
+  });
+
+  // Pause while the window is hidden or minimized
+  document.addEventListener('visibilitychange', () => {
+    setPaused(document.hidden);
+  });
+
+  logDebug('Live recognition module initialized');
+}
+
+/**
+ * Start the sampling loop
+ */
+function start() {
+  if (isRunning) return;
+
+  isRunning = true;
+  framesSkipped = 0;
+  logDebug('Live recognition loop started');
+  scheduleNextFrame();
+}
+
+/**
+ * Stop the sampling loop and clear any live results
+ */
+function stop() {
+  if (!isRunning) return;
+
+  isRunning = false;
+  clearTimeout(loopTimer);
+  loopTimer = null;
+  recognition.resetLiveState();
+
+  logDebug(`Live recognition loop stopped (${framesSkipped} frames skipped while busy)`);
+}
+
+/**
+ * Pause or resume the sampling loop without stopping it
+ * @param {boolean} paused - Whether the loop should be paused
+ */
+function setPaused(paused) {
+  if (isPaused === paused) return;
+
+  isPaused = paused;
+  logDebug(paused ? 'Live recognition paused' : 'Live recognition resumed');
+
+  if (paused) {
+    recognition.resetLiveState();
+  }
+}
+
+/**
+ * Schedule the next frame using the configured sampling interval
+ */
+function scheduleNextFrame() {
+  if (!isRunning) return;
+
+  loopTimer = setTimeout(processFrame, settings.getLiveRecognitionInterval());
+}
+
+/**
+ * Sample one frame and run recognition on it
+ */
+async function processFrame() {
+  try {
+    if (isPaused || !isEnabled() || !camera.isActive()) {
+      return;
+    }
+
+    // Skip this frame if the previous pass has not finished yet
+    if (recognition.isActive()) {
+      framesSkipped++;
+      return;
+    }
+
+    const imageData = camera.takePhoto();
+    if (imageData) {
+      await recognition.recognizeFace(imageData, { live: true });
+    }
+  } catch (error) {
+    console.error('Error during live recognition:', error);
+  } finally {
+    scheduleNextFrame();
+  }
+}
+
+/**
+ * Check if frames should be recognized without pressing a button
+ * @returns {boolean} Whether hands-free recognition is on
+ */
+function isEnabled() {
+  return settings.isLiveRecognitionEnabled() || kiosk.isActive();
+}
+
+/**
+ * Check if the live loop is running
+ * @returns {boolean} Whether the loop is running
+ */
+function isActive() {
+  return isRunning && !isPaused;
+}
+
+// Export the module functions
+export {
+  init,
+  start,
+  stop,
+  isActive
+};
@@ -0,0 +1,256 @@
+/**
+ * lock.js - Caregiver lock module
+ *
+ * This module keeps the patient out of the Manage and Settings tabs and away
+ * from actions that delete or replace people. Once a caregiver PIN is set,
+ * those need the PIN; after it is entered they stay open until nobody has
+ * touched the app for a while. The PIN itself is checked by the main process
+ * (main/pin.js), which only keeps a hash of it, slows down repeated wrong
+ * PINs and asks for the current PIN before changing or removing it. The main
+ * process is told when the app locks again, and refuses to delete people or
+ * save settings until the PIN is entered.
+ */
+
+// Module dependencies
+import * as i18n from './i18n.js';
+import * as settings from './settings.js';
+import * as ui from './ui.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[LOCK] ${message}`);
+}
+
+// PIN API exposed by the preload script
+const api = window.faceRecall.pin;
+
+// Tabs only the caregiver may open
+const PROTECTED_TABS = ['manage', 'settings'];
+
+// Tab shown after locking again
+const PATIENT_TAB = 'recognize';
+
+// Lock state
+let pinStatus = { set: false, minLength: 4, maxLength: 8 };
+let unlocked = false;
+let relockTimer = null;
+
+/**
+ * Initialize the caregiver lock
+ * @returns {Promise<void>}
+ */
+async function init() {
+  logDebug('Initializing caregiver lock');
+
+  pinStatus = await api.getStatus();
+
+  ui.setTabGuard(tabName => (PROTECTED_TABS.includes(tabName) ? requireCaregiver() : true));
+  setupEventListeners();
+  applyLockState();
+
+  logDebug(`Caregiver lock initialized, PIN ${pinStatus.set ? 'set' : 'not set'}`);
+}
+
+/**
+ * Set up the lock buttons, the PIN settings and activity tracking
+ */
+function setupEventListeners() {
+  const elements = ui.getElements();
+
+  elements.lockNowButton.addEventListener('click', lock);
+  elements.caregiverUnlockButton.addEventListener('click', requireCaregiver);
+  elements.setPinButton.addEventListener('click', setPin);
+  elements.removePinButton.addEventListener('click', removePin);
+
+  // Any use of the app while unlocked keeps it unlocked
+  ['pointerdown', 'keydown'].forEach(type => {
+    document.addEventListener(type, () => {
+      if (unlocked) {
+        restartRelockTimer();
+      }
+    }, true);
+  });
+
+  document.addEventListener('language-changed', applyLockState);
+}
+
+/**
+ * Check whether the caregiver areas are open right now
+ * @returns {boolean} Whether no PIN is needed
+ */
+function isUnlocked() {
+  return !pinStatus.set || unlocked;
+}
+
+/**
+ * Make sure a caregiver is present, asking for the PIN if needed
+ * @returns {Promise<boolean>} Whether the caregiver areas may be used
+ */
+async function requireCaregiver() {
+  if (isUnlocked()) {
+    restartRelockTimer();
+    return true;
+  }
+
+  if ((await askForPin()) === null) return false;
+
+  unlocked = true;
+  restartRelockTimer();
+  applyLockState();
+  logDebug('Unlocked by caregiver');
+  return true;
+}
+
+/**
+ * Ask for the caregiver PIN until it is entered correctly or the prompt is cancelled
+ * @returns {Promise<string|null>} The PIN, or null if the prompt was cancelled
+ */
+async function askForPin() {
+  let enteredPin = null;
+  const accepted = await ui.showPinPrompt(async (pin) => {
+    const error = await checkPin(pin);
+    if (!error) {
+      enteredPin = pin;
+    }
+    return error;
+  });
+  return accepted ? enteredPin : null;
+}
+
+/**
+ * Check an entered PIN with the main process
+ * @param {string} pin - Entered PIN
+ * @returns {Promise<string|null>} Message to show, or null if the PIN is correct
+ */
+async function checkPin(pin) {
+  try {
+    const result = await api.verify(pin);
+    if (result.accepted) return null;
+
+    return result.retryIn > 0
+      ? i18n.t('lock.tooManyAttempts', { seconds: result.retryIn })
+      : i18n.t('lock.wrongPin');
+  } catch (error) {
+    console.error('Error checking PIN:', error);
+    return i18n.t('lock.wrongPin');
+  }
+}
+
+/**
+ * Lock the caregiver areas and go back to the Recognize tab
+ */
+function lock() {
+  clearTimeout(relockTimer);
+  relockTimer = null;
+  if (!pinStatus.set) return;
+
+  unlocked = false;
+  api.lock().catch(error => console.error('Error locking caregiver areas:', error));
+  if (PROTECTED_TABS.includes(ui.getActiveTab())) {
+    ui.switchTab(PATIENT_TAB);
+  }
+  applyLockState();
+  logDebug('Locked');
+}
+
+/**
+ * Start counting down to locking again
+ */
+function restartRelockTimer() {
+  clearTimeout(relockTimer);
+  relockTimer = null;
+  if (!pinStatus.set) return;
+
+  relockTimer = setTimeout(lock, settings.getCaregiverRelockMinutes() * 60 * 1000);
+}
+
+/**
+ * Show the lock buttons, the PIN status and the layout that fit the current state
+ */
+function applyLockState() {
+  const elements = ui.getElements();
+  const patientOnly = pinStatus.set && !unlocked && settings.getPatientOnlyLayout();
+
+  document.body.classList.toggle('patient-only', patientOnly);
+  elements.caregiverUnlockButton.classList.toggle('hidden', !patientOnly);
+  elements.lockNowButton.classList.toggle('hidden', !pinStatus.set || !unlocked);
+  elements.removePinButton.disabled = !pinStatus.set;
+  elements.pinStatus.textContent = i18n.t(pinStatus.set ? 'lock.pinSet' : 'lock.pinNotSet');
+}
+
+/**
+ * Set or change the PIN from the values in the settings form
+ * @returns {Promise<void>}
+ */
+async function setPin() {
+  const elements = ui.getElements();
+  const pin = elements.newPin.value;
+  const pattern = new RegExp(`^\\d{${pinStatus.minLength},${pinStatus.maxLength}}$`);
+
+  if (!pattern.test(pin)) {
+    alert(i18n.t('lock.invalidPin', { min: pinStatus.minLength, max: pinStatus.maxLength }));
+    return;
+  }
+  if (pin !== elements.confirmPin.value) {
+    alert(i18n.t('lock.pinMismatch'));
+    return;
+  }
+
+  // The PIN being replaced is asked for even while unlocked
+  let currentPin = null;
+  if (pinStatus.set) {
+    currentPin = await askForPin();
+    if (currentPin === null) return;
+  }
+
+  try {
+    await api.set(pin, currentPin);
+    pinStatus = await api.getStatus();
+
+    // Whoever just chose the PIN is the caregiver
+    unlocked = true;
+    restartRelockTimer();
+
+    elements.newPin.value = '';
+    elements.confirmPin.value = '';
+    applyLockState();
+    alert(i18n.t('lock.pinSaved'));
+  } catch (error) {
+    console.error('Error setting PIN:', error);
+    alert(i18n.t('lock.pinSaveFailed'));
+  }
+}
+
+/**
+ * Remove the PIN, leaving every tab open
+ * @returns {Promise<void>}
+ */
+async function removePin() {
+  if (!confirm(i18n.t('lock.confirmRemovePin'))) return;
+
+  const currentPin = await askForPin();
+  if (currentPin === null) return;
+
+  try {
+    await api.remove(currentPin);
+    pinStatus = await api.getStatus();
+
+    // Nothing is protected anymore
+    unlocked = false;
+    clearTimeout(relockTimer);
+    relockTimer = null;
+    applyLockState();
+    alert(i18n.t('lock.pinRemoved'));
+  } catch (error) {
+    console.error('Error removing PIN:', error);
+    alert(i18n.t('lock.pinSaveFailed'));
+  }
+}
+
+// Export the module functions
+export {
+  init,
+  isUnlocked,
+  requireCaregiver,
+  lock
+};
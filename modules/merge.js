@@ -0,0 +1,262 @@
+/**
+ * merge.js - Import merge planning module
+ *
+ * This module compares imported people with the saved ones, works out which
+ * are new, updated or conflicting, and builds the merged list of people
+ * from the caregiver's choices. It does not touch the database itself.
+ */
+
+// Module dependencies
+import * as utils from './utils.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[MERGE] ${message}`);
+}
+
+// Faces closer than this are treated as the same person when ids and names differ
+const DESCRIPTOR_MATCH_DISTANCE = 0.45;
+
+// Text fields shown in the preview diff
+const COMPARED_FIELDS = ['name', 'relationship', 'notes'];
+
+/**
+ * Normalize a name for comparison
+ * @param {string} name - Person name
+ * @returns {string} Lowercased, trimmed name
+ */
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Get the smallest distance between two people's stored faces
+ * @param {Object} a - Person record
+ * @param {Object} b - Person record
+ * @returns {number} Smallest descriptor distance, or Infinity if either has none
+ */
+function getClosestFaceDistance(a, b) {
+  let closest = Infinity;
+
+  (a.faceDescriptors || []).forEach(entryA => {
+    (b.faceDescriptors || []).forEach(entryB => {
+      if (entryA.descriptor && entryB.descriptor && entryA.descriptor.length === entryB.descriptor.length) {
+        closest = Math.min(closest, utils.euclideanDistance(entryA.descriptor, entryB.descriptor));
+      }
+    });
+  });
+
+  return closest;
+}
+
+/**
+ * Find the saved person an imported record refers to
+ * @param {Object} imported - Imported person record
+ * @param {Array} candidates - Saved people not matched yet
+ * @returns {Object|null} Match with person and matchedBy ('id', 'name' or 'face')
+ */
+function findMatch(imported, candidates) {
+  const byId = candidates.find(person => imported._id && person._id === imported._id);
+  if (byId) return { person: byId, matchedBy: 'id' };
+
+  const byName = candidates.find(person => normalizeName(person.name) === normalizeName(imported.name));
+  if (byName) return { person: byName, matchedBy: 'name' };
+
+  let byFace = null;
+  let closestDistance = DESCRIPTOR_MATCH_DISTANCE;
+  candidates.forEach(person => {
+    const distance = getClosestFaceDistance(imported, person);
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      byFace = person;
+    }
+  });
+  if (byFace) return { person: byFace, matchedBy: 'face' };
+
+  return null;
+}
+
+/**
+ * Compare a saved person with an imported one
+ * @param {Object} existing - Saved person record
+ * @param {Object} imported - Imported person record
+ * @returns {Object} Field changes, number of new photos and whether the records conflict
+ */
+function comparePeople(existing, imported) {
+  const changes = [];
+  let conflicting = false;
+
+  COMPARED_FIELDS.forEach(field => {
+    const from = existing[field] || '';
+    const to = imported[field] || '';
+
+    if (from !== to && to !== '') {
+      changes.push({ field, from, to });
+
+      // Overwriting something the caregiver already filled in needs a decision
+      if (from !== '') {
+        conflicting = true;
+      }
+    }
+  });
+
+  const existingImages = new Set(existing.images || []);
+  const newPhotos = (imported.images || []).filter(imagePath => !existingImages.has(imagePath)).length;
+
+  return { changes, newPhotos, conflicting };
+}
+
+/**
+ * Build an import plan describing what happens to each imported person
+ * @param {Array} existingPeople - Saved people
+ * @param {Array} importedPeople - People from the import file
+ * @returns {Array} Plan entries with imported, existing, matchedBy, status, changes, newPhotos and action
+ */
+function planImport(existingPeople, importedPeople) {
+  const unmatched = [...existingPeople];
+
+  const plan = importedPeople.map(imported => {
+    const match = findMatch(imported, unmatched);
+
+    if (!match) {
+      return {
+        imported,
+        existing: null,
+        matchedBy: null,
+        status: 'add',
+        changes: [],
+        newPhotos: (imported.images || []).length,
+        action: 'add'
+      };
+    }
+
+    // Each saved person can only be matched once
+    unmatched.splice(unmatched.indexOf(match.person), 1);
+
+    const { changes, newPhotos, conflicting } = comparePeople(match.person, imported);
+    let status = 'update';
+    if (changes.length === 0 && newPhotos === 0) {
+      status = 'unchanged';
+    } else if (conflicting || match.matchedBy === 'face') {
+      // A face-only match may be a look-alike, so let the caregiver decide
+      status = 'conflict';
+    }
+
+    return {
+      imported,
+      existing: match.person,
+      matchedBy: match.matchedBy,
+      status,
+      changes,
+      newPhotos,
+      action: status === 'update' ? 'merge' : 'keep'
+    };
+  });
+
+  logDebug(`Planned import: ${plan.map(entry => entry.status).join(', ')}`);
+  return plan;
+}
+
+/**
+ * Merge an imported person into a saved one, keeping saved values and adding photos
+ * @param {Object} existing - Saved person record
+ * @param {Object} imported - Imported person record
+ * @returns {Object} Merged person record with the saved id
+ */
+function mergePeople(existing, imported) {
+  const merged = { ...imported, ...existing };
+
+  // Fill in fields the saved record left empty
+  COMPARED_FIELDS.forEach(field => {
+    if (!existing[field] && imported[field]) {
+      merged[field] = imported[field];
+    }
+  });
+
+  // Union of photos and face descriptors, without duplicates
+  merged.images = Array.from(new Set([...(existing.images || []), ...(imported.images || [])]));
+
+  const knownPaths = new Set((existing.faceDescriptors || []).map(entry => entry.path));
+  merged.faceDescriptors = [
+    ...(existing.faceDescriptors || []),
+    ...(imported.faceDescriptors || []).filter(entry => !entry.path || !knownPaths.has(entry.path))
+  ];
+
+  merged.lastRecognized = latestDate(existing.lastRecognized, imported.lastRecognized);
+  return merged;
+}
+
+/**
+ * Replace a saved person with an imported one, keeping the saved id and history
+ * @param {Object} existing - Saved person record
+ * @param {Object} imported - Imported person record
+ * @returns {Object} Replacement record
+ */
+function replacePerson(existing, imported) {
+  return {
+    ...imported,
+    _id: existing._id,
+    createdAt: existing.createdAt || imported.createdAt,
+    lastRecognized: latestDate(existing.lastRecognized, imported.lastRecognized)
+  };
+}
+
+/**
+ * Get the later of two dates
+ * @param {Date|string|null} a - First date
+ * @param {Date|string|null} b - Second date
+ * @returns {Date|null} Later date, or null if neither is set
+ */
+function latestDate(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(a) > new Date(b) ? a : b;
+}
+
+/**
+ * Build the final list of people from an import plan and the chosen actions
+ * @param {Array} existingPeople - Saved people
+ * @param {Array} plan - Plan entries with the chosen `action` on each
+ * @returns {Array} People to store
+ */
+function applyImportPlan(existingPeople, plan) {
+  const result = new Map(existingPeople.map(person => [person._id, person]));
+  const added = [];
+
+  plan.forEach(entry => {
+    switch (entry.action) {
+      case 'add':
+        added.push(entry.imported);
+        break;
+      case 'replace':
+        result.set(entry.existing._id, replacePerson(entry.existing, entry.imported));
+        break;
+      case 'merge':
+        result.set(entry.existing._id, mergePeople(entry.existing, entry.imported));
+        break;
+      default:
+        // 'keep' and 'skip' leave the saved people as they are
+        break;
+    }
+  });
+
+  // New people keep their ids unless one is already taken
+  const usedIds = new Set(result.keys());
+  const newPeople = added.map(person => {
+    if (!person._id || usedIds.has(person._id)) {
+      const { _id, ...personData } = person;
+      return personData;
+    }
+    usedIds.add(person._id);
+    return person;
+  });
+
+  return [...result.values(), ...newPeople];
+}
+
+// Export the module functions
+export {
+  planImport,
+  applyImportPlan,
+  mergePeople
+};
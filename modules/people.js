@@ -6,22 +6,29 @@
  */
 
 // Module dependencies
-const { ipcRenderer } = require('electron');
-const fs = require('fs');
-const path = require('path');
-const ui = require('./ui');
-const db = require('./database');
-const recognition = require('./recognition');
+import * as i18n from './i18n.js';
+import * as ui from './ui.js';
+import * as db from './database.js';
+import * as recognition from './recognition.js';
+import * as photos from './photos.js';
+import * as history from './history.js';
+import * as clips from './clips.js';
+import * as lock from './lock.js';
 
 // Debug helper
 function logDebug(message) {
   console.log(`[PEOPLE] ${message}`);
 }
 
+// Range allowed for a person's own matching threshold
+const MIN_PERSON_THRESHOLD = 0.3;
+const MAX_PERSON_THRESHOLD = 0.9;
+
 // People state
 let knownPeople = [];
 let selectedPhotos = [];
 let faceDescriptors = [];
+let photoPreviews = [];
 let editingPersonId = null;
 let detectedAge = null;
 
@@ -51,6 +58,14 @@ async function init() {
     }
   });
   
+  document.addEventListener('remove-photo', (event) => {
+    removeSelectedPhoto(event.detail.path);
+  });
+  
+  document.addEventListener('language-changed', () => {
+    ui.displayPeopleList(knownPeople);
+  });
+  
   logDebug('People module initialized');
   return true;
 }
@@ -64,7 +79,15 @@ async function loadSavedPeople() {
     logDebug('Loading saved people from database...');
     knownPeople = await db.getAllPeople();
     logDebug(`Loaded ${knownPeople.length} people from database`);
+    
+    // Records are migrated by the main process; only photos saved before
+    // they were copied into managed storage are moved from here
+    for (const person of knownPeople) {
+      await migrateManagedPhotos(person);
+    }
+    
     ui.displayPeopleList(knownPeople);
+    await showQuarantinedPeople();
     return true;
   } catch (error) {
     console.error('Error loading saved people:', error);
@@ -74,6 +97,82 @@ async function loadSavedPeople() {
   }
 }
 
+/**
+ * Tell the caregiver about records that could not be read and were set aside
+ * @returns {Promise<void>}
+ */
+async function showQuarantinedPeople() {
+  try {
+    const quarantined = await db.getQuarantinedPeople();
+    ui.displayQuarantineNotice(quarantined.length);
+    
+    if (quarantined.length > 0) {
+      logDebug(`${quarantined.length} malformed records are in quarantine`);
+    }
+  } catch (error) {
+    console.error('Error loading quarantined people:', error);
+  }
+}
+
+/**
+ * Copy photos of a record that still points at external files into managed storage
+ * @param {Object} person - Person record, updated in place
+ * @returns {Promise<boolean>} Whether the record was migrated
+ */
+async function migrateManagedPhotos(person) {
+  const images = person.images || [];
+  if (images.every(imagePath => photos.isManaged(imagePath))) {
+    return false;
+  }
+  
+  try {
+    const storedImages = [];
+    
+    for (const imagePath of images) {
+      if (photos.isManaged(imagePath)) {
+        storedImages.push(imagePath);
+        continue;
+      }
+      
+      // A photo that can no longer be read keeps its old path
+      const entries = (person.faceDescriptors || []).filter(entry => entry.path === imagePath);
+      try {
+        const stored = await photos.importPhoto(imagePath, entries.length > 0 ? entries[0].box : null);
+        applyStoredPhoto(entries, stored);
+        storedImages.push(stored.path);
+      } catch (error) {
+        console.error(`Error storing photo ${imagePath}:`, error);
+        storedImages.push(imagePath);
+      }
+    }
+    
+    person.images = storedImages;
+    await db.updatePerson(person._id, {
+      images: person.images,
+      faceDescriptors: person.faceDescriptors || []
+    });
+    
+    logDebug(`Moved photos for person ${person._id} into managed storage`);
+    return true;
+  } catch (error) {
+    console.error(`Error moving photos for person ${person._id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Point face descriptor entries at a managed photo copy
+ * @param {Array} entries - Face descriptor entries for the original photo
+ * @param {Object} stored - Result of photos.importPhoto
+ */
+function applyStoredPhoto(entries, stored) {
+  entries.forEach(entry => {
+    entry.originalPath = stored.originalPath;
+    entry.path = stored.path;
+    entry.thumbnail = stored.thumbnail;
+  });
+}
+
 /**
  * Get list of known people
  * @returns {Array} List of known people
@@ -133,7 +232,7 @@ async function selectPhotos() {
     detectedAge = null;
     
     // Select photos via Electron dialog
-    const filePaths = await ipcRenderer.invoke('select-photos');
+    const filePaths = await window.faceRecall.dialogs.selectPhotos();
     
     if (filePaths.length === 0) {
       return [];
@@ -150,9 +249,19 @@ async function selectPhotos() {
         const result = await recognition.getFaceDescriptor(filePath);
         
         if (result.valid) {
+          const faceDetection = result.detection ? result.detection.detection : null;
           faceDescriptors.push({
             path: filePath,
-            descriptor: result.descriptor
+            descriptor: result.descriptor,
+            detectionScore: faceDetection ? faceDetection.score : null,
+            qualityScore: result.quality ? result.quality.score : null,
+            box: faceDetection ? {
+              x: faceDetection.box.x,
+              y: faceDetection.box.y,
+              width: faceDetection.box.width,
+              height: faceDetection.box.height
+            } : null,
+            addedAt: new Date()
           });
           
           // If we have age detection result, save it
@@ -167,6 +276,7 @@ async function selectPhotos() {
           path: filePath,
           valid: result.valid,
           error: result.error,
+          quality: result.quality,
           ageResult: result.ageResult
         });
       } catch (error) {
@@ -179,40 +289,85 @@ async function selectPhotos() {
       }
     }
     
+    photoPreviews = photoResults;
     return photoResults;
   } catch (error) {
     console.error('Error selecting photos:', error);
-    alert('Error selecting photos: ' + error.message);
+    alert(i18n.t('people.selectPhotosFailed', { error: error.message }));
     return [];
   }
 }
 
+/**
+ * Add photos taken with the camera to the person being added or edited
+ * @param {Array} captures - Captured photos with path, descriptor, detection and ageResult
+ */
+function addCapturedPhotos(captures) {
+  captures.forEach(capture => {
+    const box = capture.detection.box;
+    
+    selectedPhotos.push(capture.path);
+    faceDescriptors.push({
+      path: capture.path,
+      descriptor: Array.from(capture.descriptor),
+      detectionScore: capture.detection.score,
+      box: { x: box.x, y: box.y, width: box.width, height: box.height },
+      addedAt: new Date()
+    });
+    
+    if (capture.ageResult && detectedAge === null) {
+      detectedAge = capture.ageResult.age;
+    }
+    
+    photoPreviews.push({
+      path: capture.path,
+      valid: true,
+      ageResult: capture.ageResult
+    });
+  });
+  
+  logDebug(`Added ${captures.length} camera photos to form`);
+  ui.displayPhotoPreview(photoPreviews);
+}
+
 /**
  * Save a new person or update existing person
  * @param {Object} personData - Person data from form
  */
 async function savePerson(personData) {
   if (personData.name.trim() === '') {
-    alert('Please enter a name for the person.');
+    alert(i18n.t('people.nameRequired'));
+    return;
+  }
+  
+  const threshold = personData.recognitionThreshold;
+  if (threshold !== null && threshold !== undefined &&
+      (isNaN(threshold) || threshold < MIN_PERSON_THRESHOLD || threshold > MAX_PERSON_THRESHOLD)) {
+    alert(i18n.t('people.thresholdInvalid', { min: MIN_PERSON_THRESHOLD, max: MAX_PERSON_THRESHOLD }));
     return;
   }
   
   // Check if we have at least one valid face descriptor
   if (faceDescriptors.length === 0) {
-    alert('Please select at least one photo with a detectable face.');
+    alert(i18n.t('people.photoRequired'));
     return;
   }
   
   try {
+    // Copy photos into managed storage so records never depend on the user's folders
+    await storeSelectedPhotos();
+    
     if (editingPersonId) {
       // Update existing person
       const updatedPerson = {
         name: personData.name,
         relationship: personData.relationship,
         notes: personData.notes,
+        recognitionThreshold: personData.recognitionThreshold,
+        announcementTemplate: personData.announcementTemplate,
+        audioClip: clips.getFormClip(),
         images: selectedPhotos,
-        // Keep original face descriptor if no new ones
-        faceDescriptor: faceDescriptors.length > 0 ? faceDescriptors[0].descriptor : null
+        faceDescriptors: faceDescriptors
       };
       
       // Add detected age if available
@@ -231,14 +386,17 @@ async function savePerson(personData) {
         };
       }
       
-      alert(`${updatedPerson.name} has been updated successfully!`);
+      alert(i18n.t('people.updated', { name: updatedPerson.name }));
     } else {
       // Create new person object
       const newPerson = {
         name: personData.name,
         relationship: personData.relationship,
         notes: personData.notes,
-        faceDescriptor: faceDescriptors[0].descriptor, // Use the first face descriptor as reference
+        recognitionThreshold: personData.recognitionThreshold,
+        announcementTemplate: personData.announcementTemplate,
+        audioClip: clips.getFormClip(),
+        faceDescriptors: faceDescriptors, // Every valid photo is kept as a reference
         images: selectedPhotos,
         createdAt: new Date(),
         lastRecognized: null
@@ -255,27 +413,151 @@ async function savePerson(personData) {
       // Update known people list
       knownPeople.push(savedPerson);
       
-      alert(`${newPerson.name} has been added successfully!`);
+      alert(i18n.t('people.added', { name: newPerson.name }));
     }
     
     // Reset form and state
     ui.resetPersonForm();
+    clips.setFormClip(null);
     selectedPhotos = [];
     faceDescriptors = [];
+    photoPreviews = [];
     editingPersonId = null;
     detectedAge = null;
     
     // Update UI
     ui.displayPeopleList(knownPeople);
     
+    // Photos dropped while editing are no longer needed
+    await photos.removeOrphans();
+    
     return true;
   } catch (error) {
     console.error('Error saving person:', error);
-    alert('Failed to save person. Please try again.');
+    alert(i18n.t('people.saveFailed'));
     return false;
   }
 }
 
+/**
+ * Copy selected photos that are not managed yet into managed storage
+ * Updates the selected photos and face descriptors to refer to the copies.
+ */
+async function storeSelectedPhotos() {
+  const storedPaths = [];
+  
+  for (const photoPath of selectedPhotos) {
+    if (photos.isManaged(photoPath)) {
+      storedPaths.push(photoPath);
+      continue;
+    }
+    
+    const entries = faceDescriptors.filter(entry => entry.path === photoPath);
+    const stored = await photos.importPhoto(photoPath, entries.length > 0 ? entries[0].box : null);
+    applyStoredPhoto(entries, stored);
+    storedPaths.push(stored.path);
+  }
+  
+  selectedPhotos = storedPaths;
+}
+
+/**
+ * Copy captured face photos into managed storage
+ * @param {Array} faces - Captured faces with photoPath, box, descriptor and detectionScore
+ * @returns {Promise<Object>} Images and face descriptor entries for a person record
+ */
+async function storeCapturedFaces(faces) {
+  const images = [];
+  const entries = [];
+  
+  for (const face of faces) {
+    const stored = await photos.importPhoto(face.photoPath, face.box);
+    if (!images.includes(stored.path)) {
+      images.push(stored.path);
+    }
+    
+    entries.push({
+      path: stored.path,
+      originalPath: null,
+      thumbnail: stored.thumbnail,
+      descriptor: face.descriptor,
+      detectionScore: face.detectionScore,
+      box: face.box,
+      addedAt: new Date()
+    });
+  }
+  
+  return { images, faceDescriptors: entries };
+}
+
+/**
+ * Add a new person from faces captured by the camera
+ * @param {Object} personData - Name, relationship, notes and optionally lastRecognized
+ * @param {Array} faces - Captured faces with photoPath, box, descriptor and detectionScore
+ * @returns {Promise<Object>} Saved person
+ */
+async function addPersonFromFaces(personData, faces) {
+  const stored = await storeCapturedFaces(faces);
+  
+  const newPerson = {
+    name: personData.name,
+    relationship: personData.relationship || '',
+    notes: personData.notes || '',
+    faceDescriptors: stored.faceDescriptors,
+    images: stored.images,
+    createdAt: new Date(),
+    lastRecognized: personData.lastRecognized || null
+  };
+  
+  const savedPerson = await db.addPerson(newPerson);
+  knownPeople.push(savedPerson);
+  ui.displayPeopleList(knownPeople);
+  
+  logDebug(`Added ${savedPerson.name} from ${faces.length} captured faces`);
+  return savedPerson;
+}
+
+/**
+ * Add faces captured by the camera to a saved person
+ * @param {string} personId - Person ID
+ * @param {Array} faces - Captured faces with photoPath, box, descriptor and detectionScore
+ * @returns {Promise<Object>} Updated person
+ */
+async function addFacesToPerson(personId, faces) {
+  const index = knownPeople.findIndex(p => p._id === personId);
+  if (index === -1) {
+    throw new Error('Person not found');
+  }
+  
+  const person = knownPeople[index];
+  const stored = await storeCapturedFaces(faces);
+  
+  const updates = {
+    images: Array.from(new Set([...(person.images || []), ...stored.images])),
+    faceDescriptors: [...(person.faceDescriptors || []), ...stored.faceDescriptors]
+  };
+  
+  await db.updatePerson(personId, updates);
+  knownPeople[index] = { ...person, ...updates };
+  ui.displayPeopleList(knownPeople);
+  
+  logDebug(`Added ${faces.length} captured faces to ${person.name}`);
+  return knownPeople[index];
+}
+
+/**
+ * Remove a photo from the person being added or edited
+ * @param {string} photoPath - Path of the photo to remove
+ */
+function removeSelectedPhoto(photoPath) {
+  selectedPhotos = selectedPhotos.filter(p => p !== photoPath);
+  faceDescriptors = faceDescriptors.filter(entry => entry.path !== photoPath);
+  photoPreviews = photoPreviews.filter(photo => photo.path !== photoPath);
+  
+  logDebug(`Removed photo ${photoPath} from form`);
+  ui.displayPhotoPreview(photoPreviews);
+}
+
 /**
  * Edit an existing person
  * @param {Object} person - Person data to edit
@@ -286,17 +568,13 @@ function editPerson(person) {
   
   // Populate form with existing data
   ui.populatePersonForm(person);
+  clips.setFormClip(person.audioClip);
   
   // Set existing photos
   selectedPhotos = [...person.images];
   
-  // Set existing face descriptor
-  if (person.faceDescriptor) {
-    faceDescriptors = [{
-      path: person.images[0], // Use first image as reference
-      descriptor: person.faceDescriptor
-    }];
-  }
+  // Set existing face descriptors
+  faceDescriptors = [...(person.faceDescriptors || [])];
   
   // Set age if available
   if (person.detectedAge) {
@@ -306,19 +584,23 @@ function editPerson(person) {
   // Show photo previews
   const photoData = person.images.map(path => ({
     path,
-    valid: true,
+    valid: faceDescriptors.some(entry => entry.path === path),
     ageResult: person.detectedAge ? { age: person.detectedAge } : null
   }));
   
+  photoPreviews = photoData;
   ui.displayPhotoPreview(photoData);
 }
 
 /**
  * Delete a person
+ * Needs the caregiver PIN if one is set.
  * @param {Object} person - Person to delete
  */
 async function deletePerson(person) {
-  if (confirm(`Are you sure you want to delete ${person.name} from your records?`)) {
+  if (!(await lock.requireCaregiver())) return false;
+  
+  if (confirm(i18n.t('people.confirmDelete', { name: person.name }))) {
     try {
       await db.deletePerson(person._id);
       
@@ -326,110 +608,48 @@ async function deletePerson(person) {
       knownPeople = knownPeople.filter(p => p._id !== person._id);
       ui.displayPeopleList(knownPeople);
       
-      alert(`${person.name} has been deleted.`);
+      // Delete photos only this person used
+      await photos.removeOrphans();
+      
+      alert(i18n.t('people.deleted', { name: person.name }));
       return true;
     } catch (error) {
       console.error('Error deleting person:', error);
-      alert('Failed to delete person. Please try again.');
+      alert(i18n.t('people.deleteFailed'));
       return false;
     }
   }
 }
 
 /**
- * Export people data to a JSON file
+ * Replace all saved people with imported records
+ * Nothing changes if any record cannot be stored.
+ * @param {Array} importedPeople - People records to store
+ * @returns {Promise<boolean>} Whether the replacement was successful
  */
-async function exportData() {
-  try {
-    const dataStr = JSON.stringify(knownPeople, null, 2);
-    const dataUri = `data:application/json;charset=utf-8,${encodeURIComponent(dataStr)}`;
-    
-    const exportFileDefaultName = `face-recall-backup-${new Date().toISOString().slice(0, 10)}.json`;
-    
-    const linkElement = document.createElement('a');
-    linkElement.setAttribute('href', dataUri);
-    linkElement.setAttribute('download', exportFileDefaultName);
-    linkElement.click();
-    
-    alert('Data exported successfully!');
-    return true;
-  } catch (error) {
-    console.error('Error exporting data:', error);
-    alert('Failed to export data. Please try again.');
-    return false;
-  }
-}
-
-/**
- * Import people data from a JSON file
- */
-async function importData() {
-  const input = document.createElement('input');
-  input.type = 'file';
-  input.accept = '.json';
+async function replaceAllPeople(importedPeople) {
+  // Ids are kept so records stay linked across computers
+  await db.replaceAllPeople(importedPeople);
   
-  input.onchange = async (event) => {
-    try {
-      const file = event.target.files[0];
-      if (!file) return;
-      
-      const reader = new FileReader();
-      
-      reader.onload = async (e) => {
-        try {
-          const importedData = JSON.parse(e.target.result);
-          
-          if (!Array.isArray(importedData)) {
-            throw new Error('Invalid data format');
-          }
-          
-          // Clear existing data
-          const clearConfirm = confirm('Importing will replace your existing people data. Continue?');
-          if (!clearConfirm) return;
-          
-          // Clear database
-          for (const person of knownPeople) {
-            await db.deletePerson(person._id);
-          }
-          
-          // Import new data
-          for (const person of importedData) {
-            // Remove _id to avoid conflicts
-            const { _id, ...personData } = person;
-            await db.addPerson(personData);
-          }
-          
-          // Reload data
-          await loadSavedPeople();
-          
-          alert('Data imported successfully!');
-          return true;
-        } catch (error) {
-          console.error('Error processing import file:', error);
-          alert('Failed to import data: ' + error.message);
-          return false;
-        }
-      };
-      
-      reader.readAsText(file);
-    } catch (error) {
-      console.error('Error importing data:', error);
-      alert('Failed to import data. Please try again.');
-      return false;
-    }
-  };
+  // Reload data
+  await loadSavedPeople();
+  await photos.removeOrphans();
   
-  input.click();
+  logDebug(`Replaced people with ${importedPeople.length} imported records`);
+  return true;
 }
 
 /**
  * Clear all people data
+ * Needs the caregiver PIN if one is set.
  */
 async function clearData() {
-  const confirmClear = confirm('Are you sure you want to delete ALL saved people? This cannot be undone!');
+  if (!(await lock.requireCaregiver())) return false;
+  
+  const confirmClear = confirm(i18n.t('people.confirmClear'));
   
   if (confirmClear) {
-    const confirmAgain = confirm('This will permanently delete all people data. Are you absolutely sure?');
+    const confirmAgain = confirm(i18n.t('people.confirmClearAgain'));
     
     if (confirmAgain) {
       try {
@@ -442,11 +662,15 @@ async function clearData() {
         knownPeople = [];
         ui.displayPeopleList(knownPeople);
         
-        alert('All data has been cleared.');
+        // Delete all managed photos and who was seen when
+        await photos.removeOrphans();
+        await history.clearHistory();
+        
+        alert(i18n.t('people.cleared'));
         return true;
       } catch (error) {
         console.error('Error clearing data:', error);
-        alert('Failed to clear data. Please try again.');
+        alert(i18n.t('people.clearFailed'));
         return false;
       }
     }
@@ -456,16 +680,18 @@ async function clearData() {
 }
 
 // Export the module functions
-module.exports = {
+export {
   init,
   getKnownPeople,
   updateLastRecognized,
   updatePersonAge,
   selectPhotos,
+  addCapturedPhotos,
   savePerson,
+  addPersonFromFaces,
+  addFacesToPerson,
   editPerson,
   deletePerson,
-  exportData,
-  importData,
+  replaceAllPeople,
   clearData
 };
\ No newline at end of file
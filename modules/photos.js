@@ -0,0 +1,193 @@
+/**
+ * photos.js - Managed photo storage module
+ *
+ * This module copies enrollment photos into the app's own data directory,
+ * named by content hash, and creates face-cropped thumbnails for them. The
+ * files are stored encrypted by the main process (main/storage.js); the
+ * thumbnails are drawn here because that needs a canvas.
+ */
+
+// Photo storage API exposed by the preload script
+const api = window.faceRecall.photos;
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[PHOTOS] ${message}`);
+}
+
+// Size of the square face thumbnails in pixels
+const THUMBNAIL_SIZE = 200;
+
+// Extra space kept around the face box when cropping thumbnails
+const THUMBNAIL_MARGIN = 0.25;
+
+// Scheme the main process serves decrypted photos on
+const PHOTO_SCHEME = 'facerecall-photo';
+
+// Storage state
+let photosDir = '';
+let thumbnailsDir = '';
+let initialized = false;
+
+/**
+ * Initialize photo storage
+ * @returns {Promise<boolean>} Whether initialization was successful
+ */
+async function init() {
+  logDebug('Initializing photo storage');
+
+  const dirs = await api.getDirectories();
+  photosDir = dirs.photos;
+  thumbnailsDir = dirs.thumbnails;
+
+  initialized = true;
+  logDebug(`Photo storage initialized at: ${photosDir}`);
+  return true;
+}
+
+/**
+ * Check whether a path lies inside a folder, with either path separator
+ * @param {string} filePath - Path to check
+ * @param {string} dir - Folder
+ * @returns {boolean} Whether the file is in the folder
+ */
+function isInside(filePath, dir) {
+  return filePath.startsWith(`${dir}/`) || filePath.startsWith(`${dir}\\`);
+}
+
+/**
+ * Check if a path points into managed photo storage
+ * @param {string} filePath - Path to check
+ * @returns {boolean} Whether the file is a managed copy
+ */
+function isManaged(filePath) {
+  if (!initialized || !filePath) return false;
+
+  return isInside(filePath, photosDir) || isInside(filePath, thumbnailsDir);
+}
+
+/**
+ * Copy a photo into managed storage and create its face thumbnail
+ * @param {string} sourcePath - Path to the original photo
+ * @param {Object} box - Face box ({ x, y, width, height }) for the thumbnail, or null
+ * @returns {Promise<Object>} Stored photo with path, thumbnail, hash and originalPath
+ */
+async function importPhoto(sourcePath, box = null) {
+  if (!initialized) {
+    throw new Error('Photo storage not initialized');
+  }
+
+  const stored = await api.importPhoto(sourcePath);
+
+  if (box && !stored.thumbnail) {
+    try {
+      stored.thumbnail = await createThumbnail(stored.path, stored.hash, box);
+    } catch (error) {
+      console.error(`Error creating thumbnail for ${stored.path}:`, error);
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Create a square face-cropped thumbnail for a stored photo
+ * @param {string} photoPath - Path to the managed photo
+ * @param {string} hash - Content hash of the photo
+ * @param {Object} box - Face box in the photo's pixel coordinates
+ * @returns {Promise<string>} Path to the thumbnail
+ */
+async function createThumbnail(photoPath, hash, box) {
+  const dataUrl = await api.read(photoPath);
+  const img = new Image();
+  await new Promise((resolve, reject) => {
+    img.onload = resolve;
+    img.onerror = reject;
+    img.src = dataUrl;
+  });
+
+  // Square crop centred on the face, with a margin, kept inside the image
+  const side = Math.min(
+    Math.max(box.width, box.height) * (1 + THUMBNAIL_MARGIN * 2),
+    img.naturalWidth,
+    img.naturalHeight
+  );
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+  const sx = Math.min(Math.max(centerX - side / 2, 0), img.naturalWidth - side);
+  const sy = Math.min(Math.max(centerY - side / 2, 0), img.naturalHeight - side);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_SIZE;
+  canvas.height = THUMBNAIL_SIZE;
+  canvas.getContext('2d').drawImage(img, sx, sy, side, side, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+
+  const thumbnailPath = await api.saveThumbnail(hash, canvas.toDataURL('image/jpeg', 0.85));
+
+  logDebug(`Created thumbnail ${thumbnailPath}`);
+  return thumbnailPath;
+}
+
+/**
+ * Delete managed photos and thumbnails no saved person refers to anymore
+ * @returns {Promise<number>} Number of files removed
+ */
+async function removeOrphans() {
+  if (!initialized) return 0;
+
+  const removed = await api.removeOrphans();
+  if (removed > 0) {
+    logDebug(`Removed ${removed} orphaned photo files`);
+  }
+  return removed;
+}
+
+/**
+ * Read a photo as a data URL, for images and face detection
+ * @param {string} filePath - Path to the photo
+ * @returns {Promise<string>} Data URL
+ */
+function readPhoto(filePath) {
+  return api.read(filePath);
+}
+
+/**
+ * Save a JPEG into one of the working folders, outside managed storage
+ * @param {string} folder - 'unknownFaces' or 'captures'
+ * @param {string} dataUrl - JPEG image
+ * @returns {Promise<string>} Path to the saved photo
+ */
+function saveWorkingPhoto(folder, dataUrl) {
+  return api.saveWorkingPhoto(folder, dataUrl);
+}
+
+/**
+ * Delete a photo from one of the working folders
+ * @param {string} folder - 'unknownFaces' or 'captures'
+ * @param {string} filePath - Photo to delete
+ * @returns {Promise<boolean>} Whether the photo was deleted
+ */
+function deleteWorkingPhoto(folder, filePath) {
+  return api.deleteWorkingPhoto(folder, filePath);
+}
+
+/**
+ * Get a URL an image element can show a photo from
+ * @param {string} filePath - Path to the photo
+ * @returns {string} Photo URL
+ */
+function getPhotoUrl(filePath) {
+  return `${PHOTO_SCHEME}://photo/?path=${encodeURIComponent(filePath)}`;
+}
+
+// Export the module functions
+export {
+  init,
+  isManaged,
+  importPhoto,
+  removeOrphans,
+  readPhoto,
+  saveWorkingPhoto,
+  deleteWorkingPhoto,
+  getPhotoUrl
+};
@@ -0,0 +1,250 @@
+/**
+ * quality.js - Face quality module
+ *
+ * This module scores how usable a detected face is, from the detector's
+ * confidence, the face size, the head pose, sharpness and brightness, and
+ * explains what is wrong when a face is not good enough.
+ */
+
+// Module dependencies
+import * as i18n from './i18n.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[QUALITY] ${message}`);
+}
+
+// Each check has a limit below which the face is flagged and a harder one below which it is rejected
+const LIMITS = {
+  detectionScore: { warn: 0.8, reject: 0.5 },
+  // Face box width in pixels
+  faceSize: { warn: 100, reject: 50 },
+  // Head turn, see estimateHeadPose
+  yaw: { warn: 0.25, reject: 0.45 },
+  // Distance of the pitch from a face looking straight ahead
+  pitch: { warn: 0.15, reject: 0.3 },
+  // Variance of the Laplacian over the face
+  sharpness: { warn: 80, reject: 25 },
+  // Mean luminance of the face, 0-255, too dark or too bright
+  darkness: { warn: 70, reject: 35 },
+  brightness: { warn: 200, reject: 235 }
+};
+
+// Typical pitch of a face looking straight ahead
+const NEUTRAL_PITCH = 0.6;
+
+// Brightness halfway between too dark and too bright
+const NEUTRAL_BRIGHTNESS = (LIMITS.darkness.warn + LIMITS.brightness.warn) / 2;
+
+// Faces are scaled to this size before measuring sharpness and brightness
+const SAMPLE_SIZE = 128;
+
+/**
+ * Estimate where a face is pointing from its 68 landmarks
+ * Yaw is how far the nose tip sits from the middle of the eyes, in eye
+ * distances (positive when the person turns to their left). Pitch is how far
+ * down the nose tip sits between the eyes and the mouth (smaller when the
+ * head tilts up).
+ * @param {Object} landmarks - face-api.js FaceLandmarks68
+ * @returns {Object} Yaw and pitch
+ */
+function estimateHeadPose(landmarks) {
+  const points = landmarks.positions;
+  const center = (from, to) => {
+    const selected = points.slice(from, to + 1);
+    return {
+      x: selected.reduce((sum, point) => sum + point.x, 0) / selected.length,
+      y: selected.reduce((sum, point) => sum + point.y, 0) / selected.length
+    };
+  };
+
+  const leftEye = center(36, 41);
+  const rightEye = center(42, 47);
+  const eyes = { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 };
+  const eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y);
+  const nose = points[30];
+  const mouthY = (points[48].y + points[54].y) / 2;
+
+  return {
+    yaw: (nose.x - eyes.x) / eyeDistance,
+    pitch: (nose.y - eyes.y) / (mouthY - eyes.y)
+  };
+}
+
+/**
+ * Measure sharpness and brightness of the face area
+ * @param {HTMLCanvasElement|HTMLImageElement} input - Image the face was found in
+ * @param {Object} box - Face box in the input's pixels
+ * @returns {Object} Sharpness (variance of the Laplacian) and mean brightness
+ */
+function measureImage(input, box) {
+  const canvas = document.createElement('canvas');
+  canvas.width = SAMPLE_SIZE;
+  canvas.height = SAMPLE_SIZE;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(input, box.x, box.y, box.width, box.height, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+
+  const { data } = ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  const gray = new Float32Array(SAMPLE_SIZE * SAMPLE_SIZE);
+  let brightness = 0;
+
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    brightness += gray[i];
+  }
+  brightness /= gray.length;
+
+  // 4-neighbour Laplacian; blurry faces have little variation in it
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < SAMPLE_SIZE - 1; y++) {
+    for (let x = 1; x < SAMPLE_SIZE - 1; x++) {
+      const i = y * SAMPLE_SIZE + x;
+      const laplacian = gray[i - 1] + gray[i + 1] + gray[i - SAMPLE_SIZE] + gray[i + SAMPLE_SIZE] - 4 * gray[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  const mean = sum / count;
+
+  return {
+    sharpness: sumSquares / count - mean * mean,
+    brightness
+  };
+}
+
+/**
+ * Grade a value against a limit
+ * @param {number} value - Measured value
+ * @param {Object} limit - Limit with warn and reject
+ * @param {boolean} higherIsBetter - Whether larger values are better
+ * @returns {string} 'good', 'warn' or 'reject'
+ */
+function grade(value, limit, higherIsBetter) {
+  if (higherIsBetter) {
+    if (value < limit.reject) return 'reject';
+    if (value < limit.warn) return 'warn';
+  } else {
+    if (value > limit.reject) return 'reject';
+    if (value > limit.warn) return 'warn';
+  }
+  return 'good';
+}
+
+/**
+ * Score the quality of a detected face
+ * @param {HTMLCanvasElement|HTMLImageElement} input - Image the face was found in
+ * @param {Object} result - face-api.js result with detection and landmarks
+ * @param {Object} options - Assessment options
+ * @param {boolean} options.checkPose - Whether a turned or tilted head counts against the face
+ * @returns {Object} level ('good', 'warn' or 'reject'), score (0-1), issues with level and message, and metrics
+ */
+function assessFace(input, result, options = {}) {
+  const checkPose = options.checkPose !== false;
+  const detection = result.detection;
+  const box = detection.box;
+  const pose = result.landmarks ? estimateHeadPose(result.landmarks) : null;
+
+  let image = null;
+  try {
+    image = measureImage(input, box);
+  } catch (error) {
+    console.error('Error measuring face sharpness and brightness:', error);
+  }
+
+  const metrics = {
+    detectionScore: detection.score,
+    faceSize: Math.round(box.width),
+    yaw: pose ? pose.yaw : null,
+    pitch: pose ? pose.pitch : null,
+    sharpness: image ? image.sharpness : null,
+    brightness: image ? image.brightness : null
+  };
+
+  const checks = [
+    {
+      level: grade(metrics.detectionScore, LIMITS.detectionScore, true),
+      message: i18n.t('quality.unclear')
+    },
+    {
+      level: grade(metrics.faceSize, LIMITS.faceSize, true),
+      message: i18n.t('quality.small')
+    }
+  ];
+
+  if (pose && checkPose) {
+    checks.push({
+      level: grade(Math.abs(pose.yaw), LIMITS.yaw, false),
+      message: i18n.t('quality.turned')
+    });
+    checks.push({
+      level: grade(Math.abs(pose.pitch - NEUTRAL_PITCH), LIMITS.pitch, false),
+      message: i18n.t(pose.pitch < NEUTRAL_PITCH ? 'quality.tiltedUp' : 'quality.tiltedDown')
+    });
+  }
+
+  if (image) {
+    checks.push({
+      level: grade(image.sharpness, LIMITS.sharpness, true),
+      message: i18n.t('quality.blurry')
+    });
+    checks.push({
+      level: image.brightness < NEUTRAL_BRIGHTNESS
+        ? grade(image.brightness, LIMITS.darkness, true)
+        : grade(image.brightness, LIMITS.brightness, false),
+      message: i18n.t(image.brightness < NEUTRAL_BRIGHTNESS ? 'quality.dark' : 'quality.bright')
+    });
+  }
+
+  const issues = checks.filter(check => check.level !== 'good');
+  const rejected = issues.filter(issue => issue.level === 'reject');
+
+  let level = 'good';
+  if (rejected.length > 0) {
+    level = 'reject';
+  } else if (issues.length > 0) {
+    level = 'warn';
+  }
+
+  // Worst issues first so the first message is the one to act on
+  issues.sort((a, b) => (a.level === 'reject' ? 0 : 1) - (b.level === 'reject' ? 0 : 1));
+
+  return {
+    level,
+    score: Math.max(0, 1 - rejected.length * 0.5 - (issues.length - rejected.length) * 0.15),
+    issues,
+    metrics
+  };
+}
+
+/**
+ * Describe the problems with a face in one sentence
+ * @param {Object} assessment - Result of assessFace
+ * @returns {string} Issue messages, or an empty string for a good face
+ */
+function describeIssues(assessment) {
+  return assessment.issues.map(issue => issue.message).join(', ');
+}
+
+/**
+ * Log an assessment for debugging
+ * @param {string} label - What was assessed
+ * @param {Object} assessment - Result of assessFace
+ */
+function logAssessment(label, assessment) {
+  const metrics = assessment.metrics;
+  logDebug(`${label}: ${assessment.level} (score ${metrics.detectionScore.toFixed(2)}, ` +
+    `size ${metrics.faceSize}px, sharpness ${metrics.sharpness !== null ? Math.round(metrics.sharpness) : '?'}, ` +
+    `brightness ${metrics.brightness !== null ? Math.round(metrics.brightness) : '?'})`);
+}
+
+// Export the module functions
+export {
+  assessFace,
+  estimateHeadPose,
+  describeIssues,
+  logAssessment,
+  NEUTRAL_PITCH
+};
@@ -7,16 +7,32 @@ let speechVoices = [];
 let preferredVoice = null;
 
 // Module dependencies
-const path = require('path');
-const fs = require('fs'); 
-const ui = require('./ui');
-const settings = require('./settings');
+import * as ui from './ui.js';
+import * as i18n from './i18n.js';
+import * as settings from './settings.js';
+import * as history from './history.js';
+import * as visitors from './visitors.js';
+import * as quality from './quality.js';
+import * as confidence from './confidence.js';
+import * as tracker from './tracker.js';
+import * as announcer from './announcer.js';
+import * as photos from './photos.js';
 
 // Debug helper
 function logDebug(message) {
   console.log(`[RECOGNITION] ${message}`);
 }
 
+// Location of the bundled face-api.js models, relative to index.html
+const MODEL_PATH = 'assets/models';
+
+// face-api.js networks backing each selectable detector
+const DETECTOR_NETS = {
+  ssd: 'ssdMobilenetv1',
+  tiny: 'tinyFaceDetector',
+  mtcnn: 'mtcnn'
+};
+
 // Recognition state
 let faceapi = null;
 let recognitionActive = false;
@@ -109,9 +125,8 @@ function initSpeechSynthesis() {
       }
       
       // Notify settings module that voices are loaded
-      const settingsModule = require('./settings');
-      if (settingsModule.onVoicesLoaded) {
-        settingsModule.onVoicesLoaded();
+      if (settings.onVoicesLoaded) {
+        settings.onVoicesLoaded();
       }
     };
     
@@ -150,7 +165,8 @@ function init(peopleModuleRef) {
   // Delay loading face-api to avoid platform warning
   setTimeout(() => {
     try {
-      faceapi = require('face-api.js');
+      // Loaded by a script tag in index.html
+      faceapi = window.faceapi;
       logDebug('Face API loaded successfully');
       
       // Now that face-api is loaded, try to load the models
@@ -180,7 +196,7 @@ async function loadFaceRecognitionModels() {
   
   try {
     // Use a try-catch to handle model loading issues
-    const modelPath = path.join(__dirname, '../assets/models');
+    const modelPath = MODEL_PATH;
     logDebug(`Loading models from: ${modelPath}`);
     
     // Set cross-origin to anonymous to avoid CORS issues with local files
@@ -193,7 +209,8 @@ async function loadFaceRecognitionModels() {
       createImageElement: () => document.createElement('img')
     });
     
-    await faceapi.nets.ssdMobilenetv1.load(modelPath);
+    // Only the selected detector is loaded up front, the others load on demand
+    await loadDetectorModel(settings.getDetector());
     await faceapi.nets.faceLandmark68Net.load(modelPath);
     await faceapi.nets.faceRecognitionNet.load(modelPath);
     await faceapi.nets.faceExpressionNet.load(modelPath);
@@ -217,18 +234,85 @@ async function loadFaceRecognitionModels() {
   }
 }
 
+/**
+ * Load the model for a face detector if it is not loaded yet
+ * @param {string} detector - Detector name: 'ssd', 'tiny' or 'mtcnn'
+ * @returns {Promise<boolean>} Whether the detector is ready to use
+ */
+async function loadDetectorModel(detector) {
+  if (!faceapi) {
+    console.error('Face API not loaded yet');
+    return false;
+  }
+  
+  const net = faceapi.nets[DETECTOR_NETS[detector] || DETECTOR_NETS.ssd];
+  
+  try {
+    if (!net.isLoaded) {
+      logDebug(`Loading ${detector} detector model`);
+      await net.load(MODEL_PATH);
+    }
+    
+    // The tiny detector is paired with the tiny landmark model for speed
+    if (detector === 'tiny' && !faceapi.nets.faceLandmark68TinyNet.isLoaded) {
+      await faceapi.nets.faceLandmark68TinyNet.load(MODEL_PATH);
+    }
+    
+    return true;
+  } catch (error) {
+    console.error(`Error loading ${detector} detector model:`, error);
+    return false;
+  }
+}
+
+/**
+ * Get face-api.js options for the detector selected in settings
+ * @returns {Object} faceapi detector options instance
+ */
+function getDetectorOptions() {
+  switch (settings.getDetector()) {
+    case 'tiny':
+      return new faceapi.TinyFaceDetectorOptions({
+        inputSize: settings.getTinyInputSize(),
+        scoreThreshold: settings.getTinyScoreThreshold()
+      });
+    case 'mtcnn':
+      return new faceapi.MtcnnOptions({
+        minFaceSize: settings.getMtcnnMinFaceSize()
+      });
+    default:
+      return new faceapi.SsdMobilenetv1Options({
+        minConfidence: settings.getSsdMinConfidence()
+      });
+  }
+}
+
+/**
+ * Check if the tiny landmark model should be used with the selected detector
+ * @returns {boolean} Whether to use the tiny landmark model
+ */
+function useTinyLandmarks() {
+  return settings.getDetector() === 'tiny';
+}
+
 /**
  * Recognize face from image data
  * @param {Object} imageData - Image data object with canvas and context
+ * @param {Object} options - Recognition options
+ * @param {boolean} options.live - Whether the frame comes from the hands-free loop
  */
-async function recognizeFace(imageData) {
+async function recognizeFace(imageData, options = {}) {
   if (recognitionActive || !faceapi || !modelsLoaded) {
     logDebug('Cannot recognize face: Recognition in progress or models not loaded');
     return;
   }
   
+  const live = Boolean(options.live);
+  
   recognitionActive = true;
-  ui.showRecognitionLoading();
+  if (!live) {
+    ui.showRecognitionLoading();
+  }
   
   try {
     // Make sure models are loaded
@@ -244,110 +328,329 @@ async function recognizeFace(imageData) {
     // Load image from blob
     const img = await faceapi.bufferToImage(blob);
     
-    // Detect faces with all features
-    const detections = await faceapi.detectAllFaces(img)
-      .withFaceLandmarks()
-      .withFaceDescriptors()
+    // Make sure the selected detector is loaded
+    await loadDetectorModel(settings.getDetector());
+    
+    // Detect every face with all features
+    let detectionTask = faceapi.detectAllFaces(img, getDetectorOptions())
+      .withFaceLandmarks(useTinyLandmarks())
       .withFaceExpressions();
     
-    if (detections.length === 0) {
-      ui.displayRecognitionResult({ recognized: false });
-      recognitionActive = false;
-      return;
+    // Detect age and gender if model is loaded
+    if (ageGenderModelLoaded) {
+      detectionTask = detectionTask.withAgeAndGender();
     }
     
-    // Get the most prominent detected face
-    const detection = detections[0];
+    const allDetections = await detectionTask.withFaceDescriptors();
     
-    // Detect age and gender if model is loaded
-    let ageResult = null;
-    if (ageGenderModelLoaded) {
-      try {
-        const ageDetection = await faceapi.detectSingleFace(img)
-          .withFaceLandmarks()
-          .withAgeAndGender();
-        
-        if (ageDetection) {
-          ageResult = {
-            age: Math.round(ageDetection.age),
-            gender: ageDetection.gender,
-            genderProbability: ageDetection.genderProbability
-          };
-          logDebug(`Age detection result: ${ageResult.age} years old, ${ageResult.gender} (${Math.round(ageResult.genderProbability * 100)}% confidence)`);
+    // Let others know whether anyone is in view, recognized or not
+    document.dispatchEvent(new CustomEvent('faces-detected', {
+      detail: { count: allDetections.length, live }
+    }));
+    
+    // Score every face; in live mode poor faces are skipped rather than matched
+    allDetections.forEach(detection => {
+      detection.quality = quality.assessFace(img, detection);
+    });
+    const detections = live
+      ? allDetections.filter(detection => detection.quality.level !== 'reject')
+      : allDetections;
+    
+    if (live && detections.length < allDetections.length) {
+      logDebug(`Skipped ${allDetections.length - detections.length} low-quality faces`);
+      
+      // Someone is in view but not clearly: keep the current results until the picture improves
+      if (detections.length === 0) {
+        recognitionActive = false;
+        return;
+      }
+    }
+    
+    if (detections.length === 0) {
+      if (live) {
+        // Nobody in view: once every track has expired, clear the cards so the next arrivals are announced
+        tracker.update([]);
+        if (!tracker.hasTracks()) {
+          ui.clearRecognitionResult();
         }
-      } catch (error) {
-        console.error('Error detecting age:', error);
+      } else {
+        ui.displayRecognitionResult({ faces: [] });
       }
+      recognitionActive = false;
+      return;
     }
     
     // Get known people data
     const knownPeople = await peopleModule.getKnownPeople();
     
     if (knownPeople.length === 0) {
+      // Keep the faces so the first people can be added from the inbox
+      const unknownFaces = detections.map(detection => ({
+        person: null,
+        descriptor: detection.descriptor,
+        detection: detection.detection,
+        quality: detection.quality
+      }));
+      if (live) {
+        tracker.update(unknownFaces);
+      }
+      visitors.captureUnknownFaces(getConfirmedFaces(unknownFaces, live), imageData.canvas);
+      
       ui.displayRecognitionResult({ 
-        recognized: false,
-        message: 'No people saved to recognize. Please add people first.'
+        faces: [],
+        message: i18n.t('recognition.noPeople')
       });
       recognitionActive = false;
       return;
     }
     
     // Create face matcher with known faces
-    const labeledDescriptors = knownPeople.map(person => {
-      return new faceapi.LabeledFaceDescriptors(
-        person._id,
-        [new Float32Array(person.faceDescriptor)]
-      );
-    });
+    const labeledDescriptors = buildLabeledDescriptors(knownPeople, settings.getMatchingStrategy());
+    
+    if (labeledDescriptors.length === 0) {
+      ui.displayRecognitionResult({ 
+        faces: [],
+        message: i18n.t('recognition.noFaceData')
+      });
+      return;
+    }
     
-    // Get threshold from settings
+    // Get threshold from settings; people can override it for themselves
     const threshold = parseFloat(settings.getRecognitionThreshold());
-    const faceMatcher = new faceapi.FaceMatcher(labeledDescriptors, threshold);
     
-    // Find best match
-    const match = faceMatcher.findBestMatch(detection.descriptor);
+    // The matcher always reports the closest person; their own threshold is applied below
+    const faceMatcher = new faceapi.FaceMatcher(labeledDescriptors, Infinity);
     
-    // Display results
-    if (match.label !== 'unknown') {
-      const person = knownPeople.find(p => p._id === match.label);
+    // Find the closest person for every detected face and check it against their threshold
+    const faces = detections.map(detection => {
+      const match = faceMatcher.matchDescriptor(detection.descriptor);
+      const closest = knownPeople.find(p => p._id === match.label) || null;
+      const personThreshold = getPersonThreshold(closest, threshold);
+      
+      return {
+        person: closest && match.distance < personThreshold ? closest : null,
+        distance: match.distance,
+        threshold: personThreshold,
+        customThreshold: personThreshold !== threshold,
+        descriptor: detection.descriptor,
+        detection: detection.detection,
+        quality: detection.quality,
+        expressions: detection.expressions,
+        ageResult: getAgeResult(detection)
+      };
+    });
+    
+    // The same person can only be in the frame once: keep their closest match
+    const recognizedFaces = keepClosestMatchPerPerson(faces);
+    
+    // Rate each match; higher is better, unlike the raw distance
+    faces.forEach(face => {
+      face.confidence = face.person ? confidence.computeConfidence(face.distance, face.threshold) : null;
+    });
+    
+    // In live mode only react once enough frames agree on someone who was not already in view
+    const arrivals = live ? tracker.update(faces) : recognizedFaces;
+    const confirmedFaces = getConfirmedFaces(faces, live);
+    
+    arrivals.forEach(face => {
+      // Remember when they were last seen so returning visitors can be welcomed back
+      face.previousSeen = face.person.lastRecognized || null;
       
       // Update last recognized timestamp in database
-      peopleModule.updateLastRecognized(person._id);
+      peopleModule.updateLastRecognized(face.person._id);
       
       // If we detected age, update it in the database
-      if (ageResult) {
-        peopleModule.updatePersonAge(person._id, ageResult.age);
+      if (face.ageResult) {
+        peopleModule.updatePersonAge(face.person._id, face.ageResult.age);
       }
-      
-      // Announce recognition based on settings
-      announceRecognition(person, ageResult);
-      
-      // Display results in UI
-      ui.displayRecognitionResult({
-        recognized: true,
-        person: person,
-        confidence: match.distance,
-        detection: detection.detection,
-        ageResult: ageResult
-      });
-    } else {
-      ui.displayRecognitionResult({ 
-        recognized: false,
-        message: 'Face not recognized. Try adding this person first.',
-        ageResult: ageResult
-      });
-    }
+    });
+    
+    // Announce everyone who just arrived, based on settings
+    announcer.announce(arrivals, { live });
+    
+    logDebug(`Detected ${faces.length} faces, recognized ${recognizedFaces.length}`);
+    
+    // Log every settled face in the recognition history
+    history.recordRecognition(confirmedFaces, {
+      live,
+      detector: settings.getDetector(),
+      canvas: imageData.canvas
+    });
+    
+    // Keep unrecognized faces so they can be added as people later
+    visitors.captureUnknownFaces(confirmedFaces, imageData.canvas);
+    
+    // Display results in UI
+    ui.displayRecognitionResult({ faces });
   } catch (error) {
     console.error('Error during face recognition:', error);
     ui.displayRecognitionResult({ 
-      recognized: false,
-      message: 'Error analyzing face: ' + error.message
+      faces: [],
+      message: i18n.t('recognition.failed', { error: error.message })
     });
   } finally {
     recognitionActive = false;
   }
 }
 
+/**
+ * Extract the age result from a detection, if age was predicted
+ * @param {Object} detection - face-api.js detection result
+ * @returns {Object|null} Age result with age, gender and genderProbability
+ */
+function getAgeResult(detection) {
+  if (typeof detection.age !== 'number') {
+    return null;
+  }
+  
+  return {
+    age: Math.round(detection.age),
+    gender: detection.gender,
+    genderProbability: detection.genderProbability
+  };
+}
+
+/**
+ * Get the threshold a face is matched against for a person
+ * @param {Object|null} person - Closest known person
+ * @param {number} defaultThreshold - Threshold from settings
+ * @returns {number} The person's own threshold if set, otherwise the default
+ */
+function getPersonThreshold(person, defaultThreshold) {
+  if (person && typeof person.recognitionThreshold === 'number' && !isNaN(person.recognitionThreshold)) {
+    return person.recognitionThreshold;
+  }
+  
+  return defaultThreshold;
+}
+
+/**
+ * Mark all but the closest face matched to each person as unknown
+ * @param {Array} faces - Face results, updated in place
+ * @returns {Array} Faces that are still recognized
+ */
+function keepClosestMatchPerPerson(faces) {
+  const closest = new Map();
+  
+  faces.forEach(face => {
+    if (!face.person) return;
+    
+    const current = closest.get(face.person._id);
+    if (!current || face.distance < current.distance) {
+      closest.set(face.person._id, face);
+    }
+  });
+  
+  faces.forEach(face => {
+    if (face.person && closest.get(face.person._id) !== face) {
+      face.person = null;
+    }
+  });
+  
+  return Array.from(closest.values());
+}
+
+/**
+ * Get the faces whose identity is settled
+ * @param {Array} faces - Face results
+ * @param {boolean} live - Whether the faces went through the tracker
+ * @returns {Array} Every face for a single picture, only confirmed tracks in live mode
+ */
+function getConfirmedFaces(faces, live) {
+  return live
+    ? faces.filter(face => face.tracking && face.tracking.state === 'confirmed')
+    : faces;
+}
+
+/**
+ * Forget who the live loop last saw and clear the result display
+ */
+function resetLiveState() {
+  tracker.reset();
+  ui.clearRecognitionResult();
+}
+
+/**
+ * Build labeled descriptors for the face matcher from stored people
+ * 
+ * FaceMatcher averages the distances of all descriptors sharing a label, so
+ * "best" gives every stored descriptor its own entry (the closest photo wins)
+ * while "centroid" collapses each person's descriptors into their mean.
+ * @param {Array} people - Known people with `faceDescriptors`
+ * @param {string} strategy - Matching strategy: 'best' or 'centroid'
+ * @returns {Array} Array of faceapi.LabeledFaceDescriptors
+ */
+function buildLabeledDescriptors(people, strategy) {
+  const labeledDescriptors = [];
+  
+  people.forEach(person => {
+    const descriptors = (person.faceDescriptors || [])
+      .filter(entry => entry && Array.isArray(entry.descriptor) && entry.descriptor.length > 0)
+      .map(entry => new Float32Array(entry.descriptor));
+    
+    if (descriptors.length === 0) {
+      return;
+    }
+    
+    if (strategy === 'centroid') {
+      labeledDescriptors.push(new faceapi.LabeledFaceDescriptors(
+        person._id,
+        [computeCentroid(descriptors)]
+      ));
+    } else {
+      descriptors.forEach(descriptor => {
+        labeledDescriptors.push(new faceapi.LabeledFaceDescriptors(person._id, [descriptor]));
+      });
+    }
+  });
+  
+  return labeledDescriptors;
+}
+
+/**
+ * Compute the mean of a set of face descriptors
+ * @param {Array<Float32Array>} descriptors - Descriptors of equal length
+ * @returns {Float32Array} Mean descriptor
+ */
+function computeCentroid(descriptors) {
+  const centroid = new Float32Array(descriptors[0].length);
+  
+  descriptors.forEach(descriptor => {
+    for (let i = 0; i < centroid.length; i++) {
+      centroid[i] += descriptor[i];
+    }
+  });
+  
+  for (let i = 0; i < centroid.length; i++) {
+    centroid[i] /= descriptors.length;
+  }
+  
+  return centroid;
+}
+
+/**
+ * Detect every face in a camera frame with landmarks and descriptors
+ * Used when enrolling from the camera, where nobody needs to be recognized.
+ * @param {HTMLCanvasElement} canvas - Camera frame
+ * @returns {Promise<Array>} face-api.js results with detection, landmarks, descriptor and age when available
+ */
+async function detectFaces(canvas) {
+  if (!modelsLoaded) {
+    await loadFaceRecognitionModels();
+  }
+  
+  await loadDetectorModel(settings.getDetector());
+  
+  let detectionTask = faceapi.detectAllFaces(canvas, getDetectorOptions())
+    .withFaceLandmarks(useTinyLandmarks());
+  
+  if (ageGenderModelLoaded) {
+    detectionTask = detectionTask.withAgeAndGender();
+  }
+  
+  return detectionTask.withFaceDescriptors();
+}
+
 /**
  * Get face descriptor from image
  * @param {string} imagePath - Path to image file
@@ -367,15 +670,7 @@ async function getFaceDescriptor(imagePath) {
     img.crossOrigin = 'anonymous';
     
     // Create a data URL from the image path
-    const imageData = await fs.promises.readFile(imagePath);
-    const base64Image = imageData.toString('base64');
-    
-    // Determine the correct MIME type based on the file extension
-    const extension = path.extname(imagePath).toLowerCase();
-    const mimeType = extension === '.png' ? 'image/png' : 
-                    (extension === '.jpg' || extension === '.jpeg') ? 'image/jpeg' : 'image/png';
-    
-    const dataUrl = `data:${mimeType};base64,${base64Image}`;
+    const dataUrl = await photos.readPhoto(imagePath);
     
     // Load image and wait for it
     await new Promise((resolve, reject) => {
@@ -384,17 +679,20 @@ async function getFaceDescriptor(imagePath) {
       img.src = dataUrl;
     });
     
+    // Make sure the selected detector is loaded
+    await loadDetectorModel(settings.getDetector());
+    
     // Detect face in image
-    const detection = await faceapi.detectSingleFace(img)
-      .withFaceLandmarks()
+    const detection = await faceapi.detectSingleFace(img, getDetectorOptions())
+      .withFaceLandmarks(useTinyLandmarks())
       .withFaceDescriptor();
     
     // If age/gender model is loaded, also detect age
     let ageResult = null;
     if (ageGenderModelLoaded && detection) {
       try {
-        const ageDetection = await faceapi.detectSingleFace(img)
-          .withFaceLandmarks()
+        const ageDetection = await faceapi.detectSingleFace(img, getDetectorOptions())
+          .withFaceLandmarks(useTinyLandmarks())
           .withAgeAndGender();
         
         if (ageDetection) {
@@ -410,16 +708,30 @@ async function getFaceDescriptor(imagePath) {
     }
     
     if (detection) {
+      // A poor photo would become a poor reference for this person
+      const faceQuality = quality.assessFace(img, detection);
+      quality.logAssessment(imagePath.split(/[\\/]/).pop(), faceQuality);
+      
+      if (faceQuality.level === 'reject') {
+        return {
+          valid: false,
+          error: quality.describeIssues(faceQuality),
+          quality: faceQuality,
+          ageResult: ageResult
+        };
+      }
+      
       return {
         valid: true,
         descriptor: Array.from(detection.descriptor),
         detection: detection,
+        quality: faceQuality,
         ageResult: ageResult
       };
     } else {
       return {
         valid: false,
-        error: 'No face detected in image'
+        error: i18n.t('recognition.noFaceInPhoto')
       };
     }
   } catch (error) {
@@ -431,89 +743,18 @@ async function getFaceDescriptor(imagePath) {
   }
 }
 
-/**
- * Announce recognition based on settings
- * @param {Object} person - Recognized person data
- * @param {Object} ageResult - Age detection result
- */
-function announceRecognition(person, ageResult) {
-  const mode = settings.getAnnouncementMode();
-  if (mode === 'none') return;
-  
-  if ('speechSynthesis' in window) {
-    const speech = new SpeechSynthesisUtterance();
-    
-    if (mode === 'name') {
-      speech.text = person.name;
-    } else if (mode === 'full') {
-      let speechText = `${person.name}, your ${person.relationship || 'contact'}`;
-      
-      // Add age if detected
-      if (ageResult) {
-        speechText += `, approximately ${ageResult.age} years old`;
-      }
-      
-      // Add notes if available
-      if (person.notes) {
-        speechText += `. ${person.notes}`;
-      }
-      
-      speech.text = speechText;
-    }
-    
-    // Check for user's preferred voice from settings
-    const preferredVoiceName = settings.getPreferredVoice();
-    
-    // Ensure voices are loaded
-    if (speechVoices.length === 0) {
-      // Try loading voices again
-      speechVoices = window.speechSynthesis.getVoices();
-    }
-    
-    // Try to find the preferred voice
-    let voiceFound = false;
-    
-    if (preferredVoiceName && speechVoices.length > 0) {
-      // Find the voice by name
-      const selectedVoice = speechVoices.find(voice => voice.name === preferredVoiceName);
-      if (selectedVoice) {
-        speech.voice = selectedVoice;
-        voiceFound = true;
-        logDebug(`Using selected voice: ${selectedVoice.name}`);
-      }
-    }
-    
-    // If no voice was found or set, try the auto-detected female voice
-    if (!voiceFound && preferredVoice) {
-      speech.voice = preferredVoice;
-      voiceFound = true;
-      logDebug(`Using detected female voice: ${preferredVoice.name}`);
-    }
-    
-    // If still no voice, log a message
-    if (!voiceFound) {
-      logDebug('No specific voice selected or detected, using system default');
-    }
-    
-    // Apply pitch and rate from settings
-    speech.pitch = settings.getVoicePitch();
-    speech.rate = settings.getVoiceRate();
-    
-    // Log the final voice configuration
-    logDebug(`Speaking with voice: ${speech.voice ? speech.voice.name : 'default'}, pitch: ${speech.pitch}, rate: ${speech.rate}`);
-    
-    // Cancel any previous speech
-    window.speechSynthesis.cancel();
-    
-    // Speak the text
-    window.speechSynthesis.speak(speech);
-  }
-}
-
 function getAvailableVoices() {
   return speechVoices;
 }
 
+/**
+ * Get the voice picked automatically when no voice is chosen in settings
+ * @returns {SpeechSynthesisVoice|null} Detected voice
+ */
+function getDetectedVoice() {
+  return preferredVoice;
+}
+
 /**
  * Check if recognition is currently active
  * @returns {boolean} Whether recognition is active
@@ -609,14 +850,18 @@ function debugVoices() {
 }
 
 // Export the module functions
-module.exports = {
+export {
   init,
   recognizeFace,
+  resetLiveState,
   getFaceDescriptor,
+  detectFaces,
   loadFaceRecognitionModels,
+  loadDetectorModel,
   isActive,
   isModelsLoaded,
   isAgeGenderModelLoaded,
   getAvailableVoices,
+  getDetectedVoice,
   debugVoices
 };
\ No newline at end of file
@@ -5,7 +5,12 @@
  */
 
 // Module dependencies
-const ui = require('./ui');
+import * as announcer from './announcer.js';
+import * as history from './history.js';
+import * as i18n from './i18n.js';
+import * as recognition from './recognition.js';
+import * as templates from './templates.js';
+import * as ui from './ui.js';
 
 // Debug helper
 function logDebug(message) {
@@ -15,25 +20,50 @@ function logDebug(message) {
 // Default settings
 const DEFAULT_SETTINGS = {
   confidenceThreshold: 0.6,
+  matchingStrategy: 'best',
+  detector: 'ssd',
+  ssdMinConfidence: 0.5,
+  tinyInputSize: 416,
+  tinyScoreThreshold: 0.5,
+  mtcnnMinFaceSize: 40,
   announcementMode: 'name',
+  announcementTemplates: {},
+  liveRecognition: false,
+  liveRecognitionInterval: 500,
+  liveConfirmFrames: 3,
+  historyRetentionDays: 90,
+  historySaveFaceCrops: false,
+  captureUnknownFaces: true,
+  announcementCooldown: 5,
+  welcomeBackHours: 4,
+  quietHoursEnabled: false,
+  quietHoursStart: '21:00',
+  quietHoursEnd: '07:00',
   preferredVoice: null,  // Add this line for voice settings
   voicePitch: 1.2,       // Add this line for voice pitch
   voiceRate: 0.9,        // Add this line for voice rate
   textSize: 'normal',
-  highContrast: false
+  highContrast: false,
+  language: null,  // null follows the system language
+  caregiverRelockMinutes: 5,
+  patientOnlyLayout: false,
+  kioskMode: false
 };
 
+// Where older versions kept the settings
+const LEGACY_STORAGE_KEY = 'faceRecallSettings';
+
 // Current settings
 let currentSettings = { ...DEFAULT_SETTINGS };
 
 /**
  * Initialize the settings module
  */
-function init() {
+async function init() {
   logDebug('Initializing settings module');
   
   // Load saved settings
-  loadSettings();
+  await loadSettings();
   
   // Setup event listeners
   setupEventListeners();
@@ -45,13 +75,23 @@ function init() {
 }
 
 /**
- * Load settings from localStorage
+ * Load settings from the settings file
+ * Settings from versions that kept them in localStorage are moved over once.
  */
-function loadSettings() {
+async function loadSettings() {
   try {
-    const savedSettings = JSON.parse(localStorage.getItem('faceRecallSettings') || '{}');
+    let savedSettings = await window.faceRecall.settings.load();
+    
+    if (!savedSettings) {
+      savedSettings = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '{}');
+      await window.faceRecall.settings.save(savedSettings);
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      logDebug('Settings moved from localStorage to the settings file');
+    }
+    
     currentSettings = { ...DEFAULT_SETTINGS, ...savedSettings };
-    logDebug('Settings loaded from localStorage');
+    currentSettings.announcementTemplates = groupTemplatesByLanguage(currentSettings.announcementTemplates);
+    logDebug('Settings loaded');
   } catch (error) {
     console.error('Error loading settings:', error);
     currentSettings = { ...DEFAULT_SETTINGS };
@@ -59,15 +99,12 @@ function loadSettings() {
 }
 
 /**
- * Save settings to localStorage
+ * Save settings to the settings file
  */
 function saveSettings() {
-  try {
-    localStorage.setItem('faceRecallSettings', JSON.stringify(currentSettings));
-    logDebug('Settings saved to localStorage');
-  } catch (error) {
-    console.error('Error saving settings:', error);
-  }
+  window.faceRecall.settings.save(currentSettings)
+    .then(() => logDebug('Settings saved'))
+    .catch(error => console.error('Error saving settings:', error));
 }
 
 /**
@@ -76,6 +113,20 @@ function saveSettings() {
 function applySettings() {
   const elements = ui.getElements();
   
+  // Apply language first, the rest of the page is shown in it
+  if (elements.languageSelect) {
+    if (elements.languageSelect.options.length === 1) {
+      i18n.getLanguages().forEach(language => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = language.label;
+        elements.languageSelect.appendChild(option);
+      });
+    }
+    elements.languageSelect.value = currentSettings.language || '';
+  }
+  i18n.setLanguage(currentSettings.language);
+  
   // Apply confidence threshold
   if (elements.confidenceThreshold) {
     elements.confidenceThreshold.value = currentSettings.confidenceThreshold;
@@ -84,20 +135,96 @@ function applySettings() {
     }
   }
   
+  // Apply matching strategy
+  if (elements.matchingStrategy) {
+    elements.matchingStrategy.value = currentSettings.matchingStrategy;
+  }
+  
+  // Apply detector choice and its options
+  if (elements.detectorSelect) {
+    elements.detectorSelect.value = currentSettings.detector;
+  }
+  
+  if (elements.ssdMinConfidence) {
+    elements.ssdMinConfidence.value = currentSettings.ssdMinConfidence;
+  }
+  
+  if (elements.tinyInputSize) {
+    elements.tinyInputSize.value = currentSettings.tinyInputSize;
+  }
+  
+  if (elements.tinyScoreThreshold) {
+    elements.tinyScoreThreshold.value = currentSettings.tinyScoreThreshold;
+  }
+  
+  if (elements.mtcnnMinFaceSize) {
+    elements.mtcnnMinFaceSize.value = currentSettings.mtcnnMinFaceSize;
+  }
+  
+  applyDetectorOptionsVisibility();
+  
   // Apply announcement mode
   if (elements.announcementMode) {
     elements.announcementMode.value = currentSettings.announcementMode;
   }
   
+  applyAnnouncementTemplate();
+  
+  // Apply hands-free recognition
+  if (elements.liveRecognition) {
+    elements.liveRecognition.checked = currentSettings.liveRecognition;
+  }
+  
+  if (elements.liveRecognitionInterval) {
+    elements.liveRecognitionInterval.value = currentSettings.liveRecognitionInterval;
+  }
+  
+  if (elements.liveConfirmFrames) {
+    elements.liveConfirmFrames.value = currentSettings.liveConfirmFrames;
+  }
+  
+  // Apply history settings
+  if (elements.historyRetention) {
+    elements.historyRetention.value = currentSettings.historyRetentionDays;
+  }
+  
+  if (elements.historySaveFaceCrops) {
+    elements.historySaveFaceCrops.checked = currentSettings.historySaveFaceCrops;
+  }
+  
+  if (elements.captureUnknownFaces) {
+    elements.captureUnknownFaces.checked = currentSettings.captureUnknownFaces;
+  }
+  
+  // Apply announcement timing
+  if (elements.announcementCooldown) {
+    elements.announcementCooldown.value = currentSettings.announcementCooldown;
+  }
+  
+  if (elements.welcomeBackHours) {
+    elements.welcomeBackHours.value = currentSettings.welcomeBackHours;
+  }
+  
+  if (elements.quietHoursEnabled) {
+    elements.quietHoursEnabled.checked = currentSettings.quietHoursEnabled;
+  }
+  
+  if (elements.quietHoursStart) {
+    elements.quietHoursStart.value = currentSettings.quietHoursStart;
+  }
+  
+  if (elements.quietHoursEnd) {
+    elements.quietHoursEnd.value = currentSettings.quietHoursEnd;
+  }
+  
   // Apply voice settings
   if (elements.voiceSelect && elements.voiceSelect.options.length === 0) {
-    const recognition = require('./recognition');
     const voices = recognition.getAvailableVoices();
     
     // Add default option
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = 'Default Voice';
+    defaultOption.textContent = i18n.t('voice.default');
     elements.voiceSelect.appendChild(defaultOption);
     
     // Add available voices
@@ -142,6 +269,15 @@ function applySettings() {
     applyContrastMode();
   }
   
+  // Apply caregiver lock settings
+  if (elements.caregiverRelock) {
+    elements.caregiverRelock.value = currentSettings.caregiverRelockMinutes;
+  }
+  
+  if (elements.patientOnlyLayout) {
+    elements.patientOnlyLayout.checked = currentSettings.patientOnlyLayout;
+  }
+  
   logDebug('Settings applied');
 }
 
@@ -162,11 +298,162 @@ function setupEventListeners() {
     });
   }
   
+  // Matching strategy
+  if (elements.matchingStrategy) {
+    elements.matchingStrategy.addEventListener('change', () => {
+      currentSettings.matchingStrategy = elements.matchingStrategy.value;
+      saveSettings();
+    });
+  }
+  
+  // Face detector
+  if (elements.detectorSelect) {
+    elements.detectorSelect.addEventListener('change', () => {
+      currentSettings.detector = elements.detectorSelect.value;
+      applyDetectorOptionsVisibility();
+      saveSettings();
+      
+      // Start loading the new detector's model before it is needed
+      recognition.loadDetectorModel(currentSettings.detector);
+    });
+  }
+  
+  // Detector options
+  const detectorOptionInputs = {
+    ssdMinConfidence: parseFloat,
+    tinyInputSize: value => parseInt(value, 10),
+    tinyScoreThreshold: parseFloat,
+    mtcnnMinFaceSize: value => parseInt(value, 10)
+  };
+  
+  Object.keys(detectorOptionInputs).forEach(key => {
+    if (elements[key]) {
+      elements[key].addEventListener('change', () => {
+        const value = detectorOptionInputs[key](elements[key].value);
+        if (!isNaN(value)) {
+          currentSettings[key] = value;
+          saveSettings();
+        }
+      });
+    }
+  });
+  
   // Announcement mode
   if (elements.announcementMode) {
     elements.announcementMode.addEventListener('change', () => {
       currentSettings.announcementMode = elements.announcementMode.value;
       saveSettings();
+      applyAnnouncementTemplate();
+    });
+  }
+  
+  // Announcement wording, kept per language and mode
+  if (elements.announcementTemplate) {
+    elements.announcementTemplate.addEventListener('input', () => {
+      const mode = currentSettings.announcementMode;
+      if (mode === 'none') return;
+      
+      setLanguageTemplates({
+        ...getLanguageTemplates(),
+        [mode]: elements.announcementTemplate.value
+      });
+      saveSettings();
+      updateAnnouncementPreview();
+    });
+  }
+  
+  if (elements.resetAnnouncementTemplateButton) {
+    elements.resetAnnouncementTemplateButton.addEventListener('click', () => {
+      const templates = { ...getLanguageTemplates() };
+      delete templates[currentSettings.announcementMode];
+      setLanguageTemplates(templates);
+      saveSettings();
+      applyAnnouncementTemplate();
+    });
+  }
+  
+  // Hands-free recognition
+  if (elements.liveRecognition) {
+    elements.liveRecognition.addEventListener('change', () => {
+      currentSettings.liveRecognition = elements.liveRecognition.checked;
+      saveSettings();
+    });
+  }
+  
+  if (elements.liveRecognitionInterval) {
+    elements.liveRecognitionInterval.addEventListener('change', () => {
+      currentSettings.liveRecognitionInterval = parseInt(elements.liveRecognitionInterval.value, 10);
+      saveSettings();
+    });
+  }
+  
+  if (elements.liveConfirmFrames) {
+    elements.liveConfirmFrames.addEventListener('change', () => {
+      currentSettings.liveConfirmFrames = parseInt(elements.liveConfirmFrames.value, 10);
+      saveSettings();
+    });
+  }
+  
+  // Recognition history
+  if (elements.historyRetention) {
+    elements.historyRetention.addEventListener('change', () => {
+      currentSettings.historyRetentionDays = parseInt(elements.historyRetention.value, 10);
+      saveSettings();
+      
+      // Drop events that fall outside the new retention period right away
+      history.applyRetentionPolicy();
+    });
+  }
+  
+  if (elements.historySaveFaceCrops) {
+    elements.historySaveFaceCrops.addEventListener('change', () => {
+      currentSettings.historySaveFaceCrops = elements.historySaveFaceCrops.checked;
+      saveSettings();
+    });
+  }
+  
+  if (elements.captureUnknownFaces) {
+    elements.captureUnknownFaces.addEventListener('change', () => {
+      currentSettings.captureUnknownFaces = elements.captureUnknownFaces.checked;
+      saveSettings();
+    });
+  }
+  
+  // Announcement timing
+  if (elements.announcementCooldown) {
+    elements.announcementCooldown.addEventListener('change', () => {
+      currentSettings.announcementCooldown = parseInt(elements.announcementCooldown.value, 10);
+      saveSettings();
+    });
+  }
+  
+  if (elements.welcomeBackHours) {
+    elements.welcomeBackHours.addEventListener('change', () => {
+      currentSettings.welcomeBackHours = parseInt(elements.welcomeBackHours.value, 10);
+      saveSettings();
+    });
+  }
+  
+  if (elements.quietHoursEnabled) {
+    elements.quietHoursEnabled.addEventListener('change', () => {
+      currentSettings.quietHoursEnabled = elements.quietHoursEnabled.checked;
+      saveSettings();
+    });
+  }
+  
+  if (elements.quietHoursStart) {
+    elements.quietHoursStart.addEventListener('change', () => {
+      if (!elements.quietHoursStart.value) return;
+      currentSettings.quietHoursStart = elements.quietHoursStart.value;
+      saveSettings();
+    });
+  }
+  
+  if (elements.quietHoursEnd) {
+    elements.quietHoursEnd.addEventListener('change', () => {
+      if (!elements.quietHoursEnd.value) return;
+      currentSettings.quietHoursEnd = elements.quietHoursEnd.value;
+      saveSettings();
     });
   }
   
@@ -217,6 +504,127 @@ function setupEventListeners() {
       saveSettings();
     });
   }
+  
+  // Caregiver lock
+  if (elements.caregiverRelock) {
+    elements.caregiverRelock.addEventListener('change', () => {
+      currentSettings.caregiverRelockMinutes = parseInt(elements.caregiverRelock.value, 10);
+      saveSettings();
+    });
+  }
+  
+  if (elements.patientOnlyLayout) {
+    elements.patientOnlyLayout.addEventListener('change', () => {
+      currentSettings.patientOnlyLayout = elements.patientOnlyLayout.checked;
+      saveSettings();
+    });
+  }
+  
+  // Language
+  if (elements.languageSelect) {
+    elements.languageSelect.addEventListener('change', () => {
+      currentSettings.language = elements.languageSelect.value || null;
+      saveSettings();
+      i18n.setLanguage(currentSettings.language);
+      applyAnnouncementTemplate();
+      onVoicesLoaded();
+    });
+  }
+}
+
+/**
+ * Show only the option fields that belong to the selected detector
+ */
+function applyDetectorOptionsVisibility() {
+  document.querySelectorAll('[data-detector]').forEach(item => {
+    item.classList.toggle('hidden', item.dataset.detector !== currentSettings.detector);
+  });
+}
+
+/**
+ * Show the wording of the current announcement mode and its preview
+ */
+function applyAnnouncementTemplate() {
+  const elements = ui.getElements();
+  const mode = currentSettings.announcementMode;
+  
+  if (elements.announcementTemplateItem) {
+    elements.announcementTemplateItem.classList.toggle('hidden', mode === 'none');
+  }
+  
+  if (elements.announcementTemplate && mode !== 'none') {
+    elements.announcementTemplate.value = getLanguageTemplates()[mode] || templates.getDefaultTemplate(mode);
+  }
+  
+  updateAnnouncementPreview();
+}
+
+/**
+ * Get the caregiver's wording for the current language
+ * @returns {Object} Templates by announcement mode
+ */
+function getLanguageTemplates() {
+  return currentSettings.announcementTemplates[i18n.getLanguage()] || {};
+}
+
+/**
+ * Replace the caregiver's wording for the current language
+ * @param {Object} templates - Templates by announcement mode
+ */
+function setLanguageTemplates(templates) {
+  currentSettings.announcementTemplates = {
+    ...currentSettings.announcementTemplates,
+    [i18n.getLanguage()]: templates
+  };
+}
+
+/**
+ * Group saved wording by language
+ * Wording saved before announcements were translated is kept per mode
+ * only, and was written in English.
+ * @param {Object} templates - Saved templates
+ * @returns {Object} Templates by language, then by mode
+ */
+function groupTemplatesByLanguage(templates) {
+  const grouped = {};
+  Object.keys(templates || {}).forEach(key => {
+    if (typeof templates[key] === 'string') {
+      grouped.en = { ...grouped.en, [key]: templates[key] };
+    } else {
+      grouped[key] = { ...grouped[key], ...templates[key] };
+    }
+  });
+  return grouped;
+}
+
+/**
+ * Show the text the current wording produces for a sample visitor
+ */
+function updateAnnouncementPreview() {
+  const elements = ui.getElements();
+  if (!elements.announcementTemplatePreview) return;
+  
+  elements.announcementTemplatePreview.textContent = announcer.getPreviewText();
+}
+
+/**
+ * Get a copy of all current settings
+ * @returns {Object} Current settings
+ */
+function getAllSettings() {
+  return { ...currentSettings };
+}
+
+/**
+ * Replace all settings, e.g. when restoring a backup
+ * @param {Object} newSettings - Settings to use; missing values fall back to defaults
+ */
+function replaceSettings(newSettings) {
+  currentSettings = { ...DEFAULT_SETTINGS, ...newSettings };
+  currentSettings.announcementTemplates = groupTemplatesByLanguage(currentSettings.announcementTemplates);
+  saveSettings();
+  applySettings();
+  logDebug('Settings replaced');
 }
 
 /**
@@ -246,6 +654,64 @@ function getRecognitionThreshold() {
   return currentSettings.confidenceThreshold;
 }
 
+/**
+ * Change the recognition threshold, e.g. after calibration
+ * @param {number} threshold - New threshold
+ */
+function setRecognitionThreshold(threshold) {
+  currentSettings.confidenceThreshold = threshold;
+  saveSettings();
+  applySettings();
+}
+
+/**
+ * Get current matching strategy
+ * @returns {string} 'best' to match the closest stored photo, 'centroid' to match each person's average
+ */
+function getMatchingStrategy() {
+  return currentSettings.matchingStrategy;
+}
+
+/**
+ * Get current face detector
+ * @returns {string} 'ssd', 'tiny' or 'mtcnn'
+ */
+function getDetector() {
+  return currentSettings.detector;
+}
+
+/**
+ * Get minimum confidence for the SSD MobileNet detector
+ * @returns {number} Minimum detection confidence (0-1)
+ */
+function getSsdMinConfidence() {
+  return currentSettings.ssdMinConfidence;
+}
+
+/**
+ * Get input size for the Tiny Face Detector
+ * @returns {number} Input size in pixels (multiple of 32)
+ */
+function getTinyInputSize() {
+  return currentSettings.tinyInputSize;
+}
+
+/**
+ * Get score threshold for the Tiny Face Detector
+ * @returns {number} Minimum detection score (0-1)
+ */
+function getTinyScoreThreshold() {
+  return currentSettings.tinyScoreThreshold;
+}
+
+/**
+ * Get minimum face size for the MTCNN detector
+ * @returns {number} Minimum face size in pixels
+ */
+function getMtcnnMinFaceSize() {
+  return currentSettings.mtcnnMinFaceSize;
+}
+
 /**
  * Get current announcement mode
  * @returns {string} Current announcement mode
@@ -254,6 +720,103 @@ function getAnnouncementMode() {
   return currentSettings.announcementMode;
 }
 
+/**
+ * Check if hands-free recognition is enabled
+ * @returns {boolean} Whether camera frames are recognized continuously
+ */
+function isLiveRecognitionEnabled() {
+  return currentSettings.liveRecognition;
+}
+
+/**
+ * Get the delay between hands-free recognition frames
+ * @returns {number} Interval in milliseconds
+ */
+function getLiveRecognitionInterval() {
+  return currentSettings.liveRecognitionInterval;
+}
+
+/**
+ * Get how many live frames must agree before a face is named
+ * @returns {number} Number of agreeing frames
+ */
+function getLiveConfirmFrames() {
+  return currentSettings.liveConfirmFrames;
+}
+
+/**
+ * Get how long recognition history is kept
+ * @returns {number} Retention in days, 0 to keep forever
+ */
+function getHistoryRetentionDays() {
+  return currentSettings.historyRetentionDays;
+}
+
+/**
+ * Check if face crops are saved with recognition history
+ * @returns {boolean} Whether face crops are saved
+ */
+function getHistorySaveFaceCrops() {
+  return currentSettings.historySaveFaceCrops;
+}
+
+/**
+ * Check if unrecognized faces are kept for later enrollment
+ * @returns {boolean} Whether unknown faces are captured
+ */
+function getCaptureUnknownFaces() {
+  return currentSettings.captureUnknownFaces;
+}
+
+/**
+ * Get how long before the same person is announced again
+ * @returns {number} Cooldown in minutes
+ */
+function getAnnouncementCooldown() {
+  return currentSettings.announcementCooldown;
+}
+
+/**
+ * Get how long someone must be away to be welcomed back
+ * @returns {number} Absence in hours, 0 to never say "welcome back"
+ */
+function getWelcomeBackHours() {
+  return currentSettings.welcomeBackHours;
+}
+
+/**
+ * Check if announcements are silenced during quiet hours
+ * @returns {boolean} Whether quiet hours are on
+ */
+function getQuietHoursEnabled() {
+  return currentSettings.quietHoursEnabled;
+}
+
+/**
+ * Get when quiet hours start
+ * @returns {string} Time as HH:MM
+ */
+function getQuietHoursStart() {
+  return currentSettings.quietHoursStart;
+}
+
+/**
+ * Get when quiet hours end
+ * @returns {string} Time as HH:MM
+ */
+function getQuietHoursEnd() {
+  return currentSettings.quietHoursEnd;
+}
+
+/**
+ * Get the caregiver's wording for an announcement mode in the current language
+ * @param {string} mode - Announcement mode, 'name' or 'full'
+ * @returns {string} Template, or an empty string to use the default
+ */
+function getAnnouncementTemplate(mode) {
+  return getLanguageTemplates()[mode] || '';
+}
+
 /**
  * Get current preferred voice
  * @returns {string} Current preferred voice name
@@ -294,13 +857,56 @@ function getHighContrast() {
   return currentSettings.highContrast;
 }
 
+/**
+ * Get the chosen language
+ * @returns {string|null} Language code, or null to follow the system language
+ */
+function getLanguage() {
+  return currentSettings.language;
+}
+
+/**
+ * Get how long the caregiver areas stay open without activity
+ * @returns {number} Minutes before locking again
+ */
+function getCaregiverRelockMinutes() {
+  return currentSettings.caregiverRelockMinutes;
+}
+
+/**
+ * Check if only the Recognize screen is shown while locked
+ * @returns {boolean} Whether the patient-only layout is used
+ */
+function getPatientOnlyLayout() {
+  return currentSettings.patientOnlyLayout;
+}
+
+/**
+ * Check if the app runs as a kiosk
+ * @returns {boolean} Whether kiosk mode is on, also after a restart
+ */
+function getKioskMode() {
+  return currentSettings.kioskMode;
+}
+
+/**
+ * Turn kiosk mode on or off, so the app starts the same way next time
+ * @param {boolean} enabled - Whether kiosk mode is on
+ */
+function setKioskMode(enabled) {
+  // Starting as a kiosk again happens while locked, when settings cannot be saved
+  if (currentSettings.kioskMode === enabled) return;
+  
+  currentSettings.kioskMode = enabled;
+  saveSettings();
+}
+
 function onVoicesLoaded() {
   logDebug('Voices loaded notification received');
   
   // Repopulate the voice dropdown
   const elements = ui.getElements();
   if (elements.voiceSelect) {
-    const recognition = require('./recognition');
     const voices = recognition.getAvailableVoices();
     
     // Clear existing options first
@@ -309,7 +915,7 @@ function onVoicesLoaded() {
     // Add default option
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = 'Default Voice';
+    defaultOption.textContent = i18n.t('voice.default');
     elements.voiceSelect.appendChild(defaultOption);
     
     // Add available voices
@@ -332,15 +938,41 @@ function onVoicesLoaded() {
 }
 
 // Export the module functions
-module.exports = {
+export {
   init,
   applySettings,
+  getAllSettings,
+  replaceSettings,
   getRecognitionThreshold,
+  setRecognitionThreshold,
+  getMatchingStrategy,
+  getDetector,
+  getSsdMinConfidence,
+  getTinyInputSize,
+  getTinyScoreThreshold,
+  getMtcnnMinFaceSize,
   getAnnouncementMode,
+  getAnnouncementTemplate,
+  isLiveRecognitionEnabled,
+  getLiveRecognitionInterval,
+  getLiveConfirmFrames,
+  getHistoryRetentionDays,
+  getHistorySaveFaceCrops,
+  getCaptureUnknownFaces,
+  getAnnouncementCooldown,
+  getWelcomeBackHours,
+  getQuietHoursEnabled,
+  getQuietHoursStart,
+  getQuietHoursEnd,
   getPreferredVoice,
   getVoicePitch,
   getVoiceRate,
   getTextSize,
   getHighContrast,
+  getLanguage,
+  getCaregiverRelockMinutes,
+  getPatientOnlyLayout,
+  getKioskMode,
+  setKioskMode,
   onVoicesLoaded  // Add this new function to the exports
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * templates.js - Announcement template module
+ *
+ * This module fills in the wording caregivers write for announcements.
+ * `{field}` is replaced with a value, text between `{#field}` and
+ * `{/field}` is only kept when the field has a value, and text between
+ * `{^field}` and `{/field}` only when it has none.
+ */
+
+// Module dependencies
+import * as i18n from './i18n.js';
+
+// A section and its closing tag, e.g. {#notes}...{/notes}
+const SECTION_PATTERN = /\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g;
+
+// A single placeholder, e.g. {name}
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Check whether a value counts as present for a section
+ * @param {*} value - Field value
+ * @returns {boolean} Whether the value is set
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+/**
+ * Fill in sections and placeholders
+ * @param {string} template - Template text
+ * @param {Object} values - Field values
+ * @returns {string} Filled in text
+ */
+function fill(template, values) {
+  return template
+    .replace(SECTION_PATTERN, (match, type, field, content) => {
+      const show = type === '#' ? hasValue(values[field]) : !hasValue(values[field]);
+      return show ? fill(content, values) : '';
+    })
+    .replace(PLACEHOLDER_PATTERN, (match, field) => {
+      const value = values[field];
+      return hasValue(value) && value !== true ? String(value) : '';
+    });
+}
+
+/**
+ * Fill in a template
+ * Unknown placeholders are left out rather than read aloud.
+ * @param {string} template - Template text
+ * @param {Object} values - Field values
+ * @returns {string} Text to speak
+ */
+function render(template, values) {
+  return fill(template, values).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the wording used until the caregiver changes it
+ * Each locale file has its own, since word order differs between languages.
+ * @param {string} mode - Announcement mode, 'name' or 'full'
+ * @returns {string} Template text in the current language
+ */
+function getDefaultTemplate(mode) {
+  return i18n.t(`announcement.template.${mode}`);
+}
+
+/**
+ * Get the part of the day for a time, as said in a greeting
+ * @param {Date} date - Time to describe
+ * @returns {string} Morning, afternoon, evening or night in the current language
+ */
+function getTimeOfDay(date = new Date()) {
+  const hour = date.getHours();
+  let part = 'night';
+  if (hour >= 5 && hour < 12) part = 'morning';
+  else if (hour >= 12 && hour < 17) part = 'afternoon';
+  else if (hour >= 17 && hour < 22) part = 'evening';
+  return i18n.t(`timeOfDay.${part}`);
+}
+
+// Export the module functions
+export {
+  render,
+  getDefaultTemplate,
+  getTimeOfDay
+};
@@ -0,0 +1,215 @@
+/**
+ * tracker.js - Face tracking module
+ *
+ * This module follows faces from one live frame to the next by how much
+ * their boxes overlap, collects each frame's match as a vote, and only
+ * settles on who a face is once enough recent frames agree. A single bad
+ * frame can then no longer put the wrong name on screen or in the speaker.
+ */
+
+// Module dependencies
+import * as settings from './settings.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[TRACKER] ${message}`);
+}
+
+// Boxes overlapping at least this much (intersection over union) are the same face
+const MIN_OVERLAP = 0.3;
+
+// A track is dropped after this many frames without its face
+const MAX_MISSED_FRAMES = 3;
+
+// Votes kept per track beyond the number that must agree, so a stray frame does not reset the count
+const EXTRA_VOTES = 2;
+
+// Vote cast when a frame matched nobody
+const UNKNOWN = 'unknown';
+
+// Tracker state
+let tracks = [];
+let nextTrackId = 1;
+
+/**
+ * Measure how much two boxes overlap
+ * @param {Object} a - Box with x, y, width and height
+ * @param {Object} b - Box with x, y, width and height
+ * @returns {number} Intersection over union, 0-1
+ */
+function overlap(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+/**
+ * Pair faces with existing tracks, best overlap first
+ * @param {Array} faces - Face results with detection boxes
+ * @returns {Array} The track for each face, or null for faces with none
+ */
+function matchTracks(faces) {
+  const candidates = [];
+  faces.forEach((face, faceIndex) => {
+    tracks.forEach(track => {
+      const score = overlap(face.detection.box, track.box);
+      if (score >= MIN_OVERLAP) {
+        candidates.push({ faceIndex, track, score });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const assigned = faces.map(() => null);
+  const usedTracks = new Set();
+  candidates.forEach(({ faceIndex, track }) => {
+    if (assigned[faceIndex] || usedTracks.has(track)) return;
+    assigned[faceIndex] = track;
+    usedTracks.add(track);
+  });
+
+  return assigned;
+}
+
+/**
+ * Find the most common vote of a track
+ * @param {Object} track - Track with votes
+ * @returns {Object} Leading identity and how many votes it has
+ */
+function countVotes(track) {
+  const counts = new Map();
+  track.votes.forEach(vote => counts.set(vote, (counts.get(vote) || 0) + 1));
+
+  let leader = null;
+  let count = 0;
+  counts.forEach((votes, identity) => {
+    if (votes > count) {
+      leader = identity;
+      count = votes;
+    }
+  });
+
+  return { leader, count };
+}
+
+/**
+ * Settle a track on an identity once enough votes agree
+ * @param {Object} track - Track to update
+ * @param {Set} seenTracks - Tracks whose face is in the current frame
+ * @returns {boolean} Whether a person newly arrived with this commit
+ */
+function commitIdentity(track, seenTracks) {
+  const { leader, count } = countVotes(track);
+  if (count < settings.getLiveConfirmFrames() || leader === track.identity) {
+    return false;
+  }
+
+  // A person can only be in view once; take the name over from a track that lost their face
+  let continued = false;
+  if (leader !== UNKNOWN) {
+    const holder = tracks.find(other => other !== track && other.identity === leader);
+    if (holder) {
+      if (seenTracks.has(holder)) return false;
+      holder.identity = null;
+      holder.person = null;
+      continued = true;
+    }
+  }
+
+  track.identity = leader;
+  track.person = leader === UNKNOWN ? null : track.people.get(leader);
+  logDebug(`Track ${track.id} confirmed as ${track.person ? track.person.name : 'unknown'} after ${count} frames`);
+
+  return Boolean(track.person) && !continued;
+}
+
+/**
+ * Feed one frame of live results into the tracker
+ * Each face's person is replaced with the identity its track has settled on
+ * (null while still undecided), and `tracking` tells whether the face is
+ * 'pending' or 'confirmed' and whether it was confirmed in this frame.
+ * @param {Array} faces - Face results from one frame, updated in place
+ * @returns {Array} Faces of people who were confirmed in this frame and were not already in view
+ */
+function update(faces) {
+  const windowSize = settings.getLiveConfirmFrames() + EXTRA_VOTES;
+  const assigned = matchTracks(faces);
+  const seenTracks = new Set(assigned.filter(Boolean));
+  const arrivals = [];
+
+  faces.forEach((face, index) => {
+    let track = assigned[index];
+    if (!track) {
+      track = { id: nextTrackId++, votes: [], people: new Map(), identity: null, person: null, missed: 0 };
+      tracks.push(track);
+      seenTracks.add(track);
+    }
+
+    track.box = face.detection.box;
+    track.missed = 0;
+
+    const vote = face.person ? face.person._id : UNKNOWN;
+    if (face.person) {
+      track.people.set(vote, face.person);
+    }
+    track.votes.push(vote);
+    if (track.votes.length > windowSize) {
+      track.votes.shift();
+    }
+
+    const isArrival = commitIdentity(track, seenTracks);
+
+    // Confidence describes this frame's match, so drop it when the track settled on someone else
+    if (face.person !== track.person) {
+      face.confidence = null;
+    }
+    face.person = track.person;
+    face.tracking = {
+      trackId: track.id,
+      state: track.identity ? 'confirmed' : 'pending',
+      isNew: isArrival
+    };
+
+    if (isArrival) {
+      arrivals.push(face);
+    }
+  });
+
+  // Forget faces that have left the frame
+  tracks.forEach(track => {
+    if (!seenTracks.has(track)) {
+      track.missed++;
+    }
+  });
+  tracks = tracks.filter(track => track.missed <= MAX_MISSED_FRAMES);
+
+  return arrivals;
+}
+
+/**
+ * Check whether any face is still being followed
+ * @returns {boolean} Whether there are tracks
+ */
+function hasTracks() {
+  return tracks.length > 0;
+}
+
+/**
+ * Forget all tracks
+ */
+function reset() {
+  if (tracks.length > 0) {
+    logDebug(`Cleared ${tracks.length} tracks`);
+  }
+  tracks = [];
+}
+
+// Export the module functions
+export {
+  update,
+  hasTracks,
+  reset
+};
@@ -4,6 +4,12 @@
  * This module handles all UI elements, event listeners, and UI updates
  */
 
+// Module dependencies
+import * as announcer from './announcer.js';
+import * as i18n from './i18n.js';
+import * as photos from './photos.js';
+import * as utils from './utils.js';
+
 // Debug helper
 function logDebug(message) {
   console.log(`[UI] ${message}`);
@@ -12,6 +18,12 @@ function logDebug(message) {
 // UI Elements cache
 let elements = {};
 
+// Decides whether a tab may be opened, see setTabGuard
+let tabGuard = null;
+
+// Closes the PIN prompt that is showing, if any
+let closePinPrompt = null;
+
 /**
  * Initialize the UI module
  */
@@ -42,36 +54,146 @@ function cacheElements() {
   elements.loadingIndicator = document.getElementById('loading-indicator');
   elements.recognitionDisplay = document.getElementById('recognition-display');
   elements.noRecognition = document.getElementById('no-recognition');
-  elements.personName = document.getElementById('person-name');
-  elements.personRelation = document.getElementById('person-relation');
-  elements.personNotes = document.getElementById('person-notes');
-  elements.recognitionConfidence = document.getElementById('recognition-confidence');
-  elements.personPhoto = document.getElementById('person-photo');
-  elements.personAge = document.getElementById('person-age');
+  elements.recognizedPeople = document.getElementById('recognized-people');
 
   // Tab navigation
   elements.tabButtons = document.querySelectorAll('.tab-button');
   elements.tabPanels = document.querySelectorAll('.tab-panel');
+  elements.lockNowButton = document.getElementById('lock-now');
+  elements.caregiverUnlockButton = document.getElementById('caregiver-unlock');
+  
+  // Kiosk elements
+  elements.enterKioskButton = document.getElementById('enter-kiosk');
+  elements.kioskIdle = document.getElementById('kiosk-idle');
+  elements.kioskClock = document.getElementById('kiosk-clock');
+  elements.kioskDate = document.getElementById('kiosk-date');
+  elements.kioskStatus = document.getElementById('kiosk-status');
+  elements.kioskExitZone = document.getElementById('kiosk-exit-zone');
 
   // Form elements
   elements.addPersonForm = document.getElementById('add-person-form');
   elements.personNameInput = document.getElementById('person-name-input');
   elements.personRelationshipInput = document.getElementById('person-relationship-input');
   elements.personNotesInput = document.getElementById('person-notes-input');
+  elements.personThresholdInput = document.getElementById('person-threshold-input');
+  elements.personAnnouncementInput = document.getElementById('person-announcement-input');
+  elements.recordClipButton = document.getElementById('record-clip-button');
+  elements.playClipButton = document.getElementById('play-clip-button');
+  elements.removeClipButton = document.getElementById('remove-clip-button');
+  elements.clipStatus = document.getElementById('clip-status');
   elements.selectPhotosButton = document.getElementById('select-photos-button');
+  elements.enrollCameraButton = document.getElementById('enroll-camera-button');
   elements.photoPreviewContainer = document.getElementById('photo-preview-container');
   elements.peopleList = document.getElementById('people-list');
+  elements.quarantineNotice = document.getElementById('quarantine-notice');
+  elements.unknownVisitors = document.getElementById('unknown-visitors');
+  
+  // Visits tab elements
+  elements.visitsToday = document.getElementById('visits-today');
+  elements.visitTimeline = document.getElementById('visit-timeline');
+  elements.visitFrequency = document.getElementById('visit-frequency');
 
   // Settings elements
   elements.confidenceThreshold = document.getElementById('confidence-threshold');
   elements.confidenceThresholdValue = document.getElementById('confidence-threshold-value');
+  elements.matchingStrategy = document.getElementById('matching-strategy');
+  elements.detectorSelect = document.getElementById('detector-select');
+  elements.ssdMinConfidence = document.getElementById('ssd-min-confidence');
+  elements.tinyInputSize = document.getElementById('tiny-input-size');
+  elements.tinyScoreThreshold = document.getElementById('tiny-score-threshold');
+  elements.mtcnnMinFaceSize = document.getElementById('mtcnn-min-face-size');
   elements.announcementMode = document.getElementById('announcement-mode');
+  elements.announcementTemplateItem = document.getElementById('announcement-template-item');
+  elements.announcementTemplate = document.getElementById('announcement-template');
+  elements.announcementTemplatePreview = document.getElementById('announcement-template-preview');
+  elements.resetAnnouncementTemplateButton = document.getElementById('reset-announcement-template');
+  elements.liveRecognition = document.getElementById('live-recognition');
+  elements.liveRecognitionInterval = document.getElementById('live-recognition-interval');
+  elements.liveConfirmFrames = document.getElementById('live-confirm-frames');
   elements.textSize = document.getElementById('text-size');
   elements.highContrast = document.getElementById('high-contrast');
+  elements.languageSelect = document.getElementById('language-select');
+  elements.historyRetention = document.getElementById('history-retention');
+  elements.historySaveFaceCrops = document.getElementById('history-save-face-crops');
+  elements.captureUnknownFaces = document.getElementById('capture-unknown-faces');
   elements.exportDataButton = document.getElementById('export-data');
   elements.importDataButton = document.getElementById('import-data');
   elements.clearDataButton = document.getElementById('clear-data');
   
+  // Data protection elements
+  elements.currentPassphrase = document.getElementById('current-passphrase');
+  elements.newPassphrase = document.getElementById('new-passphrase');
+  elements.confirmPassphrase = document.getElementById('confirm-passphrase');
+  elements.changePassphraseButton = document.getElementById('change-passphrase');
+  elements.newRecoveryKeyButton = document.getElementById('new-recovery-key');
+  elements.autoUnlock = document.getElementById('auto-unlock');
+  
+  // Caregiver lock elements
+  elements.pinStatus = document.getElementById('pin-status');
+  elements.newPin = document.getElementById('new-pin');
+  elements.confirmPin = document.getElementById('confirm-pin');
+  elements.setPinButton = document.getElementById('set-pin');
+  elements.removePinButton = document.getElementById('remove-pin');
+  elements.caregiverRelock = document.getElementById('caregiver-relock');
+  elements.patientOnlyLayout = document.getElementById('patient-only-layout');
+  elements.pinPrompt = document.getElementById('pin-prompt');
+  elements.pinForm = document.getElementById('pin-form');
+  elements.pinInput = document.getElementById('pin-input');
+  elements.pinError = document.getElementById('pin-error');
+  elements.pinCancelButton = document.getElementById('pin-cancel');
+  elements.pinSubmitButton = document.getElementById('pin-submit');
+  
+  // Unlock dialog elements
+  elements.vault = document.getElementById('vault');
+  elements.vaultTitle = document.getElementById('vault-title');
+  elements.vaultMessage = document.getElementById('vault-message');
+  elements.vaultForm = document.getElementById('vault-form');
+  elements.vaultRecoveryKeyItem = document.getElementById('vault-recovery-key-item');
+  elements.vaultRecoveryKey = document.getElementById('vault-recovery-key');
+  elements.vaultPassphraseLabel = document.getElementById('vault-passphrase-label');
+  elements.vaultPassphrase = document.getElementById('vault-passphrase');
+  elements.vaultConfirmItem = document.getElementById('vault-confirm-item');
+  elements.vaultPassphraseConfirm = document.getElementById('vault-passphrase-confirm');
+  elements.vaultAutoUnlockItem = document.getElementById('vault-auto-unlock-item');
+  elements.vaultAutoUnlock = document.getElementById('vault-auto-unlock');
+  elements.vaultError = document.getElementById('vault-error');
+  elements.vaultSwitchButton = document.getElementById('vault-switch');
+  elements.vaultSubmitButton = document.getElementById('vault-submit');
+  elements.recoveryKey = document.getElementById('recovery-key');
+  elements.recoveryKeyValue = document.getElementById('recovery-key-value');
+  elements.recoveryKeyDoneButton = document.getElementById('recovery-key-done');
+  
+  // Import preview elements
+  elements.importPreview = document.getElementById('import-preview');
+  elements.importMode = document.getElementById('import-mode');
+  elements.importRestoreSettings = document.getElementById('import-restore-settings');
+  elements.importRestoreSettingsItem = document.getElementById('import-restore-settings-item');
+  elements.importSummary = document.getElementById('import-summary');
+  elements.importPreviewList = document.getElementById('import-preview-list');
+  elements.importCancelButton = document.getElementById('import-cancel');
+  elements.importConfirmButton = document.getElementById('import-confirm');
+  
+  // Calibration elements
+  elements.calibrateThresholdButton = document.getElementById('calibrate-threshold');
+  elements.calibration = document.getElementById('calibration');
+  elements.calibrationSummary = document.getElementById('calibration-summary');
+  elements.calibrationChart = document.getElementById('calibration-chart');
+  elements.calibrationRates = document.getElementById('calibration-rates');
+  elements.calibrationClosePairs = document.getElementById('calibration-close-pairs');
+  elements.calibrationCancelButton = document.getElementById('calibration-cancel');
+  elements.calibrationApplyButton = document.getElementById('calibration-apply');
+  
+  // Enroll from camera elements
+  elements.enrollCamera = document.getElementById('enroll-camera');
+  elements.enrollCameraView = document.getElementById('enroll-camera-view');
+  elements.enrollCameraOverlay = document.getElementById('enroll-camera-overlay');
+  elements.enrollInstruction = document.getElementById('enroll-instruction');
+  elements.enrollFeedback = document.getElementById('enroll-feedback');
+  elements.enrollPoses = document.getElementById('enroll-poses');
+  elements.enrollSkipButton = document.getElementById('enroll-skip');
+  elements.enrollCancelButton = document.getElementById('enroll-cancel');
+  elements.enrollDoneButton = document.getElementById('enroll-done');
+  
   // Voice settings elements
   elements.voiceSelect = document.getElementById('voice-select');
   elements.voicePitch = document.getElementById('voice-pitch');
@@ -79,6 +201,13 @@ function cacheElements() {
   elements.voiceRate = document.getElementById('voice-rate');
   elements.voiceRateValue = document.getElementById('voice-rate-value');
   elements.testVoiceButton = document.getElementById('test-voice');
+  
+  // Announcement timing elements
+  elements.announcementCooldown = document.getElementById('announcement-cooldown');
+  elements.welcomeBackHours = document.getElementById('welcome-back-hours');
+  elements.quietHoursEnabled = document.getElementById('quiet-hours-enabled');
+  elements.quietHoursStart = document.getElementById('quiet-hours-start');
+  elements.quietHoursEnd = document.getElementById('quiet-hours-end');
 }
 
 /**
@@ -87,31 +216,11 @@ function cacheElements() {
 function setupVoiceTest() {
   if (elements.testVoiceButton) {
     elements.testVoiceButton.addEventListener('click', () => {
-      const recognition = require('./recognition');
-      const settings = require('./settings');
-      
       if ('speechSynthesis' in window) {
-        const speech = new SpeechSynthesisUtterance();
-        speech.text = "Hello, this is a test of the voice settings for FaceRecall.";
-        
-        // Get voice settings
-        const voices = recognition.getAvailableVoices();
-        const preferredVoiceName = settings.getPreferredVoice();
-        
-        if (preferredVoiceName && voices.length > 0) {
-          const selectedVoice = voices.find(voice => voice.name === preferredVoiceName);
-          if (selectedVoice) {
-            speech.voice = selectedVoice;
-          }
-        }
-        
-        // Apply pitch and rate
-        speech.pitch = settings.getVoicePitch();
-        speech.rate = settings.getVoiceRate();
-        
-        window.speechSynthesis.speak(speech);
+        // Speak the current announcement wording for a sample visitor
+        announcer.preview();
       } else {
-        alert("Speech synthesis is not supported in your browser.");
+        alert(i18n.t('voice.notSupported'));
       }
     });
   }
@@ -124,7 +233,7 @@ function setupTabNavigation() {
   logDebug('Setting up tab navigation');
   
   elements.tabButtons.forEach(button => {
-    button.addEventListener('click', (event) => {
+    button.addEventListener('click', async (event) => {
       // Prevent default button behavior
       event.preventDefault();
       
@@ -132,27 +241,58 @@ function setupTabNavigation() {
       const tabName = button.getAttribute('data-tab');
       logDebug(`Tab clicked: ${tabName}`);
       
-      // Remove active class from all tabs
-      elements.tabButtons.forEach(btn => btn.classList.remove('active'));
-      elements.tabPanels.forEach(panel => panel.classList.remove('active'));
-      
-      // Add active class to clicked tab
-      button.classList.add('active');
-      const targetPanel = document.getElementById(tabName);
-      if (targetPanel) {
-        targetPanel.classList.add('active');
-      } else {
-        console.error(`Tab panel with id ${tabName} not found`);
+      if (tabName === getActiveTab()) return;
+      if (tabGuard && !(await tabGuard(tabName))) {
+        logDebug(`Tab ${tabName} refused`);
+        return;
       }
       
-      // Emit tab change event
-      document.dispatchEvent(new CustomEvent('tab-changed', { 
-        detail: { tabName } 
-      }));
+      switchTab(tabName);
     });
   });
 }
 
+/**
+ * Let another module decide whether a tab may be opened
+ * @param {Function} guard - Called with the tab name; resolves to whether it may open
+ */
+function setTabGuard(guard) {
+  tabGuard = guard;
+}
+
+/**
+ * Get the tab that is currently shown
+ * @returns {string} Tab name
+ */
+function getActiveTab() {
+  const activeButton = Array.from(elements.tabButtons).find(btn => btn.classList.contains('active'));
+  return activeButton ? activeButton.getAttribute('data-tab') : null;
+}
+
+/**
+ * Show a tab
+ * @param {string} tabName - Tab to show
+ */
+function switchTab(tabName) {
+  // Mark only the chosen tab active
+  elements.tabButtons.forEach(btn => {
+    btn.classList.toggle('active', btn.getAttribute('data-tab') === tabName);
+  });
+  elements.tabPanels.forEach(panel => panel.classList.remove('active'));
+  
+  const targetPanel = document.getElementById(tabName);
+  if (targetPanel) {
+    targetPanel.classList.add('active');
+  } else {
+    console.error(`Tab panel with id ${tabName} not found`);
+  }
+  
+  // Emit tab change event
+  document.dispatchEvent(new CustomEvent('tab-changed', { 
+    detail: { tabName } 
+  }));
+}
+
 /**
  * Get data from the person form
  * @returns {Object} Person data from the form
@@ -162,110 +302,207 @@ function getPersonFormData() {
     name: elements.personNameInput.value.trim(),
     relationship: elements.personRelationshipInput.value.trim(),
     notes: elements.personNotesInput.value.trim(),
+    recognitionThreshold: elements.personThresholdInput.value.trim() === ''
+      ? null
+      : parseFloat(elements.personThresholdInput.value),
+    announcementTemplate: elements.personAnnouncementInput.value.trim()
   };
 }
 
 /**
  * Display recognition results
  * @param {Object} result - Recognition result data
+ * @param {Array} result.faces - One entry per detected face, with `person` set to null when unknown
+ * @param {string} result.message - Message to show when no faces are listed
  */
 function displayRecognitionResult(result) {
-  if (result.recognized) {
-    const person = result.person;
-    
-    // Hide loading and no recognition displays
-    elements.loadingIndicator.classList.add('hidden');
+  const faces = result.faces || [];
+  
+  // Hide loading indicator
+  elements.loadingIndicator.classList.add('hidden');
+  
+  if (faces.length > 0) {
     elements.noRecognition.classList.add('hidden');
-    
-    // Show recognition display
     elements.recognitionDisplay.classList.remove('hidden');
     
-    // Update display with person data
-    elements.personName.textContent = person.name;
-    elements.personRelation.textContent = person.relationship || 'No relationship specified';
-    elements.personNotes.textContent = person.notes || 'No additional notes';
-    
-    // Show confidence level
-    const confidence = Math.round(result.confidence * 100);
-    elements.recognitionConfidence.textContent = `Confidence: ${confidence}%`;
-    
-    // Display age information if available
-    let ageText = '';
-    if (result.ageResult) {
-      ageText = `Estimated age: ${result.ageResult.age} years`;
-    } else if (person.detectedAge) {
-      ageText = `Estimated age: ${person.detectedAge} years`;
-    }
+    // List every face, recognized people first
+    const sortedFaces = [...faces].sort((a, b) => (b.person ? 1 : 0) - (a.person ? 1 : 0));
+    elements.recognizedPeople.innerHTML = '';
+    sortedFaces.forEach(face => {
+      elements.recognizedPeople.appendChild(createRecognitionCard(face));
+    });
     
-    // Check if person-age element exists, if not create it
-    if (!elements.personAge) {
-      // Create age element if it doesn't exist
-      elements.personAge = document.createElement('p');
-      elements.personAge.id = 'person-age';
-      elements.personAge.className = 'person-age';
-      
-      // Insert after confidence
-      if (elements.recognitionConfidence.parentNode) {
-        elements.recognitionConfidence.parentNode.insertBefore(
-          elements.personAge, 
-          elements.recognitionConfidence.nextSibling
-        );
-      }
-    }
+    // Draw a labelled box around each face
+    drawFaceBoxes(faces);
+  } else {
+    // Hide recognition display
+    elements.recognitionDisplay.classList.add('hidden');
     
-    // Update age text and visibility
-    if (ageText) {
-      elements.personAge.textContent = ageText;
-      elements.personAge.classList.remove('hidden');
-    } else {
-      elements.personAge.classList.add('hidden');
-    }
+    // Show no recognition display
+    elements.noRecognition.classList.remove('hidden');
     
-    // If person has images saved, show the first one
-    if (person.images && person.images.length > 0) {
-      elements.personPhoto.src = person.images[0];
-    } else {
-      elements.personPhoto.src = 'assets/images/default-avatar.png';
-    }
+    // Clear any face box left from an earlier result
+    clearCameraOverlay();
     
-    // Draw face box on overlay if detection provided
-    if (result.detection && elements.cameraOverlay) {
-      const ctx = elements.cameraOverlay.getContext('2d');
-      ctx.clearRect(0, 0, elements.cameraOverlay.width, elements.cameraOverlay.height);
-      
-      // Draw face box
-      const box = result.detection.box;
-      ctx.strokeStyle = '#00ff00';
-      ctx.lineWidth = 3;
-      ctx.strokeRect(box.x, box.y, box.width, box.height);
-      
-      // Add label with name and age if available
-      ctx.font = '24px Arial';
-      ctx.fillStyle = '#00ff00';
-      
-      let labelText = person.name;
-      if (result.ageResult) {
-        labelText += ` (${result.ageResult.age}y)`;
-      } else if (person.detectedAge) {
-        labelText += ` (${person.detectedAge}y)`;
+    // Show the reason, if one was given
+    let messageElement = elements.noRecognition.querySelector('.no-recognition-message');
+    if (result.message) {
+      if (!messageElement) {
+        messageElement = document.createElement('p');
+        messageElement.className = 'no-recognition-message';
+        elements.noRecognition.appendChild(messageElement);
       }
-      
-      ctx.fillText(labelText, box.x, box.y - 10);
+      messageElement.textContent = result.message;
+    } else if (messageElement) {
+      messageElement.remove();
     }
+  }
+}
+
+/**
+ * Create a result card for one detected face
+ * @param {Object} face - Face result with person, confidence and ageResult
+ * @returns {HTMLElement} Card element
+ */
+function createRecognitionCard(face) {
+  const person = face.person;
+  
+  const card = document.createElement('div');
+  card.className = `person-card ${person ? 'recognized' : 'unknown'}`;
+  
+  // Person photo, or the default avatar for unknown faces
+  const photo = document.createElement('img');
+  photo.className = 'person-photo';
+  photo.src = person ? getPersonAvatar(person) : 'assets/images/default-avatar.png';
+  photo.alt = person ? person.name : i18n.t('results.unknownPerson');
+  
+  const info = document.createElement('div');
+  info.className = 'person-info';
+  
+  // Live faces stay pending until enough frames agree on who they are
+  const isPending = !person && face.tracking && face.tracking.state === 'pending';
+  
+  const name = document.createElement('h2');
+  name.textContent = person ? person.name : i18n.t(isPending ? 'results.checking' : 'results.unknownPerson');
+  info.appendChild(name);
+  
+  if (person) {
+    const relation = document.createElement('p');
+    relation.className = 'person-relation';
+    relation.textContent = person.relationship || i18n.t('people.noRelationship');
+    info.appendChild(relation);
+    
+    const notes = document.createElement('div');
+    notes.className = 'person-notes';
+    notes.textContent = person.notes || i18n.t('results.noNotes');
+    info.appendChild(notes);
   } else {
-    // Hide loading and recognition displays
-    elements.loadingIndicator.classList.add('hidden');
-    elements.recognitionDisplay.classList.add('hidden');
+    const hint = document.createElement('p');
+    hint.className = 'person-relation';
+    hint.textContent = i18n.t(isPending ? 'results.pendingHint' : 'results.unknownHint');
+    info.appendChild(hint);
+  }
+  
+  // Display age information if available
+  let ageText = '';
+  if (face.ageResult) {
+    ageText = i18n.t('people.estimatedAge', { age: face.ageResult.age });
+  } else if (person && person.detectedAge) {
+    ageText = i18n.t('people.estimatedAge', { age: person.detectedAge });
+  }
+  
+  if (ageText) {
+    const age = document.createElement('p');
+    age.className = 'person-age';
+    age.textContent = ageText;
+    info.appendChild(age);
+  }
+  
+  // Show confidence level
+  if (person && face.confidence) {
+    const confidence = document.createElement('p');
+    confidence.className = `recognition-confidence ${face.confidence.band}`;
+    confidence.textContent = i18n.t('results.confidence', {
+      band: i18n.t(`confidence.${face.confidence.band}`),
+      score: face.confidence.score
+    });
+    info.appendChild(confidence);
+  }
+  
+  // Show the threshold the face was matched against
+  if (person && face.confidence && typeof face.threshold === 'number') {
+    const threshold = document.createElement('p');
+    threshold.className = 'recognition-threshold';
+    threshold.textContent = i18n.t(face.customThreshold ? 'results.thresholdCustom' : 'results.threshold', {
+      distance: face.distance.toFixed(2),
+      threshold: face.threshold.toFixed(2),
+      name: person.name
+    });
+    info.appendChild(threshold);
+  }
+  
+  card.appendChild(photo);
+  card.appendChild(info);
+  return card;
+}
+
+/**
+ * Draw a box and label for each face on the camera overlay
+ * @param {Array} faces - Face results with detection boxes
+ */
+function drawFaceBoxes(faces) {
+  if (!elements.cameraOverlay) return;
+  
+  const ctx = elements.cameraOverlay.getContext('2d');
+  ctx.clearRect(0, 0, elements.cameraOverlay.width, elements.cameraOverlay.height);
+  
+  faces.forEach(face => {
+    if (!face.detection) return;
     
-    // Show no recognition display
-    elements.noRecognition.classList.remove('hidden');
+    const color = face.person ? '#00ff00' : '#ff9800';
+    const box = face.detection.box;
+    
+    // Draw face box
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+    
+    // Add label with name and age if available
+    ctx.font = '24px Arial';
+    ctx.fillStyle = color;
     
-    // If age was detected but person not recognized, show age
-    if (result.ageResult) {
-      const ageMessageElement = document.createElement('p');
-      ageMessageElement.textContent = `Estimated age: ${result.ageResult.age} years old`;
-      elements.noRecognition.appendChild(ageMessageElement);
+    const isPending = !face.person && face.tracking && face.tracking.state === 'pending';
+    let labelText = face.person ? face.person.name : (isPending ? '...' : i18n.t('results.unknown'));
+    if (face.confidence) {
+      labelText += ` ${face.confidence.score}%`;
     }
+    if (face.ageResult) {
+      labelText += ` (${i18n.t('results.ageShort', { age: face.ageResult.age })})`;
+    } else if (face.person && face.person.detectedAge) {
+      labelText += ` (${i18n.t('results.ageShort', { age: face.person.detectedAge })})`;
+    }
+    
+    ctx.fillText(labelText, box.x, Math.max(box.y - 10, 24));
+  });
+}
+
+/**
+ * Hide all recognition results and clear the camera overlay
+ */
+function clearRecognitionResult() {
+  elements.loadingIndicator.classList.add('hidden');
+  elements.recognitionDisplay.classList.add('hidden');
+  elements.noRecognition.classList.add('hidden');
+  clearCameraOverlay();
+}
+
+/**
+ * Clear any face boxes drawn on the camera overlay
+ */
+function clearCameraOverlay() {
+  if (elements.cameraOverlay) {
+    const ctx = elements.cameraOverlay.getContext('2d');
+    ctx.clearRect(0, 0, elements.cameraOverlay.width, elements.cameraOverlay.height);
   }
 }
 
@@ -278,6 +515,17 @@ function showRecognitionLoading() {
   elements.loadingIndicator.classList.remove('hidden');
 }
 
+/**
+ * Show or hide the note about records set aside when the database was upgraded
+ * @param {number} count - Number of records in quarantine
+ */
+function displayQuarantineNotice(count) {
+  if (!elements.quarantineNotice) return;
+  
+  elements.quarantineNotice.textContent = count > 0 ? i18n.t('people.quarantined', { count }) : '';
+  elements.quarantineNotice.classList.toggle('hidden', count === 0);
+}
+
 /**
  * Display people list
  * @param {Array} people - List of people to display
@@ -288,7 +536,7 @@ function displayPeopleList(people) {
   elements.peopleList.innerHTML = '';
   
   if (people.length === 0) {
-    elements.peopleList.innerHTML = '<p class="empty-list">No people saved yet. Add someone to get started.</p>';
+    elements.peopleList.innerHTML = `<p class="empty-list">${i18n.t('people.empty')}</p>`;
     return;
   }
   
@@ -298,9 +546,7 @@ function displayPeopleList(people) {
     
     // Person image
     const image = document.createElement('img');
-    image.src = person.images && person.images.length > 0 
-      ? person.images[0] 
-      : 'assets/images/default-avatar.png';
+    image.src = getPersonAvatar(person);
     image.alt = person.name;
     
     // Person details
@@ -311,28 +557,28 @@ function displayPeopleList(people) {
     name.textContent = person.name;
     
     const relationship = document.createElement('p');
-    relationship.textContent = person.relationship || 'No relationship specified';
+    relationship.textContent = person.relationship || i18n.t('people.noRelationship');
     
     // Add age display if available
     if (person.detectedAge) {
       const age = document.createElement('p');
       age.className = 'person-age';
-      age.textContent = `Estimated age: ${person.detectedAge} years`;
+      age.textContent = i18n.t('people.estimatedAge', { age: person.detectedAge });
       details.appendChild(age);
     }
     
     const lastSeen = document.createElement('p');
     lastSeen.className = 'last-seen';
     lastSeen.textContent = person.lastRecognized 
-      ? `Last seen: ${new Date(person.lastRecognized).toLocaleString()}` 
-      : 'Never seen';
+      ? i18n.t('people.lastSeen', { date: utils.formatDate(person.lastRecognized) })
+      : i18n.t('people.neverSeen');
     
     // Action buttons
     const actions = document.createElement('div');
     actions.className = 'person-list-actions';
     
     const editButton = document.createElement('button');
-    editButton.textContent = 'Edit';
+    editButton.textContent = i18n.t('people.edit');
     editButton.className = 'edit-button';
     editButton.dataset.personId = person._id;
     editButton.addEventListener('click', () => {
@@ -342,7 +588,7 @@ function displayPeopleList(people) {
     });
     
     const deleteButton = document.createElement('button');
-    deleteButton.textContent = 'Delete';
+    deleteButton.textContent = i18n.t('people.delete');
     deleteButton.className = 'delete-button';
     deleteButton.dataset.personId = person._id;
     deleteButton.addEventListener('click', () => {
@@ -367,41 +613,880 @@ function displayPeopleList(people) {
   });
 }
 
+/**
+ * Display the inbox of unidentified visitors
+ * @param {Array} groups - Groups of similar unknown faces, with id, faces, firstSeen and lastSeen
+ * @param {Array} people - Saved people a group can be added to
+ */
+function displayUnknownVisitors(groups, people) {
+  if (!elements.unknownVisitors) return;
+  
+  elements.unknownVisitors.innerHTML = '';
+  
+  if (groups.length === 0) {
+    elements.unknownVisitors.innerHTML = `<p class="empty-list">${i18n.t('visitors.empty')}</p>`;
+    return;
+  }
+  
+  groups.forEach(group => {
+    elements.unknownVisitors.appendChild(createUnknownVisitorItem(group, people));
+  });
+}
+
+// Most face photos shown per unidentified visitor
+const UNKNOWN_VISITOR_PREVIEW_COUNT = 6;
+
+/**
+ * Create the inbox entry for one group of unknown faces
+ * @param {Object} group - Group with id, faces, firstSeen and lastSeen
+ * @param {Array} people - Saved people for the "add to person" choice
+ * @returns {HTMLElement} Inbox entry
+ */
+function createUnknownVisitorItem(group, people) {
+  const item = document.createElement('div');
+  item.className = 'unknown-visitor-item';
+  
+  // Most recent faces first
+  const faces = document.createElement('div');
+  faces.className = 'unknown-visitor-faces';
+  group.faces.slice(-UNKNOWN_VISITOR_PREVIEW_COUNT).reverse().forEach(face => {
+    const image = document.createElement('img');
+    image.src = photos.getPhotoUrl(face.photoPath);
+    image.alt = i18n.t('visitors.photoAlt');
+    faces.appendChild(image);
+  });
+  
+  const seen = document.createElement('p');
+  seen.className = 'last-seen';
+  seen.textContent = group.faces.length === 1
+    ? i18n.t('visitors.seenOnce', { date: utils.formatDate(group.lastSeen) })
+    : i18n.t('visitors.seenBetween', {
+      count: group.faces.length,
+      from: utils.formatDate(group.firstSeen),
+      to: utils.formatDate(group.lastSeen)
+    });
+  
+  // Add as a new person
+  const newPerson = document.createElement('div');
+  newPerson.className = 'unknown-visitor-actions';
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = i18n.t('visitors.name');
+  
+  const relationshipInput = document.createElement('input');
+  relationshipInput.type = 'text';
+  relationshipInput.placeholder = i18n.t('visitors.relationship');
+  
+  const enrollButton = document.createElement('button');
+  enrollButton.textContent = i18n.t('visitors.addAsNew');
+  enrollButton.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('enroll-unknown-group', {
+      detail: {
+        groupId: group.id,
+        name: nameInput.value.trim(),
+        relationship: relationshipInput.value.trim()
+      }
+    }));
+  });
+  
+  newPerson.appendChild(nameInput);
+  newPerson.appendChild(relationshipInput);
+  newPerson.appendChild(enrollButton);
+  
+  // Add to someone already saved
+  const existingPerson = document.createElement('div');
+  existingPerson.className = 'unknown-visitor-actions';
+  
+  const personSelect = document.createElement('select');
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = i18n.t('visitors.choosePerson');
+  personSelect.appendChild(placeholder);
+  people.forEach(person => {
+    const option = document.createElement('option');
+    option.value = person._id;
+    option.textContent = person.name;
+    personSelect.appendChild(option);
+  });
+  
+  const attachButton = document.createElement('button');
+  attachButton.textContent = i18n.t('visitors.addToPerson');
+  attachButton.disabled = people.length === 0;
+  attachButton.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('attach-unknown-group', {
+      detail: { groupId: group.id, personId: personSelect.value }
+    }));
+  });
+  
+  const dismissButton = document.createElement('button');
+  dismissButton.textContent = i18n.t('visitors.dismiss');
+  dismissButton.className = 'delete-button';
+  dismissButton.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('dismiss-unknown-group', {
+      detail: { groupId: group.id }
+    }));
+  });
+  
+  existingPerson.appendChild(personSelect);
+  existingPerson.appendChild(attachButton);
+  existingPerson.appendChild(dismissButton);
+  
+  item.appendChild(faces);
+  item.appendChild(seen);
+  item.appendChild(newPerson);
+  item.appendChild(existingPerson);
+  return item;
+}
+
+/**
+ * Format the time span of a visit
+ * @param {Object} visit - Visit with start and end
+ * @returns {string} Time span and duration
+ */
+function formatVisitTime(visit) {
+  const timeOptions = { hour: '2-digit', minute: '2-digit' };
+  const start = visit.start.toLocaleTimeString(i18n.getLocale(), timeOptions);
+  const end = visit.end.toLocaleTimeString(i18n.getLocale(), timeOptions);
+  const duration = utils.formatDuration(visit.end - visit.start);
+  
+  return start === end ? `${start} (${duration})` : `${start} – ${end} (${duration})`;
+}
+
+/**
+ * Create a row for one visit
+ * @param {Object} visit - Visit from the visits module
+ * @returns {HTMLElement} Visit row
+ */
+function createVisitItem(visit) {
+  const item = document.createElement('div');
+  item.className = 'visit-item';
+  
+  const image = document.createElement('img');
+  image.src = visit.person ? getPersonAvatar(visit.person) : 'assets/images/default-avatar.png';
+  image.alt = visit.personName;
+  
+  const details = document.createElement('div');
+  details.className = 'visit-details';
+  
+  const name = document.createElement('h4');
+  name.textContent = visit.personName || i18n.t('results.unknown');
+  
+  const time = document.createElement('p');
+  time.className = 'visit-time';
+  time.textContent = formatVisitTime(visit);
+  
+  details.appendChild(name);
+  if (visit.person && visit.person.relationship) {
+    const relationship = document.createElement('p');
+    relationship.className = 'person-relation';
+    relationship.textContent = visit.person.relationship;
+    details.appendChild(relationship);
+  }
+  details.appendChild(time);
+  
+  item.appendChild(image);
+  item.appendChild(details);
+  return item;
+}
+
+/**
+ * Display who came today
+ * @param {Array} visits - Today's visits, oldest first
+ */
+function displayVisitsToday(visits) {
+  if (!elements.visitsToday) return;
+  
+  elements.visitsToday.innerHTML = '';
+  
+  if (visits.length === 0) {
+    elements.visitsToday.innerHTML = `<p class="empty-list">${i18n.t('visits.emptyToday')}</p>`;
+    return;
+  }
+  
+  // One card per person with all of today's visits
+  const byPerson = new Map();
+  visits.forEach(visit => {
+    if (!byPerson.has(visit.personId)) {
+      byPerson.set(visit.personId, []);
+    }
+    byPerson.get(visit.personId).push(visit);
+  });
+  
+  byPerson.forEach(personVisits => {
+    const first = personVisits[0];
+    const item = createVisitItem({
+      ...first,
+      end: personVisits[personVisits.length - 1].end
+    });
+    
+    if (personVisits.length > 1) {
+      const count = document.createElement('p');
+      count.className = 'visit-count';
+      count.textContent = i18n.t('visits.countToday', { count: personVisits.length });
+      item.querySelector('.visit-details').appendChild(count);
+    }
+    
+    elements.visitsToday.appendChild(item);
+  });
+}
+
+/**
+ * Display the day-by-day visit timeline
+ * @param {Array} days - Days with date and visits, newest first
+ */
+function displayVisitTimeline(days) {
+  if (!elements.visitTimeline) return;
+  
+  elements.visitTimeline.innerHTML = '';
+  
+  if (days.every(day => day.visits.length === 0)) {
+    elements.visitTimeline.innerHTML = `<p class="empty-list">${i18n.t('visits.emptyWeek')}</p>`;
+    return;
+  }
+  
+  const today = new Date();
+  const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+  
+  days.forEach(day => {
+    const dayElement = document.createElement('div');
+    dayElement.className = 'timeline-day';
+    
+    const heading = document.createElement('h3');
+    if (day.date.toDateString() === today.toDateString()) {
+      heading.textContent = i18n.t('visits.todayHeading');
+    } else if (day.date.toDateString() === yesterday.toDateString()) {
+      heading.textContent = i18n.t('visits.yesterdayHeading');
+    } else {
+      heading.textContent = day.date.toLocaleDateString(i18n.getLocale(), { weekday: 'long', month: 'long', day: 'numeric' });
+    }
+    dayElement.appendChild(heading);
+    
+    if (day.visits.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-list';
+      empty.textContent = i18n.t('visits.noVisits');
+      dayElement.appendChild(empty);
+    } else {
+      day.visits.forEach(visit => dayElement.appendChild(createVisitItem(visit)));
+    }
+    
+    elements.visitTimeline.appendChild(dayElement);
+  });
+}
+
+/**
+ * Display how often each person visited over the last weeks
+ * @param {Array} rows - Rows with personName, perWeek, total and totalDuration
+ * @param {number} weeks - Number of weeks covered
+ */
+function displayVisitFrequency(rows, weeks) {
+  if (!elements.visitFrequency) return;
+  
+  elements.visitFrequency.innerHTML = '';
+  
+  if (rows.length === 0) {
+    elements.visitFrequency.innerHTML = `<p class="empty-list">${i18n.t('visits.emptyFrequency')}</p>`;
+    return;
+  }
+  
+  const table = document.createElement('table');
+  table.className = 'visit-frequency-table';
+  
+  const headerRow = document.createElement('tr');
+  const headers = [i18n.t('visits.person')];
+  for (let i = weeks - 1; i >= 0; i--) {
+    headers.push(i === 0 ? i18n.t('visits.thisWeek') : i18n.t('visits.weeksAgo', { count: i }));
+  }
+  headers.push(i18n.t('visits.total'), i18n.t('visits.timeSpent'));
+  headers.forEach(text => {
+    const cell = document.createElement('th');
+    cell.textContent = text;
+    headerRow.appendChild(cell);
+  });
+  table.appendChild(headerRow);
+  
+  rows.forEach(row => {
+    const tableRow = document.createElement('tr');
+    const cells = [row.personName, ...row.perWeek.slice().reverse(), row.total, utils.formatDuration(row.totalDuration)];
+    
+    cells.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      tableRow.appendChild(cell);
+    });
+    
+    table.appendChild(tableRow);
+  });
+  
+  elements.visitFrequency.appendChild(table);
+}
+
+/**
+ * Get the image to show for a person, preferring a face thumbnail
+ * @param {Object} person - Person record
+ * @returns {string} Image URL
+ */
+function getPersonAvatar(person) {
+  const withThumbnail = (person.faceDescriptors || []).find(entry => entry.thumbnail);
+  if (withThumbnail) {
+    return photos.getPhotoUrl(withThumbnail.thumbnail);
+  }
+  
+  if (person.images && person.images.length > 0) {
+    return photos.getPhotoUrl(person.images[0]);
+  }
+  
+  return 'assets/images/default-avatar.png';
+}
+
+/**
+ * Show the calibration results and let the caregiver apply the recommendation
+ * @param {Object} result - Calibration result from the calibration module
+ * @returns {Promise<number|null>} Threshold to use, or null if cancelled
+ */
+function showCalibration(result) {
+  return new Promise((resolve) => {
+    elements.calibrationSummary.textContent = i18n.t('calibration.summary', {
+      genuine: result.genuine.length,
+      impostor: result.impostor.length,
+      recommended: result.recommended,
+      current: result.currentThreshold
+    });
+    
+    drawCalibrationChart(result);
+    
+    // Error rates per threshold
+    const table = document.createElement('table');
+    table.className = 'calibration-table';
+    const header = document.createElement('tr');
+    [i18n.t('calibration.threshold'), i18n.t('calibration.falseAccepts'), i18n.t('calibration.falseRejects')].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+    
+    const formatRate = rate => `${(rate * 100).toFixed(1)}%`;
+    result.rates.forEach(rates => {
+      const row = document.createElement('tr');
+      if (rates.threshold === result.recommended) {
+        row.className = 'recommended';
+      } else if (rates.threshold === result.currentThreshold) {
+        row.className = 'current';
+      }
+      
+      [rates.threshold.toFixed(2), formatRate(rates.falseAcceptRate), formatRate(rates.falseRejectRate)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    elements.calibrationRates.innerHTML = '';
+    elements.calibrationRates.appendChild(table);
+    
+    // People who could be mistaken for each other
+    elements.calibrationClosePairs.innerHTML = '';
+    if (result.closePairs.length > 0) {
+      const heading = document.createElement('h3');
+      heading.textContent = i18n.t('calibration.lookAlikes');
+      elements.calibrationClosePairs.appendChild(heading);
+      
+      const list = document.createElement('ul');
+      result.closePairs.forEach(pair => {
+        const item = document.createElement('li');
+        item.textContent = i18n.t('calibration.lookAlike', {
+          nameA: pair.nameA,
+          nameB: pair.nameB,
+          distance: pair.distance.toFixed(2)
+        });
+        list.appendChild(item);
+      });
+      elements.calibrationClosePairs.appendChild(list);
+    }
+    
+    elements.calibrationApplyButton.disabled = result.recommended === result.currentThreshold;
+    
+    const close = (threshold) => {
+      elements.calibration.classList.add('hidden');
+      elements.calibrationCancelButton.onclick = null;
+      elements.calibrationApplyButton.onclick = null;
+      resolve(threshold);
+    };
+    
+    elements.calibrationCancelButton.onclick = () => close(null);
+    elements.calibrationApplyButton.onclick = () => close(result.recommended);
+    
+    elements.calibration.classList.remove('hidden');
+  });
+}
+
+/**
+ * Plot the same-person and different-people distance distributions
+ * @param {Object} result - Calibration result with genuine, impostor, currentThreshold and recommended
+ */
+function drawCalibrationChart(result) {
+  const canvas = elements.calibrationChart;
+  const ctx = canvas.getContext('2d');
+  const padding = 30;
+  const width = canvas.width - padding * 2;
+  const height = canvas.height - padding * 2;
+  const maxDistance = 1.2;
+  const binCount = 48;
+  
+  // Share of each distribution per bin, so both are visible whatever their size
+  const histogram = (distances) => {
+    const bins = new Array(binCount).fill(0);
+    distances.forEach(distance => {
+      const bin = Math.min(binCount - 1, Math.floor(distance / maxDistance * binCount));
+      bins[bin]++;
+    });
+    return bins.map(count => count / distances.length);
+  };
+  
+  const genuine = histogram(result.genuine);
+  const impostor = histogram(result.impostor);
+  const peak = Math.max(...genuine, ...impostor) || 1;
+  const toX = distance => padding + distance / maxDistance * width;
+  
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  
+  const drawBins = (bins, color) => {
+    ctx.fillStyle = color;
+    bins.forEach((share, index) => {
+      const barHeight = share / peak * height;
+      ctx.fillRect(padding + index * width / binCount, padding + height - barHeight, width / binCount - 1, barHeight);
+    });
+  };
+  drawBins(impostor, 'rgba(244, 67, 54, 0.5)');
+  drawBins(genuine, 'rgba(76, 175, 80, 0.6)');
+  
+  // Threshold markers
+  const drawLine = (distance, color) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(toX(distance), padding);
+    ctx.lineTo(toX(distance), padding + height);
+    ctx.stroke();
+  };
+  drawLine(result.currentThreshold, '#888');
+  drawLine(result.recommended, '#4a90e2');
+  
+  // Distance axis
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(padding, padding + height);
+  ctx.lineTo(padding + width, padding + height);
+  ctx.stroke();
+  
+  ctx.fillStyle = '#333';
+  ctx.font = '12px Arial';
+  ctx.textAlign = 'center';
+  for (let distance = 0; distance <= maxDistance + 1e-9; distance += 0.2) {
+    ctx.fillText(distance.toFixed(1), toX(distance), padding + height + 16);
+  }
+  ctx.textAlign = 'start';
+}
+
+/**
+ * Show or hide the enroll from camera dialog
+ * @param {boolean} visible - Whether the dialog should be shown
+ */
+function showEnrollment(visible) {
+  if (elements.enrollCamera) {
+    elements.enrollCamera.classList.toggle('hidden', !visible);
+  }
+}
+
+/**
+ * Display progress through the enrollment poses
+ * @param {Object} state - Enrollment state
+ * @param {Array} state.poses - Poses with their id
+ * @param {number} state.current - Index of the pose being captured
+ * @param {Array} state.results - Per pose: photo source once captured, 'skipped', or null
+ */
+function displayEnrollmentProgress(state) {
+  const pose = state.poses[state.current];
+  elements.enrollInstruction.textContent = pose
+    ? i18n.t(`enroll.instruction.${pose.id}`)
+    : i18n.t('enroll.allDone');
+  
+  elements.enrollPoses.innerHTML = '';
+  state.poses.forEach((item, index) => {
+    const entry = document.createElement('li');
+    const result = state.results[index];
+    
+    if (result === 'skipped') {
+      entry.className = 'skipped';
+    } else if (result) {
+      entry.className = 'captured';
+      const image = document.createElement('img');
+      image.src = photos.getPhotoUrl(result);
+      image.alt = i18n.t(`enroll.pose.${item.id}`);
+      entry.appendChild(image);
+    } else if (index === state.current) {
+      entry.className = 'current';
+    }
+    
+    const label = document.createElement('span');
+    label.textContent = i18n.t(`enroll.pose.${item.id}`);
+    entry.appendChild(label);
+    
+    elements.enrollPoses.appendChild(entry);
+  });
+  
+  elements.enrollSkipButton.disabled = !pose;
+  elements.enrollDoneButton.disabled = !state.results.some(result => result && result !== 'skipped');
+}
+
+/**
+ * Show live feedback while enrolling
+ * @param {string} message - What the person should do
+ * @param {Object|null} box - Face box to outline, or null
+ * @param {boolean} good - Whether the face is good enough to capture
+ */
+function displayEnrollmentFeedback(message, box, good) {
+  elements.enrollFeedback.textContent = message;
+  elements.enrollFeedback.classList.toggle('good', good);
+  
+  const overlay = elements.enrollCameraOverlay;
+  const ctx = overlay.getContext('2d');
+  ctx.clearRect(0, 0, overlay.width, overlay.height);
+  
+  if (box) {
+    ctx.strokeStyle = good ? '#00ff00' : '#ff9800';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+  }
+}
+
 /**
  * Display photo previews
- * @param {Array} photos - Array of photo data objects
+ * @param {Array} previews - Array of photo data objects
  */
-function displayPhotoPreview(photos) {
+function displayPhotoPreview(previews) {
   if (!elements.photoPreviewContainer) return;
   
   // Clear previous previews
   elements.photoPreviewContainer.innerHTML = '';
   
-  photos.forEach(photo => {
+  previews.forEach(photo => {
+    // Usable photos with quality problems are flagged so the caregiver can pick a better one
+    const flagged = photo.valid && photo.quality && photo.quality.level === 'warn';
+    const issues = photo.quality ? photo.quality.issues.map(issue => issue.message).join(', ') : '';
+    
     const previewContainer = document.createElement('div');
-    previewContainer.className = `photo-preview ${photo.valid ? 'valid' : 'invalid'}`;
+    previewContainer.className = `photo-preview ${photo.valid ? 'valid' : 'invalid'}${flagged ? ' flagged' : ''}`;
+    if (issues) {
+      previewContainer.title = issues;
+    }
     
     const preview = document.createElement('img');
-    preview.src = photo.path;
-    preview.alt = 'Selected photo';
+    preview.src = photos.getPhotoUrl(photo.path);
+    preview.alt = i18n.t('photos.selected');
     
     // Add age information if available
-    let statusText = photo.valid ? 'Face detected' : photo.error || 'No face detected';
+    let statusText = photo.valid ? i18n.t('photos.faceDetected') : photo.error || i18n.t('photos.noFace');
+    if (flagged) {
+      statusText = i18n.t('photos.usableBut', { issues });
+    }
     
     if (photo.valid && photo.ageResult) {
-      statusText += ` (Age: ~${photo.ageResult.age} years)`;
+      statusText += ` (${i18n.t('photos.age', { age: photo.ageResult.age })})`;
     }
     
     const statusElement = document.createElement('span');
-    statusElement.className = `status-text ${photo.valid ? 'success' : 'error'}`;
+    statusElement.className = `status-text ${photo.valid ? (flagged ? 'warning' : 'success') : 'error'}`;
     statusElement.textContent = statusText;
     
+    // Button to drop this photo from the person
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'remove-photo-button';
+    removeButton.textContent = '\u00d7';
+    removeButton.title = i18n.t('photos.remove');
+    removeButton.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('remove-photo', { 
+        detail: { path: photo.path }
+      }));
+    });
+    
     previewContainer.appendChild(preview);
     previewContainer.appendChild(statusElement);
+    previewContainer.appendChild(removeButton);
     elements.photoPreviewContainer.appendChild(previewContainer);
   });
 }
 
+/**
+ * Import plan statuses, in the order they are summarized
+ */
+const IMPORT_STATUSES = ['add', 'update', 'conflict', 'unchanged'];
+
+/**
+ * Show the import preview and let the caregiver choose what to do with each person
+ * The chosen action is written to each plan entry's `action`.
+ * @param {Array} plan - Import plan from merge.planImport
+ * @param {boolean} hasSettings - Whether the backup contains settings
+ * @returns {Promise<Object|null>} { mode, restoreSettings }, or null if cancelled
+ */
+function showImportPreview(plan, hasSettings) {
+  return new Promise((resolve) => {
+    const counts = plan.reduce((acc, entry) => {
+      acc[entry.status] = (acc[entry.status] || 0) + 1;
+      return acc;
+    }, {});
+    
+    elements.importSummary.textContent = IMPORT_STATUSES
+      .map(status => `${i18n.t(`import.status.${status}`)}: ${counts[status] || 0}`)
+      .join(' \u00b7 ');
+    
+    elements.importMode.value = 'merge';
+    elements.importRestoreSettings.checked = false;
+    elements.importRestoreSettingsItem.classList.toggle('hidden', !hasSettings);
+    
+    // One row per imported person
+    elements.importPreviewList.innerHTML = '';
+    plan.forEach(entry => {
+      elements.importPreviewList.appendChild(createImportPreviewRow(entry));
+    });
+    
+    // Per-person choices only apply when merging
+    const updateMode = () => {
+      const merging = elements.importMode.value === 'merge';
+      elements.importPreviewList.classList.toggle('disabled', !merging);
+      elements.importPreviewList.querySelectorAll('select').forEach(select => {
+        select.disabled = !merging;
+      });
+    };
+    elements.importMode.onchange = updateMode;
+    updateMode();
+    
+    const close = (result) => {
+      elements.importPreview.classList.add('hidden');
+      elements.importCancelButton.onclick = null;
+      elements.importConfirmButton.onclick = null;
+      resolve(result);
+    };
+    
+    elements.importCancelButton.onclick = () => close(null);
+    elements.importConfirmButton.onclick = () => {
+      const mode = elements.importMode.value;
+      if (mode === 'replace' && !confirm(i18n.t('import.confirmReplace'))) {
+        return;
+      }
+      close({ mode, restoreSettings: elements.importRestoreSettings.checked });
+    };
+    
+    elements.importPreview.classList.remove('hidden');
+  });
+}
+
+/**
+ * Create a preview row for one import plan entry
+ * @param {Object} entry - Import plan entry
+ * @returns {HTMLElement} Row element
+ */
+function createImportPreviewRow(entry) {
+  const row = document.createElement('div');
+  row.className = `import-row ${entry.status}`;
+  
+  const details = document.createElement('div');
+  details.className = 'import-row-details';
+  
+  const title = document.createElement('h3');
+  title.textContent = entry.imported.name || i18n.t('import.unnamed');
+  
+  const status = document.createElement('span');
+  status.className = `import-status ${entry.status}`;
+  status.textContent = i18n.t(`import.status.${entry.status}`);
+  title.appendChild(status);
+  details.appendChild(title);
+  
+  if (entry.existing) {
+    const match = document.createElement('p');
+    match.className = 'import-match';
+    match.textContent = i18n.t('import.matches', {
+      name: entry.existing.name,
+      reason: i18n.t(`import.match.${entry.matchedBy}`)
+    });
+    details.appendChild(match);
+  }
+  
+  // Field differences
+  entry.changes.forEach(change => {
+    const line = document.createElement('p');
+    line.className = 'import-change';
+    line.textContent = change.from
+      ? `${change.field}: "${change.from}" \u2192 "${change.to}"`
+      : `${change.field}: "${change.to}"`;
+    details.appendChild(line);
+  });
+  
+  if (entry.newPhotos > 0) {
+    const photosLine = document.createElement('p');
+    photosLine.className = 'import-change';
+    photosLine.textContent = i18n.t('import.newPhotos', { count: entry.newPhotos });
+    details.appendChild(photosLine);
+  }
+  
+  // Action choice
+  const actions = entry.existing ? ['keep', 'replace', 'merge'] : ['add', 'skip'];
+  const select = document.createElement('select');
+  actions.forEach(action => {
+    const option = document.createElement('option');
+    option.value = action;
+    option.textContent = i18n.t(`import.action.${action}`);
+    select.appendChild(option);
+  });
+  select.value = entry.action;
+  select.addEventListener('change', () => {
+    entry.action = select.value;
+  });
+  
+  row.appendChild(details);
+  row.appendChild(select);
+  return row;
+}
+
+/**
+ * Show the unlock dialog until the caregiver gets past it
+ * In 'setup' a passphrase is chosen, in 'unlock' it is entered, and in
+ * 'recover' the recovery key and a new passphrase are entered.
+ * @param {string} mode - 'setup', 'unlock' or 'recover'
+ * @param {Object} options - Dialog options
+ * @param {boolean} options.autoUnlock - Whether automatic unlock starts ticked
+ * @param {boolean} options.autoUnlockAvailable - Whether this computer can unlock automatically
+ * @param {Function} options.onSubmit - Called with the entered values; resolves to an error message, or null when done
+ * @returns {Promise<string>} 'done', or 'switch' when the caregiver asked for the other way to unlock
+ */
+function showVault(mode, options) {
+  return new Promise((resolve) => {
+    elements.vaultForm.reset();
+    elements.vaultTitle.textContent = i18n.t(`vault.title.${mode}`);
+    elements.vaultMessage.textContent = i18n.t(`vault.message.${mode}`);
+    elements.vaultPassphraseLabel.textContent = i18n.t(`vault.passphraseLabel.${mode}`);
+    elements.vaultSubmitButton.textContent = i18n.t(`vault.submit.${mode}`);
+    elements.vaultError.textContent = '';
+    
+    // Setting up has no other way in; unlocking and recovering lead to each other
+    elements.vaultSwitchButton.classList.toggle('hidden', mode === 'setup');
+    if (mode !== 'setup') {
+      elements.vaultSwitchButton.textContent = i18n.t(`vault.switch.${mode}`);
+    }
+    
+    elements.vaultRecoveryKeyItem.classList.toggle('hidden', mode !== 'recover');
+    elements.vaultConfirmItem.classList.toggle('hidden', mode === 'unlock');
+    elements.vaultAutoUnlockItem.classList.toggle('hidden', !options.autoUnlockAvailable);
+    elements.vaultAutoUnlock.checked = Boolean(options.autoUnlock);
+    
+    const close = (result) => {
+      elements.vault.classList.add('hidden');
+      elements.vaultForm.onsubmit = null;
+      elements.vaultSwitchButton.onclick = null;
+      resolve(result);
+    };
+    
+    elements.vaultSwitchButton.onclick = () => close('switch');
+    elements.vaultForm.onsubmit = async (event) => {
+      event.preventDefault();
+      elements.vaultSubmitButton.disabled = true;
+      elements.vaultError.textContent = '';
+      
+      const error = await options.onSubmit({
+        passphrase: elements.vaultPassphrase.value,
+        confirmation: elements.vaultPassphraseConfirm.value,
+        recoveryKey: elements.vaultRecoveryKey.value,
+        autoUnlock: elements.vaultAutoUnlock.checked
+      });
+      
+      elements.vaultSubmitButton.disabled = false;
+      if (error) {
+        elements.vaultError.textContent = error;
+      } else {
+        close('done');
+      }
+    };
+    
+    elements.vault.classList.remove('hidden');
+    (mode === 'recover' ? elements.vaultRecoveryKey : elements.vaultPassphrase).focus();
+  });
+}
+
+/**
+ * Ask for the caregiver PIN
+ * @param {Function} onSubmit - Called with the entered PIN; resolves to an error message, or null when accepted
+ * A prompt that is still showing is cancelled first, so its caller is not left waiting.
+ * @returns {Promise<boolean>} Whether the PIN was accepted, false if cancelled
+ */
+function showPinPrompt(onSubmit) {
+  if (closePinPrompt) {
+    closePinPrompt(false);
+  }
+  
+  return new Promise((resolve) => {
+    elements.pinForm.reset();
+    elements.pinError.textContent = '';
+    
+    const close = (accepted) => {
+      if (closePinPrompt !== close) return;
+      closePinPrompt = null;
+      elements.pinPrompt.classList.add('hidden');
+      elements.pinForm.onsubmit = null;
+      elements.pinCancelButton.onclick = null;
+      elements.pinSubmitButton.disabled = false;
+      resolve(accepted);
+    };
+    closePinPrompt = close;
+    
+    elements.pinCancelButton.onclick = () => close(false);
+    elements.pinForm.onsubmit = async (event) => {
+      event.preventDefault();
+      elements.pinSubmitButton.disabled = true;
+      
+      const error = await onSubmit(elements.pinInput.value);
+      
+      // Another prompt may have replaced this one while the PIN was checked
+      if (closePinPrompt !== close) return;
+      
+      elements.pinSubmitButton.disabled = false;
+      if (error) {
+        elements.pinError.textContent = error;
+        elements.pinInput.value = '';
+        elements.pinInput.focus();
+      } else {
+        close(true);
+      }
+    };
+    
+    elements.pinPrompt.classList.remove('hidden');
+    elements.pinInput.focus();
+  });
+}
+
+/**
+ * Show a new recovery key until the caregiver confirms writing it down
+ * @param {string} recoveryKey - Recovery key
+ * @returns {Promise<void>} Resolves when the dialog is closed
+ */
+function showRecoveryKey(recoveryKey) {
+  return new Promise((resolve) => {
+    elements.recoveryKeyValue.textContent = recoveryKey;
+    
+    elements.recoveryKeyDoneButton.onclick = () => {
+      elements.recoveryKey.classList.add('hidden');
+      elements.recoveryKeyValue.textContent = '';
+      elements.recoveryKeyDoneButton.onclick = null;
+      resolve();
+    };
+    
+    elements.recoveryKey.classList.remove('hidden');
+  });
+}
+
 /**
  * Reset the add person form
  */
@@ -415,6 +1500,29 @@ function resetPersonForm() {
   }
 }
 
+/**
+ * Show the state of the voice introduction in the person form
+ * @param {Object} state - Clip state
+ * @param {boolean} state.recording - Whether the microphone is recording
+ * @param {Object|null} state.clip - Recorded clip with duration, or null
+ */
+function displayClipStatus(state) {
+  if (!elements.clipStatus) return;
+  
+  elements.recordClipButton.textContent = i18n.t(state.recording ? 'clips.stop' : (state.clip ? 'clips.recordAgain' : 'clips.record'));
+  elements.recordClipButton.classList.toggle('recording', state.recording);
+  elements.playClipButton.disabled = state.recording || !state.clip;
+  elements.removeClipButton.disabled = state.recording || !state.clip;
+  
+  if (state.recording) {
+    elements.clipStatus.textContent = i18n.t('clips.recording');
+  } else if (state.clip) {
+    elements.clipStatus.textContent = i18n.t('clips.recorded', { count: Math.max(1, Math.round(state.clip.duration / 1000)) });
+  } else {
+    elements.clipStatus.textContent = i18n.t('clips.empty');
+  }
+}
+
 /**
  * Populate person form for editing
  * @param {Object} person - Person data to populate the form with
@@ -425,6 +1533,10 @@ function populatePersonForm(person) {
   elements.personNameInput.value = person.name;
   elements.personRelationshipInput.value = person.relationship || '';
   elements.personNotesInput.value = person.notes || '';
+  elements.personThresholdInput.value = typeof person.recognitionThreshold === 'number'
+    ? person.recognitionThreshold
+    : '';
+  elements.personAnnouncementInput.value = person.announcementTemplate || '';
   
   // Scroll to form
   elements.addPersonForm.scrollIntoView({ behavior: 'smooth' });
@@ -444,7 +1556,7 @@ function getElements() {
  */
 function updateCameraUI(isActive) {
   if (elements.toggleCameraButton) {
-    elements.toggleCameraButton.textContent = isActive ? 'Stop Camera' : 'Start Camera';
+    elements.toggleCameraButton.textContent = i18n.t(isActive ? 'camera.stop' : 'camera.start');
   }
   
   if (elements.takePhotoButton) {
@@ -455,10 +1567,11 @@ function updateCameraUI(isActive) {
 /**
  * Set camera stream source
  * @param {MediaStream} stream - Camera media stream
+ * @param {HTMLVideoElement} view - Video element to show it in (defaults to the Recognize tab)
  */
-function setCameraSource(stream) {
-  if (elements.cameraView) {
-    elements.cameraView.srcObject = stream;
+function setCameraSource(stream, view = elements.cameraView) {
+  if (view) {
+    view.srcObject = stream;
   }
 }
 
@@ -466,24 +1579,44 @@ function setCameraSource(stream) {
  * Initialize camera overlay canvas
  * @param {number} width - Width of overlay canvas
  * @param {number} height - Height of overlay canvas
+ * @param {HTMLCanvasElement} overlay - Overlay to size (defaults to the Recognize tab)
  */
-function initCameraOverlay(width, height) {
-  if (elements.cameraOverlay) {
-    elements.cameraOverlay.width = width;
-    elements.cameraOverlay.height = height;
+function initCameraOverlay(width, height, overlay = elements.cameraOverlay) {
+  if (overlay) {
+    overlay.width = width;
+    overlay.height = height;
   }
 }
 
 // Export the module functions
-module.exports = {
+export {
   init,
   getElements,
+  setTabGuard,
+  getActiveTab,
+  switchTab,
   getPersonFormData,
   displayRecognitionResult,
+  clearRecognitionResult,
   showRecognitionLoading,
   displayPeopleList,
+  displayQuarantineNotice,
+  displayUnknownVisitors,
+  displayVisitsToday,
+  displayVisitTimeline,
+  displayVisitFrequency,
   displayPhotoPreview,
+  showImportPreview,
+  showVault,
+  showRecoveryKey,
+  showPinPrompt,
+  showCalibration,
+  showEnrollment,
+  displayEnrollmentProgress,
+  displayEnrollmentFeedback,
+  getPersonAvatar,
   resetPersonForm,
+  displayClipStatus,
   populatePersonForm,
   updateCameraUI,
   setCameraSource,
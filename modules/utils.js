@@ -5,7 +5,7 @@
  */
 
 // Module dependencies
-const fs = require('fs');
+import * as i18n from './i18n.js';
 
 // Debug helper
 function logDebug(message) {
@@ -22,64 +22,65 @@ function generateId() {
 }
 
 /**
- * Format a date for display
+ * Format a date for display in the chosen language
  * @param {Date|string|number} date - Date to format
  * @param {boolean} includeTime - Whether to include time
  * @returns {string} Formatted date string
  */
 function formatDate(date, includeTime = true) {
-  if (!date) return 'Never';
+  if (!date) return i18n.t('common.never');
   
   const dateObj = new Date(date);
-  if (isNaN(dateObj.getTime())) return 'Invalid date';
+  if (isNaN(dateObj.getTime())) return i18n.t('common.invalidDate');
   
   if (includeTime) {
-    return dateObj.toLocaleString();
+    return dateObj.toLocaleString(i18n.getLocale());
   } else {
-    return dateObj.toLocaleDateString();
+    return dateObj.toLocaleDateString(i18n.getLocale());
   }
 }
 
 /**
- * Safely read a file as data URL
- * @param {string} filePath - Path to file
- * @returns {Promise<string>} Data URL
+ * Format a length of time for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "5 min" or "1 h 20 min"
  */
-function fileToDataUrl(filePath) {
-  return new Promise((resolve, reject) => {
-    try {
-      fs.readFile(filePath, (err, data) => {
-        if (err) {
-          reject(err);
-        } else {
-          const base64data = data.toString('base64');
-          const extension = filePath.split('.').pop().toLowerCase();
-          const mimeType = getMimeType(extension);
-          resolve(`data:${mimeType};base64,${base64data}`);
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return i18n.t('duration.underMinute');
+  if (minutes < 60) return i18n.t('duration.minutes', { minutes });
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0
+    ? i18n.t('duration.hoursMinutes', { hours, minutes: rest })
+    : i18n.t('duration.hours', { hours });
 }
 
 /**
- * Get MIME type from file extension
- * @param {string} extension - File extension
- * @returns {string} MIME type
+ * Describe how long ago something happened, as it would be said aloud
+ * @param {Date|string|number} date - Time in the past
+ * @returns {string} Text such as "2 hours ago" or "yesterday", or an empty string without a date
  */
-function getMimeType(extension) {
-  const mimeTypes = {
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'png': 'image/png',
-    'gif': 'image/gif',
-    'bmp': 'image/bmp',
-    'webp': 'image/webp'
-  };
-  
-  return mimeTypes[extension] || 'application/octet-stream';
+function formatTimeAgo(date) {
+  if (!date) return '';
+
+  const then = new Date(date);
+  if (isNaN(then.getTime())) return '';
+
+  const relative = new Intl.RelativeTimeFormat(i18n.getLocale(), { numeric: 'auto' });
+
+  const minutes = Math.round((Date.now() - then.getTime()) / 60000);
+  if (minutes < 1) return i18n.t('time.justNow');
+  if (minutes < 60) return relative.format(-minutes, 'minute');
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return relative.format(-hours, 'hour');
+
+  const days = Math.round(hours / 24);
+  if (days < 14) return relative.format(-days, 'day');
+
+  return i18n.t('time.onDate', { date: then.toLocaleDateString(i18n.getLocale()) });
 }
 
 /**
@@ -103,38 +104,14 @@ function debounce(func, wait) {
 /**
  * Display an error in a user-friendly way
  * @param {Error|string} error - Error to display
- * @param {string} context - Context where error occurred
+ * @param {string} context - What was being done when the error occurred, already in the chosen language
  */
 function handleError(error, context = '') {
   const errorMessage = error instanceof Error ? error.message : error;
   console.error(`Error ${context ? 'in ' + context : ''}:`, error);
-  alert(`An error occurred ${context ? 'while ' + context : ''}: ${errorMessage}`);
-}
-
-/**
- * Check if a file exists
- * @param {string} filePath - Path to file
- * @returns {Promise<boolean>} Whether file exists
- */
-async function fileExists(filePath) {
-  return new Promise((resolve) => {
-    fs.access(filePath, fs.constants.F_OK, (err) => {
-      resolve(!err);
-    });
-  });
-}
-
-/**
- * Create a directory if it doesn't exist
- * @param {string} dirPath - Path to directory
- * @returns {Promise<boolean>} Whether operation was successful
- */
-async function ensureDirectoryExists(dirPath) {
-  return new Promise((resolve) => {
-    fs.mkdir(dirPath, { recursive: true }, (err) => {
-      resolve(!err);
-    });
-  });
+  alert(context
+    ? i18n.t('error.withContext', { context, error: errorMessage })
+    : i18n.t('error.generic', { error: errorMessage }));
 }
 
 /**
@@ -152,6 +129,21 @@ function safeJsonParse(jsonString, fallback = {}) {
   }
 }
 
+/**
+ * Euclidean distance between two face descriptors
+ * @param {Array<number>|Float32Array} a - First descriptor
+ * @param {Array<number>|Float32Array} b - Second descriptor
+ * @returns {number} Distance (0 for identical descriptors)
+ */
+function euclideanDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+}
+
 /**
  * Convert ArrayBuffer to Base64 string
  * @param {ArrayBuffer} buffer - ArrayBuffer to convert
@@ -187,15 +179,15 @@ function base64ToArrayBuffer(base64) {
 }
 
 // Export the module functions
-module.exports = {
+export {
   generateId,
   formatDate,
-  fileToDataUrl,
+  formatDuration,
+  formatTimeAgo,
   debounce,
   handleError,
-  fileExists,
-  ensureDirectoryExists,
   safeJsonParse,
+  euclideanDistance,
   arrayBufferToBase64,
   base64ToArrayBuffer
 };
\ No newline at end of file
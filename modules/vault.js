@@ -0,0 +1,206 @@
+/**
+ * vault.js - Data protection module
+ *
+ * This module asks for the caregiver's passphrase before any data is opened,
+ * walks through choosing one on first start, and lets the recovery key stand
+ * in when the passphrase is forgotten. The keys themselves never leave the
+ * main process (main/vault.js); this module only collects what is typed.
+ */
+
+// Module dependencies
+import * as i18n from './i18n.js';
+import * as ui from './ui.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[VAULT] ${message}`);
+}
+
+// Vault API exposed by the preload script
+const api = window.faceRecall.vault;
+
+/**
+ * Check a newly chosen passphrase and its confirmation
+ * @param {string} passphrase - New passphrase
+ * @param {string} confirmation - Passphrase typed a second time
+ * @param {number} minLength - Shortest passphrase allowed
+ * @returns {string|null} Error message, or null if the passphrase is fine
+ */
+function checkNewPassphrase(passphrase, confirmation, minLength) {
+  if (passphrase.length < minLength) {
+    return i18n.t('vault.tooShort', { length: minLength });
+  }
+  if (passphrase !== confirmation) {
+    return i18n.t('vault.mismatch');
+  }
+  return null;
+}
+
+/**
+ * Run a vault call, turning failures into an error message
+ * @param {Function} action - Vault call resolving to an error message or null
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+async function attempt(action) {
+  try {
+    return await action();
+  } catch (error) {
+    console.error('Vault error:', error);
+    return i18n.t('vault.failed', { error: error.message });
+  }
+}
+
+/**
+ * Unlock the stored data, setting up a passphrase on first start
+ * Resolves once the main process has opened the data.
+ * @returns {Promise<void>}
+ */
+async function unlock() {
+  const status = await api.getStatus();
+  if (status.dataOpen) {
+    logDebug('Data already unlocked');
+    return;
+  }
+
+  const options = {
+    autoUnlock: status.autoUnlock,
+    autoUnlockAvailable: status.autoUnlockAvailable
+  };
+
+  if (!status.setUp) {
+    let recoveryKey = null;
+    await ui.showVault('setup', {
+      ...options,
+      onSubmit: values => attempt(async () => {
+        const error = checkNewPassphrase(values.passphrase, values.confirmation, status.minPassphraseLength);
+        if (error) return error;
+
+        recoveryKey = await api.setUp(values.passphrase, values.autoUnlock);
+        return null;
+      })
+    });
+
+    logDebug('Passphrase set up');
+    await ui.showRecoveryKey(recoveryKey);
+    return;
+  }
+
+  // Switch between the passphrase and the recovery key until one works
+  let mode = 'unlock';
+  for (;;) {
+    const result = await ui.showVault(mode, {
+      ...options,
+      onSubmit: values => attempt(async () => {
+        if (mode === 'unlock') {
+          const unlocked = await api.unlock(values.passphrase, values.autoUnlock);
+          return unlocked ? null : i18n.t('vault.wrongPassphrase');
+        }
+
+        const error = checkNewPassphrase(values.passphrase, values.confirmation, status.minPassphraseLength);
+        if (error) return error;
+
+        const recovered = await api.recover(values.recoveryKey, values.passphrase, values.autoUnlock);
+        return recovered ? null : i18n.t('vault.wrongRecoveryKey');
+      })
+    });
+
+    if (result === 'done') break;
+    mode = mode === 'unlock' ? 'recover' : 'unlock';
+  }
+
+  logDebug(mode === 'unlock' ? 'Unlocked with passphrase' : 'Unlocked with recovery key');
+}
+
+/**
+ * Change the passphrase from the values in the settings form
+ * @param {number} minLength - Shortest passphrase allowed
+ * @returns {Promise<void>}
+ */
+async function changePassphrase(minLength) {
+  const elements = ui.getElements();
+  const error = checkNewPassphrase(
+    elements.newPassphrase.value,
+    elements.confirmPassphrase.value,
+    minLength
+  );
+  if (error) {
+    alert(error);
+    return;
+  }
+
+  try {
+    const changed = await api.changePassphrase(
+      elements.currentPassphrase.value,
+      elements.newPassphrase.value
+    );
+    if (!changed) {
+      alert(i18n.t('vault.wrongPassphrase'));
+      return;
+    }
+
+    elements.currentPassphrase.value = '';
+    elements.newPassphrase.value = '';
+    elements.confirmPassphrase.value = '';
+    logDebug('Passphrase changed');
+    alert(i18n.t('vault.passphraseChanged'));
+  } catch (error) {
+    console.error('Error changing passphrase:', error);
+    alert(i18n.t('vault.failed', { error: error.message }));
+  }
+}
+
+/**
+ * Replace the recovery key, after checking the current passphrase
+ * @returns {Promise<void>}
+ */
+async function createRecoveryKey() {
+  const elements = ui.getElements();
+  if (!confirm(i18n.t('vault.confirmNewRecoveryKey'))) return;
+
+  try {
+    const recoveryKey = await api.createRecoveryKey(elements.currentPassphrase.value);
+    if (!recoveryKey) {
+      alert(i18n.t('vault.wrongPassphrase'));
+      return;
+    }
+
+    elements.currentPassphrase.value = '';
+    logDebug('New recovery key created');
+    await ui.showRecoveryKey(recoveryKey);
+  } catch (error) {
+    console.error('Error creating recovery key:', error);
+    alert(i18n.t('vault.failed', { error: error.message }));
+  }
+}
+
+/**
+ * Wire up the data protection settings
+ * @returns {Promise<void>}
+ */
+async function init() {
+  const elements = ui.getElements();
+  const status = await api.getStatus();
+
+  elements.changePassphraseButton.addEventListener('click', () => {
+    changePassphrase(status.minPassphraseLength);
+  });
+  elements.newRecoveryKeyButton.addEventListener('click', createRecoveryKey);
+
+  elements.autoUnlock.checked = status.autoUnlock;
+  elements.autoUnlock.disabled = !status.autoUnlockAvailable;
+  elements.autoUnlock.addEventListener('change', async () => {
+    try {
+      await api.setAutoUnlock(elements.autoUnlock.checked);
+      logDebug(`Automatic unlock ${elements.autoUnlock.checked ? 'enabled' : 'disabled'}`);
+    } catch (error) {
+      console.error('Error changing automatic unlock:', error);
+      elements.autoUnlock.checked = !elements.autoUnlock.checked;
+    }
+  });
+}
+
+// Export the module functions
+export {
+  unlock,
+  init
+};
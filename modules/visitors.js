@@ -0,0 +1,377 @@
+/**
+ * visitors.js - Unidentified visitors module
+ *
+ * This module keeps the faces recognition could not match (a cropped photo
+ * plus its descriptor) in an inbox, groups faces that look like the same
+ * person, and turns a group into a new person or adds it to a saved one.
+ */
+
+// Module dependencies
+import * as db from './database.js';
+import * as i18n from './i18n.js';
+import * as photos from './photos.js';
+import * as settings from './settings.js';
+import * as ui from './ui.js';
+import * as utils from './utils.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[VISITORS] ${message}`);
+}
+
+// Faces closer than this are shown as the same visitor
+const GROUP_DISTANCE = 0.5;
+
+// A face this close to one captured within the window is not stored again
+const DUPLICATE_DISTANCE = 0.35;
+const DUPLICATE_WINDOW = 60 * 1000;
+
+// Stop collecting photos of a visitor once this many similar faces are stored
+const MAX_FACES_PER_VISITOR = 10;
+
+// Oldest faces are dropped beyond this many
+const MAX_UNKNOWN_FACES = 500;
+
+// Extra space kept around the face box when cropping, and the largest crop side in pixels
+const CROP_MARGIN = 0.4;
+const MAX_CROP_SIZE = 400;
+
+// Visitor state
+let peopleModule = null;
+let unknownFaces = [];
+let groups = [];
+let initialized = false;
+
+/**
+ * Initialize the visitors module
+ * @param {Object} peopleModuleRef - Reference to the people module
+ */
+async function init(peopleModuleRef) {
+  logDebug('Initializing visitors module');
+
+  peopleModule = peopleModuleRef;
+
+  try {
+    unknownFaces = await db.getUnknownFaces();
+  } catch (error) {
+    console.error('Error loading unidentified visitors:', error);
+    unknownFaces = [];
+  }
+  initialized = true;
+
+  // Refresh the inbox whenever Manage People is opened
+  document.addEventListener('tab-changed', (event) => {
+    if (event.detail.tabName === 'manage') {
+      refresh();
+    }
+  });
+
+  document.addEventListener('enroll-unknown-group', (event) => {
+    enrollGroup(event.detail.groupId, event.detail);
+  });
+
+  document.addEventListener('attach-unknown-group', (event) => {
+    attachGroup(event.detail.groupId, event.detail.personId);
+  });
+
+  document.addEventListener('dismiss-unknown-group', (event) => {
+    dismissGroup(event.detail.groupId);
+  });
+
+  document.addEventListener('language-changed', () => refresh());
+
+  refresh();
+  logDebug(`Visitors module initialized with ${unknownFaces.length} unknown faces`);
+}
+
+/**
+ * Cut a face with some margin out of a frame
+ * @param {HTMLCanvasElement} canvas - Frame the face was detected in
+ * @param {Object} box - Face box in canvas pixels
+ * @returns {Object} JPEG data URL and the face box within the crop
+ */
+function cropFace(canvas, box) {
+  const margin = Math.max(box.width, box.height) * CROP_MARGIN;
+  const sx = Math.max(0, Math.floor(box.x - margin));
+  const sy = Math.max(0, Math.floor(box.y - margin));
+  const sw = Math.min(canvas.width, Math.ceil(box.x + box.width + margin)) - sx;
+  const sh = Math.min(canvas.height, Math.ceil(box.y + box.height + margin)) - sy;
+  const scale = Math.min(1, MAX_CROP_SIZE / Math.max(sw, sh));
+
+  const crop = document.createElement('canvas');
+  crop.width = Math.round(sw * scale);
+  crop.height = Math.round(sh * scale);
+  crop.getContext('2d').drawImage(canvas, sx, sy, sw, sh, 0, 0, crop.width, crop.height);
+
+  return {
+    dataUrl: crop.toDataURL('image/jpeg', 0.9),
+    box: {
+      x: (box.x - sx) * scale,
+      y: (box.y - sy) * scale,
+      width: box.width * scale,
+      height: box.height * scale
+    }
+  };
+}
+
+/**
+ * Check whether a face is already well covered by the inbox
+ * @param {Float32Array} descriptor - Face descriptor
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether the face should not be stored
+ */
+function isAlreadyCaptured(descriptor, now) {
+  let similar = 0;
+
+  for (const face of unknownFaces) {
+    const distance = utils.euclideanDistance(descriptor, face.descriptor);
+
+    if (distance < DUPLICATE_DISTANCE && now - new Date(face.capturedAt).getTime() < DUPLICATE_WINDOW) {
+      return true;
+    }
+    if (distance < GROUP_DISTANCE) {
+      similar++;
+    }
+  }
+
+  return similar >= MAX_FACES_PER_VISITOR;
+}
+
+/**
+ * Store the unrecognized faces from one recognition pass
+ * Faces are cropped before anything is awaited, because the camera reuses
+ * the frame canvas for the next picture.
+ * @param {Array} faces - Face results from recognition
+ * @param {HTMLCanvasElement} canvas - Frame the faces were detected in
+ * @returns {Promise<number>} Number of faces stored
+ */
+async function captureUnknownFaces(faces, canvas) {
+  if (!initialized || !settings.getCaptureUnknownFaces() || !canvas) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const captures = faces
+    .filter(face => !face.person && face.descriptor && face.detection)
+    .filter(face => !face.quality || face.quality.level === 'good')
+    .filter(face => !isAlreadyCaptured(face.descriptor, now))
+    .map(face => ({
+      face,
+      crop: cropFace(canvas, face.detection.box)
+    }));
+
+  let stored = 0;
+
+  for (const { face, crop } of captures) {
+    try {
+      const photoPath = await photos.saveWorkingPhoto('unknownFaces', crop.dataUrl);
+
+      const record = await db.addUnknownFace({
+        capturedAt: new Date(now),
+        photoPath,
+        box: crop.box,
+        descriptor: Array.from(face.descriptor),
+        detectionScore: face.detection.score
+      });
+
+      unknownFaces.push(record);
+      stored++;
+    } catch (error) {
+      console.error('Error saving unidentified face:', error);
+    }
+  }
+
+  if (unknownFaces.length > MAX_UNKNOWN_FACES) {
+    await removeFaces(unknownFaces.slice(0, unknownFaces.length - MAX_UNKNOWN_FACES));
+  }
+
+  if (stored > 0) {
+    logDebug(`Saved ${stored} unidentified faces`);
+  }
+
+  return stored;
+}
+
+/**
+ * Group faces that look like the same person
+ * Faces are linked when any two of them are closer than the group distance.
+ * @param {Array} faces - Unknown face records, oldest first
+ * @param {number} maxDistance - Largest distance between linked faces
+ * @returns {Array} Groups with id, faces, firstSeen and lastSeen, most recently seen first
+ */
+function groupFaces(faces, maxDistance = GROUP_DISTANCE) {
+  const parent = faces.map((face, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < faces.length; i++) {
+    for (let j = i + 1; j < faces.length; j++) {
+      if (utils.euclideanDistance(faces[i].descriptor, faces[j].descriptor) < maxDistance) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const byRoot = new Map();
+  faces.forEach((face, index) => {
+    const root = find(index);
+    if (!byRoot.has(root)) {
+      byRoot.set(root, []);
+    }
+    byRoot.get(root).push(face);
+  });
+
+  return Array.from(byRoot.values())
+    .map(members => ({
+      id: members[0]._id,
+      faces: members,
+      firstSeen: new Date(members[0].capturedAt),
+      lastSeen: new Date(members[members.length - 1].capturedAt)
+    }))
+    .sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Regroup the inbox and redraw it
+ */
+function refresh() {
+  groups = groupFaces(unknownFaces);
+  ui.displayUnknownVisitors(groups, peopleModule ? peopleModule.getKnownPeople() : []);
+}
+
+/**
+ * Delete faces from the inbox along with their photos
+ * @param {Array} faces - Unknown face records
+ */
+async function removeFaces(faces) {
+  const ids = new Set(faces.map(face => face._id));
+
+  await db.deleteUnknownFaces(Array.from(ids));
+  unknownFaces = unknownFaces.filter(face => !ids.has(face._id));
+
+  for (const face of faces) {
+    try {
+      await photos.deleteWorkingPhoto('unknownFaces', face.photoPath);
+    } catch (error) {
+      console.error(`Error deleting ${face.photoPath}:`, error);
+    }
+  }
+}
+
+/**
+ * Turn a group of unknown faces into a new person
+ * @param {string} groupId - Group ID
+ * @param {Object} personData - Name and relationship for the new person
+ * @returns {Promise<boolean>} Whether the person was added
+ */
+async function enrollGroup(groupId, personData) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return false;
+
+  if (!personData.name) {
+    alert(i18n.t('people.nameRequired'));
+    return false;
+  }
+
+  try {
+    await peopleModule.addPersonFromFaces({
+      name: personData.name,
+      relationship: personData.relationship,
+      lastRecognized: group.lastSeen
+    }, group.faces);
+
+    await removeFaces(group.faces);
+    refresh();
+
+    alert(i18n.t('people.added', { name: personData.name }));
+    return true;
+  } catch (error) {
+    console.error('Error adding unidentified visitor:', error);
+    alert(i18n.t('visitors.addFailed'));
+    return false;
+  }
+}
+
+/**
+ * Add a group of unknown faces to a saved person
+ * @param {string} groupId - Group ID
+ * @param {string} personId - ID of the saved person
+ * @returns {Promise<boolean>} Whether the faces were added
+ */
+async function attachGroup(groupId, personId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return false;
+
+  if (!personId) {
+    alert(i18n.t('visitors.personRequired'));
+    return false;
+  }
+
+  try {
+    const person = await peopleModule.addFacesToPerson(personId, group.faces);
+
+    await removeFaces(group.faces);
+    refresh();
+
+    alert(i18n.t('visitors.photosAdded', { name: person.name }));
+    return true;
+  } catch (error) {
+    console.error('Error adding photos to person:', error);
+    alert(i18n.t('visitors.addPhotosFailed'));
+    return false;
+  }
+}
+
+/**
+ * Remove a group of unknown faces from the inbox
+ * @param {string} groupId - Group ID
+ * @returns {Promise<boolean>} Whether the group was removed
+ */
+async function dismissGroup(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return false;
+
+  if (!confirm(i18n.t('visitors.confirmRemove', { count: group.faces.length }))) {
+    return false;
+  }
+
+  try {
+    await removeFaces(group.faces);
+    refresh();
+    return true;
+  } catch (error) {
+    console.error('Error dismissing unidentified visitor:', error);
+    alert(i18n.t('visitors.removeFailed'));
+    return false;
+  }
+}
+
+/**
+ * Empty the inbox
+ * @returns {Promise<boolean>} Whether the inbox was emptied
+ */
+async function clearInbox() {
+  try {
+    await removeFaces([...unknownFaces]);
+    await db.clearUnknownFaces();
+    refresh();
+    return true;
+  } catch (error) {
+    console.error('Error clearing unidentified visitors:', error);
+    return false;
+  }
+}
+
+// Export the module functions
+export {
+  init,
+  captureUnknownFaces,
+  groupFaces,
+  refresh,
+  clearInbox
+};
@@ -0,0 +1,217 @@
+/**
+ * visits.js - Visit timeline module
+ *
+ * This module turns the recognition history into visits (consecutive
+ * sightings of the same person merged together) and feeds the Visits tab:
+ * who came today, a day-by-day timeline and how often each person visits.
+ */
+
+// Module dependencies
+import * as history from './history.js';
+import * as people from './people.js';
+import * as ui from './ui.js';
+
+// Debug helper
+function logDebug(message) {
+  console.log(`[VISITS] ${message}`);
+}
+
+// Sightings closer together than this belong to the same visit
+const VISIT_GAP = 10 * 60 * 1000;
+
+// Number of days shown in the timeline
+const TIMELINE_DAYS = 7;
+
+// Number of weeks covered by the visit frequency table
+const FREQUENCY_WEEKS = 4;
+
+/**
+ * Initialize the visits module
+ */
+function init() {
+  logDebug('Initializing visits module');
+
+  // Refresh whenever the Visits tab is opened
+  document.addEventListener('tab-changed', (event) => {
+    if (event.detail.tabName === 'visits') {
+      refresh();
+    }
+  });
+
+  document.addEventListener('language-changed', () => refresh());
+
+  logDebug('Visits module initialized');
+}
+
+/**
+ * Get midnight at the start of a day
+ * @param {Date|number} date - Any time during the day
+ * @returns {Date} Start of that day
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Move a date by whole calendar days
+ * Days are not always 24 hours long: they are one hour shorter or longer
+ * when clocks change, so the calendar is used rather than a fixed length.
+ * @param {Date} date - Start date
+ * @param {number} days - Days to move, negative to go back
+ * @returns {Date} New date at the same local time
+ */
+function addDays(date, days) {
+  const moved = new Date(date);
+  moved.setDate(moved.getDate() + days);
+  return moved;
+}
+
+/**
+ * Merge recognition events into visits
+ * @param {Array} events - Recognition events, in any order
+ * @param {number} gap - Longest break between sightings within one visit, in milliseconds
+ * @returns {Array} Visits with personId, personName, start, end and sightings, oldest first
+ */
+function groupVisits(events, gap = VISIT_GAP) {
+  const sorted = events
+    .filter(event => event.recognized && event.personId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const openVisits = new Map();
+  const visits = [];
+
+  sorted.forEach(event => {
+    const time = new Date(event.timestamp);
+    const current = openVisits.get(event.personId);
+
+    if (current && time - current.end <= gap) {
+      current.end = time;
+      current.sightings++;
+      return;
+    }
+
+    const visit = {
+      personId: event.personId,
+      personName: event.personName,
+      start: time,
+      end: time,
+      sightings: 1
+    };
+    openVisits.set(event.personId, visit);
+    visits.push(visit);
+  });
+
+  return visits.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Group visits by the day they started, newest day first
+ * @param {Array} visits - Visits from groupVisits
+ * @param {number} days - Number of days, counting back from today
+ * @param {Date} now - Current time
+ * @returns {Array} Days with date and visits
+ */
+function groupVisitsByDay(visits, days, now = new Date()) {
+  const today = startOfDay(now);
+  const result = [];
+
+  for (let i = 0; i < days; i++) {
+    const date = addDays(today, -i);
+    const next = addDays(date, 1);
+    result.push({
+      date,
+      visits: visits.filter(visit => visit.start >= date && visit.start < next)
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Count visits per person for each of the last few weeks
+ * @param {Array} visits - Visits from groupVisits
+ * @param {number} weeks - Number of weeks, counting back from today
+ * @param {Date} now - Current time
+ * @returns {Array} Rows with personId, personName, perWeek (most recent week first), total and totalDuration
+ */
+function computeVisitFrequency(visits, weeks, now = new Date()) {
+  const end = addDays(startOfDay(now), 1);
+  const weekStarts = Array.from({ length: weeks }, (_, i) => addDays(end, -7 * (i + 1)));
+  const rows = new Map();
+
+  visits.forEach(visit => {
+    if (visit.start >= end) return;
+    const week = weekStarts.findIndex(start => visit.start >= start);
+    if (week === -1) return;
+
+    if (!rows.has(visit.personId)) {
+      rows.set(visit.personId, {
+        personId: visit.personId,
+        personName: visit.personName,
+        perWeek: new Array(weeks).fill(0),
+        total: 0,
+        totalDuration: 0
+      });
+    }
+
+    const row = rows.get(visit.personId);
+    row.perWeek[week]++;
+    row.total++;
+    row.totalDuration += visit.end - visit.start;
+  });
+
+  return Array.from(rows.values()).sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Use people's current names where they still exist
+ * @param {Array} visits - Visits, updated in place
+ */
+function applyCurrentNames(visits) {
+  const byId = new Map(people.getKnownPeople().map(person => [person._id, person]));
+
+  visits.forEach(visit => {
+    const person = byId.get(visit.personId);
+    if (person) {
+      visit.personName = person.name;
+      visit.person = person;
+    }
+  });
+}
+
+/**
+ * Reload history and redraw the Visits tab
+ * @returns {Promise<boolean>} Whether the refresh succeeded
+ */
+async function refresh() {
+  try {
+    const now = new Date();
+    const from = addDays(startOfDay(now), -(FREQUENCY_WEEKS * 7 - 1));
+
+    const events = await history.getEventsBetween(from);
+    const visits = groupVisits(events);
+    applyCurrentNames(visits);
+
+    const days = groupVisitsByDay(visits, TIMELINE_DAYS, now);
+    ui.displayVisitsToday(days[0].visits);
+    ui.displayVisitTimeline(days);
+    ui.displayVisitFrequency(computeVisitFrequency(visits, FREQUENCY_WEEKS, now), FREQUENCY_WEEKS);
+
+    logDebug(`Showing ${visits.length} visits from ${events.length} events`);
+    return true;
+  } catch (error) {
+    console.error('Error loading visits:', error);
+    return false;
+  }
+}
+
+// Export the module functions
+export {
+  init,
+  refresh,
+  groupVisits,
+  groupVisitsByDay,
+  computeVisitFrequency
+};
@@ -0,0 +1,77 @@
+// Preload script: the only bridge between the renderer and the main process.
+// The renderer runs without Node access and reaches the encryption vault,
+// database, photo storage, backups, settings, caregiver PIN and window
+// through window.faceRecall.
+const { contextBridge, ipcRenderer } = require('electron');
+
+/**
+ * Create a function that calls an IPC channel
+ * @param {string} channel - Channel name
+ * @returns {Function} Function returning the handler's result
+ */
+function invoke(channel) {
+  return (...args) => ipcRenderer.invoke(channel, ...args);
+}
+
+contextBridge.exposeInMainWorld('faceRecall', {
+  vault: {
+    getStatus: invoke('vault:get-status'),
+    setUp: invoke('vault:set-up'),
+    unlock: invoke('vault:unlock'),
+    recover: invoke('vault:recover'),
+    changePassphrase: invoke('vault:change-passphrase'),
+    createRecoveryKey: invoke('vault:create-recovery-key'),
+    setAutoUnlock: invoke('vault:set-auto-unlock')
+  },
+  dialogs: {
+    selectPhotos: invoke('dialog:select-photos')
+  },
+  database: {
+    addPerson: invoke('database:add-person'),
+    getAllPeople: invoke('database:get-all-people'),
+    getPersonById: invoke('database:get-person'),
+    updatePerson: invoke('database:update-person'),
+    unsetPersonFields: invoke('database:unset-person-fields'),
+    replaceAllPeople: invoke('database:replace-all-people'),
+    getQuarantinedPeople: invoke('database:get-quarantined-people'),
+    deletePerson: invoke('database:delete-person'),
+    updateLastRecognized: invoke('database:update-last-recognized'),
+    addImageToPerson: invoke('database:add-image'),
+    addRecognitionEvent: invoke('database:add-recognition-event'),
+    getRecognitionEvents: invoke('database:get-recognition-events'),
+    deleteRecognitionEventsBefore: invoke('database:delete-recognition-events-before'),
+    clearRecognitionEvents: invoke('database:clear-recognition-events'),
+    addUnknownFace: invoke('database:add-unknown-face'),
+    getUnknownFaces: invoke('database:get-unknown-faces'),
+    deleteUnknownFaces: invoke('database:delete-unknown-faces'),
+    clearUnknownFaces: invoke('database:clear-unknown-faces')
+  },
+  photos: {
+    importPhoto: invoke('photos:import'),
+    read: invoke('photos:read'),
+    saveThumbnail: invoke('photos:save-thumbnail'),
+    removeOrphans: invoke('photos:remove-orphans'),
+    getDirectories: invoke('photos:get-directories'),
+    saveWorkingPhoto: invoke('photos:save-working'),
+    deleteWorkingPhoto: invoke('photos:delete-working')
+  },
+  backup: {
+    export: invoke('backup:export'),
+    open: invoke('backup:open'),
+    restorePhotos: invoke('backup:restore-photos')
+  },
+  settings: {
+    load: invoke('settings:load'),
+    save: invoke('settings:save')
+  },
+  pin: {
+    getStatus: invoke('pin:get-status'),
+    set: invoke('pin:set'),
+    remove: invoke('pin:remove'),
+    verify: invoke('pin:verify'),
+    lock: invoke('pin:lock')
+  },
+  window: {
+    setKiosk: invoke('window:set-kiosk')
+  }
+});
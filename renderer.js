@@ -1,16 +1,28 @@
 // Entry point for the renderer process
-const { ipcRenderer } = require('electron');
 console.log('Renderer.js loading...');
 
 // Import modules
-const appModule = require('./modules/app');
-const uiModule = require('./modules/ui');
-const databaseModule = require('./modules/database');
-const cameraModule = require('./modules/camera');
-const recognitionModule = require('./modules/recognition');
-const peopleModule = require('./modules/people');
-const settingsModule = require('./modules/settings');
-const utilsModule = require('./modules/utils');
+import * as appModule from './modules/app.js';
+import * as uiModule from './modules/ui.js';
+import * as databaseModule from './modules/database.js';
+import * as photosModule from './modules/photos.js';
+import * as i18nModule from './modules/i18n.js';
+import * as backupModule from './modules/backup.js';
+import * as historyModule from './modules/history.js';
+import * as cameraModule from './modules/camera.js';
+import * as recognitionModule from './modules/recognition.js';
+import * as liveModule from './modules/live.js';
+import * as visitsModule from './modules/visits.js';
+import * as visitorsModule from './modules/visitors.js';
+import * as enrollModule from './modules/enroll.js';
+import * as calibrationModule from './modules/calibration.js';
+import * as clipsModule from './modules/clips.js';
+import * as peopleModule from './modules/people.js';
+import * as settingsModule from './modules/settings.js';
+import * as utilsModule from './modules/utils.js';
+import * as vaultModule from './modules/vault.js';
+import * as lockModule from './modules/lock.js';
+import * as kioskModule from './modules/kiosk.js';
 
 // Debug helper
 function logDebug(message) {
@@ -18,45 +30,69 @@ function logDebug(message) {
 }
 
 // Initialize the application when DOM is fully loaded
+// Module scripts are deferred, so this always runs before DOMContentLoaded fires
 document.addEventListener('DOMContentLoaded', () => {
   logDebug('DOM fully loaded - starting application');
   initApp();
 });
 
-// Also call init directly in case DOMContentLoaded already fired
-if (document.readyState === 'complete' || document.readyState === 'interactive') {
-  logDebug('Document already loaded - starting application immediately');
-  setTimeout(initApp, 0);
-}
-
 // Initialize the application
 async function initApp() {
   try {
     logDebug('Initializing application...');
     
-    // Initialize database first
-    const userDataPath = await ipcRenderer.invoke('get-user-data-path');
-    await databaseModule.init(userDataPath);
+    // Translations are loaded before anything shows text
+    await i18nModule.init();
     
     // Initialize UI
     uiModule.init();
     
-    // Initialize settings
-    settingsModule.init();
+    // Initialize settings, so the unlock dialog is in the chosen language
+    await settingsModule.init();
+    
+    // The main process opens the database once the caregiver has unlocked it
+    await vaultModule.unlock();
+    await vaultModule.init();
+    
+    // Photo storage only needs its folders
+    await photosModule.init();
+    
+    // Initialize recognition history (needs database and settings)
+    await historyModule.init();
     
     // Initialize people module after database
     await peopleModule.init();
+    await visitorsModule.init(peopleModule);
     
     // Initialize camera and recognition modules
     cameraModule.init();
     recognitionModule.init(peopleModule);
+    liveModule.init();
+    enrollModule.init();
+    clipsModule.init();
+    visitsModule.init();
+    
+    // Keep the caregiver areas behind the PIN
+    await lockModule.init();
+    
+    // Start as a kiosk again if the app was closed as one
+    await kioskModule.init();
     
     // Initialize the main app
     appModule.init({
       ui: uiModule,
       database: databaseModule,
+      photos: photosModule,
+      backup: backupModule,
+      history: historyModule,
       camera: cameraModule,
       recognition: recognitionModule,
+      live: liveModule,
+      visits: visitsModule,
+      visitors: visitorsModule,
+      enroll: enrollModule,
+      calibration: calibrationModule,
+      clips: clipsModule,
       people: peopleModule,
       settings: settingsModule,
       utils: utilsModule